@@ -0,0 +1,54 @@
+/**
+ * API Config
+ * Where pages send CarExpert vehicle data API requests: the real API, or the local mock that
+ * server.js serves under /v2 (carexpert-mock.js) for development without network access.
+ * Set USE_LOCAL_MOCK to switch every page, or open any page once with ?api=local or
+ * ?api=remote to switch this browser only.
+ */
+
+class ApiConfig {
+    static REMOTE_BASE_URL = 'https://vehicle-data.beta.dev-syd.carexpert.com.au/v2';
+
+    static LOCAL_PATH = '/v2';
+
+    // Point every page at the local mock instead of the real API
+    static USE_LOCAL_MOCK = false;
+
+    // Per-browser override set from the ?api= query parameter
+    static STORAGE_KEY = 'vehicleDiffenterator.api';
+
+    static usesLocalMock() {
+        const requested = new URLSearchParams(window.location.search).get('api');
+        if (requested === 'local' || requested === 'remote') {
+            localStorage.setItem(ApiConfig.STORAGE_KEY, requested);
+        }
+
+        const stored = localStorage.getItem(ApiConfig.STORAGE_KEY);
+        return stored ? stored === 'local' : ApiConfig.USE_LOCAL_MOCK;
+    }
+
+    static getBaseUrl() {
+        return ApiConfig.usesLocalMock()
+            ? `${window.location.origin}${ApiConfig.LOCAL_PATH}`
+            : ApiConfig.REMOTE_BASE_URL;
+    }
+
+    static makesUrl() {
+        return `${ApiConfig.getBaseUrl()}/makes`;
+    }
+
+    static modelsUrl(makeCode) {
+        return `${ApiConfig.getBaseUrl()}/makes/${encodeURIComponent(makeCode)}/models`;
+    }
+
+    // `params` is a URLSearchParams or plain object of make_code, model_code, page, limit, ...
+    static vehiclesUrl(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return `${ApiConfig.getBaseUrl()}/vehicles${query ? `?${query}` : ''}`;
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApiConfig;
+}
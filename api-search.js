@@ -0,0 +1,184 @@
+/**
+ * API Search
+ * The "API Search" tab: make and model dropdowns filled from data/makeCodes.json and
+ * data/modelCodes/, plus model year, current-only and result limit controls. Searches go to
+ * the CarExpert /v2/vehicles endpoint (or the local mock, see api-config.js) and follow
+ * `meta.query.nextPage` until the limit is reached. Pages decide what to do with the
+ * results through `onLoad`.
+ */
+
+class ApiSearch {
+    static MAKES_URL = 'data/makeCodes.json';
+
+    static MODELS_PATH = 'data/modelCodes/';
+
+    // NAVI vehicles are large, so results are fetched a page at a time rather than in one request
+    static PAGE_SIZE = 20;
+
+    // `onLoad(payload, { query })` receives the { meta, data } results and the search's query string
+    constructor(form, { onLoad, onError = message => console.error(message) }) {
+        this.form = form;
+        this.onLoad = onLoad;
+        this.onError = onError;
+        this.makeSelect = form.elements.make_code;
+        this.modelSelect = form.elements.model_code;
+        this.button = form.querySelector('.search-button');
+        this.status = form.querySelector('.api-search-status');
+        this.modelRequest = 0;
+
+        const endpoint = form.querySelector('[data-api-endpoint]');
+        if (endpoint) {
+            endpoint.textContent = ApiConfig.vehiclesUrl();
+        }
+
+        this.makeSelect.addEventListener('change', () => this.loadModels(this.makeSelect.value));
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.search();
+        });
+        this.loadMakes();
+    }
+
+    async loadMakes() {
+        try {
+            const makes = await this.fetchCodes(ApiSearch.MAKES_URL);
+            this.makeSelect.innerHTML = `
+                <option value="">Choose a make...</option>
+                ${this.sortByLabel(makes, make => make.label).map(make => `
+                    <option value="${this.escape(make.code)}">${this.escape(make.label)}</option>
+                `).join('')}
+            `;
+            this.makeSelect.disabled = false;
+        } catch (error) {
+            console.error('Error loading make codes:', error);
+            this.makeSelect.innerHTML = '<option value="">Makes could not be loaded</option>';
+            this.onError('Failed to load the list of makes for the API search.');
+        }
+    }
+
+    // Not every make has a model list; those are searched across all of their models
+    async loadModels(makeCode) {
+        const request = ++this.modelRequest;
+        this.modelSelect.innerHTML = '<option value="">Any model</option>';
+        this.modelSelect.disabled = true;
+        if (!makeCode) return;
+
+        let models;
+        try {
+            models = await this.fetchCodes(`${ApiSearch.MODELS_PATH}${makeCode.toLowerCase()}.json`);
+        } catch (error) {
+            console.warn(`No model codes for make ${makeCode}:`, error);
+            return;
+        }
+
+        // A later make choice has replaced this one while it loaded
+        if (request !== this.modelRequest) return;
+
+        this.modelSelect.innerHTML = `
+            <option value="">Any model</option>
+            ${this.sortByLabel(models, model => model.labelShort).map(model => `
+                <option value="${this.escape(model.code)}">${this.escape(model.labelShort)}${model.isCurrent ? '' : ' (discontinued)'}</option>
+            `).join('')}
+        `;
+        this.modelSelect.disabled = false;
+    }
+
+    async fetchCodes(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return (await response.json()).data || [];
+    }
+
+    // The search filters as API parameters, e.g. "make_code=TO&model_code=RP&is_current=true"
+    getFilters() {
+        const filters = new URLSearchParams();
+        const { make_code: make, model_code: model, model_year: year, is_current: current } = this.form.elements;
+
+        filters.set('make_code', make.value);
+        if (model.value) filters.set('model_code', model.value);
+        if (year.value) filters.set('model_year', year.value);
+        if (current.checked) filters.set('is_current', 'true');
+        return filters;
+    }
+
+    async search() {
+        const filters = this.getFilters();
+        const limit = parseInt(this.form.elements.limit.value) || ApiSearch.PAGE_SIZE;
+        const items = [];
+        let meta = null;
+        let pageQuery = `page=1&limit=${Math.min(limit, ApiSearch.PAGE_SIZE)}`;
+
+        this.setBusy(true);
+        this.showStatus('Searching...');
+
+        try {
+            while (pageQuery && items.length < limit) {
+                const page = await this.fetchPage(filters, pageQuery);
+                meta = page.meta || null;
+                items.push(...(Array.isArray(page.data) ? page.data : []));
+
+                const total = Math.min(limit, meta?.item?.total ?? items.length);
+                this.showStatus(`Fetched ${Math.min(items.length, total)} of ${total} vehicles...`);
+                pageQuery = meta?.query?.nextPage || null;
+            }
+
+            const data = items.slice(0, limit);
+            if (data.length === 0) {
+                this.showStatus('No vehicles match this search.');
+                return;
+            }
+
+            const total = meta?.item?.total ?? data.length;
+            this.showStatus(`Loaded ${data.length} of ${total} matching vehicle${total === 1 ? '' : 's'}.`);
+            await this.onLoad({ meta, data }, { query: filters.toString() });
+        } catch (error) {
+            console.error('Error searching vehicles:', error);
+            this.showStatus('');
+            this.onError(`Vehicle search failed: ${error.message}`);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    // The API's page links carry only page and limit, so the filters are added back to each one
+    async fetchPage(filters, pageQuery) {
+        const params = new URLSearchParams(filters);
+        new URLSearchParams(pageQuery).forEach((value, key) => params.set(key, value));
+
+        const response = await fetch(ApiConfig.vehiclesUrl(params));
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    setBusy(busy) {
+        this.button.disabled = busy;
+        this.form.setAttribute('aria-busy', String(busy));
+    }
+
+    showStatus(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+
+    sortByLabel(entries, getLabel) {
+        return [...entries].sort((a, b) => String(getLabel(a)).localeCompare(String(getLabel(b))));
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApiSearch;
+}
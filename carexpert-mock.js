@@ -0,0 +1,182 @@
+/**
+ * CarExpert API Mock
+ * Local stand-in for the CarExpert vehicle data API (/v2/makes, /v2/makes/:code/models and
+ * /v2/vehicles) so the link generator, the makes page and API searches can be exercised
+ * without network access. Makes and models come from data/makeCodes.json and
+ * data/modelCodes/*.json, vehicles from vehicleData/ through the shared VehicleIndex.
+ * Responses keep the real API's shapes, including `meta.query` page links that carry only
+ * page and limit. Mounted by server.js under /v2; api-config.js points the pages at it.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+class CarExpertMock {
+    static DEFAULT_LIMIT = 10;
+
+    static MAX_LIMIT = 100;
+
+    // `full` is the whole NAVI vehicle; `summary` keeps the identifying and headline fields
+    static VIEWS = ['full', 'summary'];
+
+    static SUMMARY_FIELDS = [
+        'publicId', 'vehicleId', 'uniqueId', 'make', 'model', 'trim', 'versionName', 'modelYear',
+        'modelDescriptor', 'vehicleType', 'bodyType', 'numberOfDoors', 'transmissionType',
+        'transmissionNumberOfSpeeds', 'transmissionDescription', 'engineLiters', 'engineConfiguration',
+        'engineNumberOfCylinders', 'drivenWheels', 'fuelType', 'price', 'powertrainType', 'isCurrent',
+        'modelDetails', 'makeDetails', 'images'
+    ];
+
+    // The only data source the mock has; other values are refused as the real API would not know them
+    static DATA_SOURCES = ['jato'];
+
+    constructor({ codesDir, vehicleIndex }) {
+        this.codesDir = codesDir;
+        this.vehicleIndex = vehicleIndex;
+    }
+
+    router() {
+        const router = express.Router();
+
+        router.get('/makes', (req, res) => this.handle(res, () => this.makes(req.query)));
+        router.get('/makes/:code/models', (req, res) => this.handle(res, () => this.models(req.params.code, req.query)));
+        router.get('/vehicles', (req, res) => this.handle(res, () => this.vehicles(req.query)));
+
+        return router;
+    }
+
+    handle(res, respond) {
+        try {
+            const { status = 200, body } = respond();
+            res.status(status).json(body);
+        } catch (error) {
+            if (error instanceof MockQueryError) {
+                return res.status(error.status).json({ error: error.title, message: error.message });
+            }
+
+            console.error('❌ CarExpert mock failed:', error);
+            res.status(500).json({ error: 'Failed to load vehicle data', message: error.message });
+        }
+    }
+
+    makes(query) {
+        const makes = this.readCodes('makeCodes.json');
+        console.log(`📞 CarExpert mock: /v2/makes (${makes.length} makes)`);
+        return { body: { data: this.filterCurrent(makes, query.is_current) } };
+    }
+
+    models(code, query) {
+        const file = path.join('modelCodes', `${String(code).toLowerCase()}.json`);
+        if (!/^[a-z0-9]+$/i.test(code) || !fs.existsSync(path.join(this.codesDir, file))) {
+            throw new MockQueryError(404, 'Make not found', `No models for make code ${code}`);
+        }
+
+        const models = this.readCodes(file);
+        console.log(`📞 CarExpert mock: /v2/makes/${code}/models (${models.length} models)`);
+        return { body: { data: this.filterCurrent(models, query.is_current) } };
+    }
+
+    vehicles(query) {
+        const view = query.view || 'full';
+        if (!CarExpertMock.VIEWS.includes(view)) {
+            throw new MockQueryError(400, 'Invalid view', `view must be one of ${CarExpertMock.VIEWS.join(', ')}`);
+        }
+        if (query.data_source && !CarExpertMock.DATA_SOURCES.includes(query.data_source)) {
+            throw new MockQueryError(400, 'Invalid data source', `data_source must be one of ${CarExpertMock.DATA_SOURCES.join(', ')}`);
+        }
+
+        const makeCode = this.normalise(query.make_code);
+        const modelCode = this.normalise(query.model_code);
+        const modelYear = this.parseInteger(query.model_year, 'model_year', null);
+        const isCurrent = this.parseBoolean(query.is_current, 'is_current');
+        const page = this.parseInteger(query.page, 'page', 1);
+        const limit = Math.min(this.parseInteger(query.limit, 'limit', CarExpertMock.DEFAULT_LIMIT), CarExpertMock.MAX_LIMIT);
+
+        const matches = this.vehicleIndex.refresh().entries.filter(entry => {
+            const vehicle = entry.item.vehicle;
+            return (!makeCode || entry.makeCode === makeCode) &&
+                (!modelCode || entry.modelCode === modelCode) &&
+                (modelYear === null || Number(vehicle.modelYear) === modelYear) &&
+                (isCurrent === null || Boolean(vehicle.isCurrent) === isCurrent);
+        });
+
+        const totalPages = Math.ceil(matches.length / limit);
+        const data = matches
+            .slice((page - 1) * limit, page * limit)
+            .map(entry => (view === 'summary' ? this.summarise(entry.item) : entry.item));
+
+        console.log(`📞 CarExpert mock: /v2/vehicles ${new URLSearchParams(query).toString()} (${matches.length} vehicles)`);
+
+        return {
+            body: {
+                meta: {
+                    page: { current: page, total: totalPages },
+                    item: { limit, total: matches.length },
+                    query: {
+                        currentPage: this.pageQuery(page, limit),
+                        nextPage: page < totalPages ? this.pageQuery(page + 1, limit) : null,
+                        previousPage: page > 1 ? this.pageQuery(page - 1, limit) : null,
+                        firstPage: this.pageQuery(1, limit),
+                        lastPage: this.pageQuery(Math.max(totalPages, 1), limit)
+                    }
+                },
+                data
+            }
+        };
+    }
+
+    // The real API's page links hold only page and limit, e.g. "page=2&limit=10"
+    pageQuery(page, limit) {
+        return `page=${page}&limit=${limit}`;
+    }
+
+    summarise(item) {
+        const vehicle = {};
+        CarExpertMock.SUMMARY_FIELDS.forEach(field => {
+            if (item.vehicle[field] !== undefined) {
+                vehicle[field] = item.vehicle[field];
+            }
+        });
+        return { make: item.make, model: item.model, vehicle };
+    }
+
+    readCodes(file) {
+        return JSON.parse(fs.readFileSync(path.join(this.codesDir, file), 'utf8')).data || [];
+    }
+
+    filterCurrent(entries, isCurrentParam) {
+        const isCurrent = this.parseBoolean(isCurrentParam, 'is_current');
+        return isCurrent === null ? entries : entries.filter(entry => Boolean(entry.isCurrent) === isCurrent);
+    }
+
+    normalise(value) {
+        return String(value ?? '').trim().toLowerCase();
+    }
+
+    parseInteger(value, name, fallback) {
+        if (value === undefined || value === '') return fallback;
+        if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+            throw new MockQueryError(400, 'Invalid parameter', `${name} must be a whole number of 1 or more`);
+        }
+        return Number(value);
+    }
+
+    parseBoolean(value, name) {
+        if (value === undefined || value === '') return null;
+        if (value === 'true' || value === 'false') return value === 'true';
+        throw new MockQueryError(400, 'Invalid parameter', `${name} must be true or false`);
+    }
+}
+
+// A request the real API would refuse; answered with `status` and { error, message }
+class MockQueryError extends Error {
+    constructor(status, title, message) {
+        super(message);
+        this.name = 'MockQueryError';
+        this.status = status;
+        this.title = title;
+    }
+}
+
+module.exports = CarExpertMock;
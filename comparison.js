@@ -4,16 +4,57 @@
  */
 
 class VehicleColumnarComparison {
+    // Dataset shown when the URL does not name one
+    static DEFAULT_DATASET = 'suzukiJimny.json';
+
+    // Trim ladders, or 'changelog' for the "What's new" view across model years
+    static DEFAULT_VIEW = 'ladders';
+
     constructor() {
         this.vehicles = [];
         this.categories = new Set();
         this.currentFilter = 'all';
-        this.currentSort = 'price-low';
+        this.currentSort = TrimLadder.DEFAULT_ORDERING;
+        this.ladderGrouping = TrimLadder.DEFAULT_GROUPING;
+        this.parentOverrides = {}; // vehicle id → parent id picked by the reader
+        this.view = VehicleColumnarComparison.DEFAULT_VIEW;
+        this.includeDiscontinued = true;
         this.dataLabelMapping = null;
+        this.normalizer = new VehicleNormalizer();
+        this.specRules = new SpecRules(null, this.normalizer);
+        this.locale = new Locale();
+        this.unitSystem = new UnitSystem(this.normalizer, this.locale);
+        this.validator = new VehicleValidator();
+        this.library = new VehicleLibrary();
+        this.featureGroups = new FeatureGroups();
+        this.trimLadder = new TrimLadder({ countFeatures: vehicle => this.countFeatures(vehicle) });
+        this.optionPacks = new OptionPacks({
+            isAbsentValue: value => this.isAbsentValue(value),
+            getCategoryName: category => this.formatCategoryName(category)
+        });
+        this.packs = [];
+        this.modelChangelog = new ModelChangelog({ getPowertrainLabel: vehicle => this.trimLadder.getPowertrainLabel(vehicle) });
+        this.fieldWinners = {};
+        this.currentDataset = null;
+        this.isRestoringUrlState = false;
+        this.urlState = new UrlState({
+            defaults: {
+                dataset: VehicleColumnarComparison.DEFAULT_DATASET,
+                filter: 'all',
+                sort: TrimLadder.DEFAULT_ORDERING,
+                ladder: TrimLadder.DEFAULT_GROUPING,
+                view: VehicleColumnarComparison.DEFAULT_VIEW,
+                discontinued: '1'
+            },
+            arrayKeys: ['parents']
+        });
         
         this.initializeEventListeners();
         this.loadDataLabelMapping();
-        this.loadDefaultData();
+        this.loadSpecRules();
+        this.loadFeatureGroups();
+        this.restoreUrlState(this.urlState.read());
+        this.urlState.onChange(state => this.restoreUrlState(state));
     }
 
     initializeEventListeners() {
@@ -26,20 +67,130 @@ class VehicleColumnarComparison {
         const preloadedSelect = document.getElementById('preloaded-data-select');
         preloadedSelect.addEventListener('change', (e) => this.handlePreloadedDataSelection(e));
 
-        // File input handler
-        const fileInput = document.getElementById('vehicle-data-file');
-        fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
+        // File input handler: pick or drop one or more .json/.json.gz files
+        this.fileUpload = new FileUpload(document.getElementById('vehicle-data-file'), {
+            onLoad: (data, upload) => this.handleFileUpload(data, upload),
+            onError: (message) => this.showError(message)
+        });
+
+        // CarExpert API search
+        this.apiSearch = new ApiSearch(document.getElementById('api-search-form'), {
+            onLoad: (payload, search) => this.showSearchResults(payload, search),
+            onError: (message) => this.showError(message)
+        });
+
+        // Saved datasets ("My datasets")
+        this.datasetManager = new DatasetManager(document.getElementById('dataset-library'), {
+            library: this.library,
+            locale: this.locale,
+            onOpen: (summary, payload) => this.openLibraryDataset(summary, payload),
+            onError: (message) => this.showError(message)
+        });
 
         // Filter and sort handlers
         document.getElementById('category-filter').addEventListener('change', (e) => {
             this.currentFilter = e.target.value;
             this.renderComparisonTable();
+            this.updateUrlState();
         });
 
         document.getElementById('sort-option').addEventListener('change', (e) => {
             this.currentSort = e.target.value;
+            this.dropIgnoredOverrides();
+            this.renderComparisonTable();
+            this.updateUrlState();
+        });
+
+        document.getElementById('ladder-grouping').addEventListener('change', (e) => {
+            this.ladderGrouping = e.target.value;
+            this.dropIgnoredOverrides();
+            this.renderComparisonTable();
+            this.updateUrlState();
+        });
+
+        document.getElementById('comparison-view').addEventListener('change', (e) => {
+            this.view = e.target.value;
+            this.renderComparisonTable();
+            this.updateUrlState();
+        });
+
+        // Variants no longer sold are kept in or left out of the "What's new" view
+        document.getElementById('include-discontinued').addEventListener('change', (e) => {
+            this.includeDiscontinued = e.target.checked;
             this.renderComparisonTable();
+            this.updateUrlState();
         });
+
+        // Option packs found across the loaded variants, for content writers
+        document.getElementById('export-packs').addEventListener('click', () => this.exportOptionPacks());
+
+        // "Compare with" pickers in each column override that variant's parent on the ladder
+        document.getElementById('comparison-table-container').addEventListener('change', (e) => this.handleParentChange(e));
+
+        // Units follow the preference shared by every page
+        UnitSystem.bindSelector(document.getElementById('unit-system'));
+        UnitSystem.onChange(system => {
+            this.unitSystem.setSystem(system);
+            if (this.vehicles.length > 0) {
+                this.renderComparisonTable();
+            }
+        });
+
+        // Labels and number formats follow the language preference shared by every page
+        Locale.bindSelector(document.getElementById('language'));
+        Locale.onChange(async language => {
+            await this.locale.setLanguage(language);
+            if (this.vehicles.length > 0) {
+                this.populateCategoryFilter();
+                this.renderComparisonTable();
+            }
+        });
+    }
+
+    getUrlState() {
+        return {
+            dataset: this.currentDataset,
+            filter: this.currentFilter,
+            sort: this.currentSort,
+            ladder: this.ladderGrouping,
+            view: this.view,
+            discontinued: this.includeDiscontinued ? '1' : '0',
+            parents: Object.entries(this.parentOverrides).map(([childId, parentId]) => `${childId}~${parentId}`)
+        };
+    }
+
+    updateUrlState() {
+        if (this.isRestoringUrlState) return;
+        this.urlState.write(this.getUrlState());
+    }
+
+    async restoreUrlState(state) {
+        this.isRestoringUrlState = true;
+
+        try {
+            this.currentFilter = state.filter;
+            this.currentSort = TrimLadder.ORDERINGS[state.sort] ? state.sort : TrimLadder.DEFAULT_ORDERING;
+            this.ladderGrouping = TrimLadder.GROUPINGS[state.ladder] ? state.ladder : TrimLadder.DEFAULT_GROUPING;
+            this.parentOverrides = Object.fromEntries(state.parents
+                .map(entry => entry.split('~'))
+                .filter(pair => pair.length === 2));
+            this.view = state.view === 'changelog' ? 'changelog' : VehicleColumnarComparison.DEFAULT_VIEW;
+            this.includeDiscontinued = state.discontinued !== '0';
+            document.getElementById('sort-option').value = this.currentSort;
+            document.getElementById('ladder-grouping').value = this.ladderGrouping;
+            document.getElementById('comparison-view').value = this.view;
+            document.getElementById('include-discontinued').checked = this.includeDiscontinued;
+
+            // Only refetch when the URL names a different dataset
+            if (this.vehicles.length > 0 && state.dataset === this.currentDataset) {
+                this.populateCategoryFilter();
+                this.renderComparisonTable();
+            } else {
+                await this.loadPreloadedDataset(state.dataset);
+            }
+        } finally {
+            this.isRestoringUrlState = false;
+        }
     }
 
     async loadDataLabelMapping() {
@@ -50,30 +201,49 @@ class VehicleColumnarComparison {
             }
             this.dataLabelMapping = await response.json();
             console.log('Data label mapping loaded successfully');
+            await this.locale.setLanguage(this.locale.language);
         } catch (error) {
             console.error('Error loading data label mapping:', error);
             console.warn('Continuing without data label mapping - using fallback formatting');
         }
     }
 
-    async loadDefaultData() {
+    async loadSpecRules() {
         try {
-            // Load the first available dataset by default (Suzuki Jimny)
-            const response = await fetch('vehicleData/suzukiJimny.json');
+            const response = await fetch('specRules.json');
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            const data = await response.json();
-            this.processVehicleData(data);
-            
-            // Update the dropdown to show the selected dataset
-            const preloadedSelect = document.getElementById('preloaded-data-select');
-            if (preloadedSelect) {
-                preloadedSelect.value = 'suzukiJimny.json';
+            this.specRules.setRules(await response.json());
+            console.log('Spec rules loaded successfully');
+
+            // Data may have rendered before the rules arrived
+            if (this.vehicles.length > 1) {
+                this.renderComparisonTable();
             }
         } catch (error) {
-            console.error('Error loading default data:', error);
-            this.showNoData();
+            console.error('Error loading spec rules:', error);
+            console.warn('Continuing without spec rules - no values will be highlighted');
+        }
+    }
+
+    async loadFeatureGroups() {
+        try {
+            const response = await fetch('featureGroups.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.featureGroups.setGroups(await response.json());
+            console.log('Feature groups loaded successfully');
+
+            // Data may have loaded before the groups arrived
+            if (this.vehicles.length > 0) {
+                this.featureGroups.apply(this.vehicles);
+                this.renderComparisonTable();
+            }
+        } catch (error) {
+            console.error('Error loading feature groups:', error);
+            console.warn('Continuing without feature groups - related specs are listed separately');
         }
     }
 
@@ -91,58 +261,72 @@ class VehicleColumnarComparison {
         const selectedFile = event.target.value;
         if (!selectedFile) return;
 
+        this.parentOverrides = {};
+        await this.loadPreloadedDataset(selectedFile);
+        this.updateUrlState();
+    }
+
+    async loadPreloadedDataset(filename) {
         try {
             this.showLoading(true);
-            const response = await fetch(`vehicleData/${selectedFile}`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
+            const data = await this.library.loadPreloaded(filename);
+            this.currentDataset = filename;
+            document.getElementById('preloaded-data-select').value = filename;
             this.processVehicleData(data);
         } catch (error) {
             console.error('Error loading preloaded data:', error);
-            this.showError(`Failed to load ${selectedFile}. Please check if the file exists and is accessible.`);
+            this.showError(`Failed to load ${filename}. Please check if the file exists and is accessible.`);
         }
     }
 
-    handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    // `data` is already parsed and, for several files, merged by FileUpload
+    async handleFileUpload(data, { fileName, files }) {
+        // Malformed variants are reported and left out instead of failing during rendering
+        const payload = await this.validator.review(data, { anchor: this.fileUpload.input, fileName });
+        if (!payload) return;
+
+        this.library.saveUpload(payload, files);
+        this.showUploadedData(payload);
+    }
+
+    showUploadedData(payload) {
+        this.currentDataset = null;
+        this.parentOverrides = {};
+        this.processVehicleData(payload);
+        this.updateUrlState();
+    }
 
-        if (file.type !== 'application/json') {
-            this.showError('Please select a valid JSON file.');
+    showSearchResults(payload, { query }) {
+        this.library.saveSearch(payload, query);
+        this.showUploadedData(payload);
+    }
+
+    // Preloaded datasets reopen through their file so the URL can still be shared
+    async openLibraryDataset(summary, payload) {
+        if (summary.source === 'preloaded') {
+            await this.loadPreloadedDataset(summary.file);
+            this.updateUrlState();
             return;
         }
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                this.processVehicleData(data);
-            } catch (error) {
-                console.error('Error parsing JSON:', error);
-                this.showError('Invalid JSON file. Please check the file format.');
-            }
-        };
-        reader.readAsText(file);
+        this.showUploadedData(payload);
     }
 
     processVehicleData(data) {
         try {
             this.showLoading(true);
             
-            // Handle different data structures
-            const vehicles = data.data || data.vehicles || data;
-            if (!Array.isArray(vehicles)) {
-                throw new Error('Invalid data structure. Expected an array of vehicles.');
-            }
-
-            if (vehicles.length === 0) {
+            // Normalise the NAVI payload into the shared canonical vehicle model
+            const dataset = this.normalizer.normalizeDataset(data);
+            if (dataset.vehicles.length === 0) {
                 this.showNoData();
                 return;
             }
 
-            this.vehicles = vehicles.map(vehicle => this.normalizeVehicleData(vehicle));
+            this.vehicles = this.featureGroups.apply(dataset.vehicles);
+            this.categories = new Set();
+            this.vehicles.forEach(vehicle => {
+                Object.keys(vehicle.specifications).forEach(category => this.categories.add(category));
+            });
             this.populateCategoryFilter();
             this.renderComparisonTable();
             this.showLoading(false);
@@ -152,114 +336,10 @@ class VehicleColumnarComparison {
         }
     }
 
-    normalizeVehicleData(vehicle) {
-        // Handle different data structures from the sample and API
-        const vehicleData = vehicle.vehicle || vehicle;
-        const generalInfo = vehicleData.vehicleGeneralInfo || {};
-        
-        return {
-            id: vehicleData.vehicleId || vehicleData.id || Math.random().toString(36),
-            make: generalInfo.localMake || vehicleData.make || 'Unknown',
-            model: generalInfo.localModel || vehicleData.model || 'Unknown',
-            trim: generalInfo.localTrimLevel || vehicleData.trim || 'Base',
-            versionName: generalInfo.localVersionName || vehicleData.versionName || '',
-            year: vehicleData.modelYear || vehicleData.year || new Date().getFullYear(),
-            price: vehicleData.price || 0,
-            specifications: this.extractSpecifications(vehicleData),
-            isCurrent: vehicleData.isCurrent !== false
-        };
-    }
-
-    extractSpecifications(vehicleData) {
-        const specs = {};
-        
-        // Extract specifications from all available categories dynamically
-        // Skip non-specification fields that shouldn't be included
-        const excludeFields = [
-            'vehicleId', 'make', 'model', 'trim', 'versionName', 'modelYear', 
-            'price', 'isCurrent', 'vehicleGeneralInfo', 'standardText',
-            'makeDetails', 'modelDetails', 'calculated'
-        ];
-        
-        Object.keys(vehicleData).forEach(category => {
-            // Only include categories that are objects and not in the exclude list
-            if (typeof vehicleData[category] === 'object' && 
-                vehicleData[category] !== null && 
-                !Array.isArray(vehicleData[category]) &&
-                !excludeFields.includes(category)) {
-                specs[category] = this.flattenObject(vehicleData[category]);
-                this.categories.add(category);
-            }
-        });
-
-        return specs;
-    }
-
-    flattenObject(obj, prefix = '') {
-        const flattened = {};
-        
-        for (const key in obj) {
-            if (obj.hasOwnProperty(key)) {
-                const newKey = prefix ? `${prefix}.${key}` : key;
-                const value = obj[key];
-                
-                if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                    Object.assign(flattened, this.flattenObject(value, newKey));
-                } else {
-                    // Check if this is a local field and prefer it over non-local
-                    const isLocalField = key.startsWith('local');
-                    const nonLocalKey = key.replace(/^local/, '');
-                    const nonLocalNewKey = prefix ? `${prefix}.${nonLocalKey}` : nonLocalKey;
-                    
-                    if (isLocalField) {
-                        // Use the local field without the 'local' prefix
-                        flattened[nonLocalNewKey] = value;
-                    } else {
-                        // Only add non-local field if no local version exists
-                        if (!obj[`local${key.charAt(0).toUpperCase() + key.slice(1)}`]) {
-                            flattened[newKey] = value;
-                        }
-                    }
-                }
-            }
-        }
-        
-        return flattened;
-    }
-
     shouldExcludeField(category, specification) {
-        const specLower = specification.toLowerCase();
-        
-        // Exclude "others" category entirely
-        if (category === 'others') {
-            return true;
-        }
-        
-        // Performance field exclusions
-        if (category === 'performance') {
-            const performanceExcludeTerms = ['mph', 'mpg', 'gallon', 'miles'];
-            return performanceExcludeTerms.some(term => specLower.includes(term));
-        }
-        
-        // Dimension field exclusions
-        if (category === 'dimensions') {
-            const dimensionExcludeTerms = ['inches', 'feet', 'cubic feet', 'in', 'cuft'];
-            return dimensionExcludeTerms.some(term => specLower.includes(term));
-        }
-        
-        // Warranty field exclusions
-        if (category === 'warranty') {
-            const warrantyExcludeTerms = ['miles'];
-            return warrantyExcludeTerms.some(term => specLower.includes(term));
-        }
-        
-        // Weight field exclusions
-        if (category === 'weights') {
-            const weightExcludeTerms = ['pounds', 'lbs', 'lb'];
-            return weightExcludeTerms.some(term => specLower.includes(term));
-        }
-        
-        return false;
+        // Metric/imperial twins are already collapsed into one spec by the normalizer;
+        // only the "others" catch-all category is left out
+        return category === 'others';
     }
 
     populateCategoryFilter() {
@@ -273,32 +353,69 @@ class VehicleColumnarComparison {
             option.textContent = this.formatCategoryName(category);
             filter.appendChild(option);
         });
+
+        // Keep the current filter when the new data still has that category
+        if (!this.categories.has(this.currentFilter)) {
+            this.currentFilter = 'all';
+        }
+        filter.value = this.currentFilter;
     }
 
     formatCategoryName(category) {
-        return category
+        const fallbackName = category
             .replace(/([A-Z])/g, ' $1')
             .replace(/^./, str => str.toUpperCase())
             .trim();
+        return this.locale.getCategoryName(category, fallbackName);
     }
 
-    getSortedVehicles() {
-        const sorted = [...this.vehicles];
-        
-        switch (this.currentSort) {
-            case 'price-low':
-                return sorted.sort((a, b) => a.price - b.price);
-            case 'price-high':
-                return sorted.sort((a, b) => b.price - a.price);
-            case 'year-new':
-                return sorted.sort((a, b) => b.year - a.year);
-            case 'year-old':
-                return sorted.sort((a, b) => a.year - b.year);
-            case 'trim':
-                return sorted.sort((a, b) => a.trim.localeCompare(b.trim));
-            default:
-                return sorted;
+    getLadders() {
+        return this.trimLadder.build(this.vehicles, {
+            grouping: this.ladderGrouping,
+            ordering: this.currentSort,
+            parents: this.parentOverrides
+        });
+    }
+
+    // Positive specs on a vehicle, used to order trims that share a price
+    countFeatures(vehicle) {
+        let count = 0;
+        Object.keys(vehicle.specifications).forEach(category => {
+            Object.keys(vehicle.specifications[category]).forEach(spec => {
+                if (!this.shouldExcludeField(category, spec) && this.isPositiveValue(vehicle.specifications[category][spec])) {
+                    count++;
+                }
+            });
+        });
+        return count;
+    }
+
+    // Forget overrides the ladder ignored (a loop or an unknown variant) so the URL matches the pickers
+    dropIgnoredOverrides() {
+        const applied = new Set(this.getLadders()
+            .flatMap(ladder => ladder.rungs)
+            .filter(rung => rung.isOverridden)
+            .map(rung => String(rung.vehicle.id)));
+        Object.keys(this.parentOverrides).forEach(vehicleId => {
+            if (!applied.has(vehicleId)) {
+                delete this.parentOverrides[vehicleId];
+            }
+        });
+    }
+
+    handleParentChange(e) {
+        const select = e.target.closest('.ladder-parent-select');
+        if (!select) return;
+
+        const vehicleId = select.dataset.vehicleId;
+        if (select.value) {
+            this.parentOverrides[vehicleId] = select.value;
+        } else {
+            delete this.parentOverrides[vehicleId];
         }
+        this.dropIgnoredOverrides();
+        this.renderComparisonTable();
+        this.updateUrlState();
     }
 
     getAllSpecifications() {
@@ -333,80 +450,65 @@ class VehicleColumnarComparison {
         return { [this.currentFilter]: allSpecs[this.currentFilter] || {} };
     }
 
-    compareVehicles(vehicle1, vehicle2) {
-        const adds = [];
-        const removes = [];
-        
-        // Get all specifications from both vehicles
-        const allSpecs = new Set();
-        Object.keys(vehicle1.specifications).forEach(category => {
-            Object.keys(vehicle1.specifications[category]).forEach(spec => {
-                if (!this.shouldExcludeField(category, spec)) {
-                    allSpecs.add(`${category}.${spec}`);
-                }
-            });
-        });
-        Object.keys(vehicle2.specifications).forEach(category => {
-            Object.keys(vehicle2.specifications[category]).forEach(spec => {
-                if (!this.shouldExcludeField(category, spec)) {
-                    allSpecs.add(`${category}.${spec}`);
+    /**
+     * Three-way diff of `vehicle` against `parent`, each part keyed by category then spec:
+     * `added` and `removed` hold the value of a spec only one of them has, `changed` holds
+     * { from, to, direction } where direction is 'upgrade', 'downgrade' or null (no rule says)
+     */
+    compareVehicles(parent, vehicle, filteredSpecs) {
+        const added = {};
+        const removed = {};
+        const changed = {};
+        const addTo = (group, category, spec, entry) => {
+            if (!group[category]) group[category] = {};
+            group[category][spec] = entry;
+        };
+
+        Object.keys(filteredSpecs).forEach(category => {
+            Object.keys(filteredSpecs[category]).forEach(spec => {
+                const from = parent.specifications[category]?.[spec];
+                const to = vehicle.specifications[category]?.[spec];
+                const hasFrom = !this.isAbsentValue(from);
+                const hasTo = !this.isAbsentValue(to);
+
+                if (hasTo && !hasFrom) {
+                    addTo(added, category, spec, to);
+                } else if (hasFrom && !hasTo) {
+                    addTo(removed, category, spec, from);
+                } else if (hasFrom && hasTo && !this.isSameValue(from, to)) {
+                    addTo(changed, category, spec, { from, to, direction: this.getChangeDirection(category, spec, from, to, parent, vehicle) });
                 }
             });
         });
 
-        // Compare each specification
-        allSpecs.forEach(specKey => {
-            const [category, spec] = specKey.split('.');
-            const value1 = vehicle1.specifications[category]?.[spec];
-            const value2 = vehicle2.specifications[category]?.[spec];
-            
-            // If vehicle2 has a value but vehicle1 doesn't, it's an add
-            if (value2 && !value1) {
-                adds.push({
-                    category,
-                    specification: spec,
-                    value: value2
-                });
-            }
-            // If vehicle1 has a value but vehicle2 doesn't, it's a remove
-            else if (value1 && !value2) {
-                removes.push({
-                    category,
-                    specification: spec,
-                    value: value1
-                });
-            }
-            // If both have values but they're different, it's a change
-            else if (value1 && value2 && value1 !== value2) {
-                adds.push({
-                    category,
-                    specification: spec,
-                    value: value2,
-                    previousValue: value1
-                });
-                removes.push({
-                    category,
-                    specification: spec,
-                    value: value1,
-                    newValue: value2
-                });
-            }
-        });
+        return { added, removed, changed };
+    }
+
+    // Upgrade or downgrade by the field's rule in specRules.json (e.g. higher power, an ordinal list);
+    // a grouped feature is an upgrade when more of its specs are fitted
+    getChangeDirection(category, spec, from, to, parent, vehicle) {
+        const comparison = this.featureGroups.isFeature(category, spec)
+            ? Math.sign(this.featureGroups.countPresent(vehicle, category, spec) - this.featureGroups.countPresent(parent, category, spec))
+            : this.specRules.compare(category, spec, from, to);
+        if (comparison > 0) return 'upgrade';
+        if (comparison < 0) return 'downgrade';
+        return null;
+    }
 
-        return { adds, removes };
+    isSameValue(a, b) {
+        return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
     }
 
     renderComparisonTable() {
         const container = document.getElementById('comparison-table-container');
-        const sortedVehicles = this.getSortedVehicles();
         const filteredSpecs = this.getFilteredSpecifications();
 
-        if (sortedVehicles.length === 0) {
+        if (this.vehicles.length === 0) {
             this.showNoData();
             return;
         }
 
-        if (sortedVehicles.length === 1) {
+        if (this.vehicles.length === 1) {
             container.innerHTML = `
                 <div class="empty-comparison">
                     <h3>Single Vehicle Loaded</h3>
@@ -416,64 +518,193 @@ class VehicleColumnarComparison {
             return;
         }
 
+        if (this.view === 'changelog') {
+            container.innerHTML = this.renderChangelog(filteredSpecs);
+            return;
+        }
+
+        const ladders = this.getLadders();
+        this.fieldWinners = this.calculateFieldWinners(this.vehicles, filteredSpecs);
+        this.packs = this.optionPacks.find(this.vehicles);
+
         // Create the Ford Escape style layout
         let comparisonHTML = '';
         
         // Main title - outside of scrollable container
-        const firstVehicle = sortedVehicles[0];
+        const firstVehicle = ladders[0].rungs[0].vehicle;
         comparisonHTML += `
             <div class="main-title">
-                <h1>${firstVehicle.year} ${firstVehicle.make} ${firstVehicle.model} Specs</h1>
-                <p>See our comprehensive details for the ${firstVehicle.make} ${firstVehicle.model}</p>
+                <h1>${firstVehicle.year} ${firstVehicle.displayName} Specs</h1>
+                <p>See our comprehensive details for the ${firstVehicle.displayName}</p>
             </div>
         `;
         
-        // Scrollable content container
+        // Scrollable content container, one row of columns per ladder
         comparisonHTML += '<div class="ford-escape-layout">';
-        
-        // Dynamic layout based on number of vehicles
-        const layoutClass = sortedVehicles.length > 3 ? 'multi-vehicle-layout' : 'three-column-layout';
-        console.log(`Rendering ${sortedVehicles.length} vehicles with layout class: ${layoutClass}`);
-        comparisonHTML += `<div class="${layoutClass}">`;
-        
-        // Render all vehicles
-        sortedVehicles.forEach((vehicle, index) => {
-            if (index === 0) {
-                // First vehicle (base) - show full specs
-                comparisonHTML += `
-                    <div class="spec-column">
-                        <h2 class="column-header">${vehicle.trim}</h2>
-                        ${vehicle.versionName ? `<div class="column-subheader">${vehicle.versionName}</div>` : ''}
-                        ${this.renderVehicleSpecs(vehicle, filteredSpecs)}
-                    </div>
-                `;
-            } else {
-                // Subsequent vehicles - show adds/removes compared to previous vehicle
-                const previousVehicle = sortedVehicles[index - 1];
-                const addsToPrevious = this.getAddsToPrevious(previousVehicle, vehicle, filteredSpecs);
-                const removesFromPrevious = this.getRemovesFromPrevious(previousVehicle, vehicle, filteredSpecs);
-                comparisonHTML += `
-                    <div class="spec-column">
-                        <h2 class="column-header">${vehicle.trim}</h2>
-                        ${vehicle.versionName ? `<div class="column-subheader">${vehicle.versionName}</div>` : ''}
-                        <div class="adds-section">
-                            <h3 class="section-title">Adds to ${previousVehicle.trim}:</h3>
-                            ${this.renderAddsSpecs(addsToPrevious)}
-                        </div>
-                        <div class="removes-section">
-                            <h3 class="section-title">Removes from ${previousVehicle.trim}:</h3>
-                            ${this.renderRemovesSpecs(removesFromPrevious)}
-                        </div>
-                    </div>
-                `;
-            }
+        ladders.forEach(ladder => {
+            comparisonHTML += this.renderLadder(ladder, filteredSpecs, ladders.length > 1);
         });
-        
-        comparisonHTML += '</div></div>';
+        comparisonHTML += '</div>';
         
         container.innerHTML = comparisonHTML;
     }
 
+    renderLadder(ladder, filteredSpecs, showTitle) {
+        // Dynamic layout based on number of vehicles
+        const layoutClass = ladder.rungs.length > 3 ? 'multi-vehicle-layout' : 'three-column-layout';
+
+        return `
+            <section class="trim-ladder">
+                ${showTitle ? `<h2 class="ladder-title">${ladder.label}</h2>` : ''}
+                <div class="${layoutClass}">
+                    ${ladder.rungs.map(rung => this.renderRung(rung, filteredSpecs)).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    renderRung({ vehicle, parent, isOverridden }, filteredSpecs) {
+        const header = `
+            <h2 class="column-header">${vehicle.trim}</h2>
+            ${vehicle.versionName ? `<div class="column-subheader">${vehicle.versionName}</div>` : ''}
+            ${this.renderParentPicker(vehicle, parent, isOverridden)}
+        `;
+
+        // The foot of a ladder shows its full specs
+        if (!parent) {
+            return `
+                <div class="spec-column">
+                    ${header}
+                    ${this.renderVehicleSpecs(vehicle, filteredSpecs)}
+                </div>
+            `;
+        }
+
+        // Every other rung shows what it adds to, changes from and removes from its parent,
+        // with specs that belong to a whole option pack listed under the pack
+        const { added, removed, changed } = this.compareVehicles(parent, vehicle, filteredSpecs);
+        const adds = this.optionPacks.extract(this.packs, added);
+        const removes = this.optionPacks.extract(this.packs, removed);
+        return `
+            <div class="spec-column">
+                ${header}
+                <div class="adds-section">
+                    <h3 class="section-title">Adds to ${parent.trim}:</h3>
+                    ${this.renderAddsSpecs(adds.remaining, vehicle, adds.bundles)}
+                </div>
+                <div class="changes-section">
+                    <h3 class="section-title">Changes from ${parent.trim}:</h3>
+                    ${this.renderChangesSpecs(changed, vehicle, parent)}
+                </div>
+                <div class="removes-section">
+                    <h3 class="section-title">Removes from ${parent.trim}:</h3>
+                    ${this.renderRemovesSpecs(removes.remaining, parent, removes.bundles)}
+                </div>
+            </div>
+        `;
+    }
+
+    renderParentPicker(vehicle, parent, isOverridden) {
+        const selected = isOverridden ? (parent ? String(parent.id) : TrimLadder.NO_PARENT) : '';
+        const options = this.vehicles
+            .filter(other => other.id !== vehicle.id)
+            .map(other => `
+                <option value="${other.id}"${selected === String(other.id) ? ' selected' : ''}>
+                    ${other.trim}${other.versionName ? ` – ${other.versionName}` : ''} (${this.formatPrice(other.price)})
+                </option>
+            `)
+            .join('');
+
+        return `
+            <label class="ladder-parent">
+                <span class="ladder-parent-label">Compare with:</span>
+                <select class="ladder-parent-select" data-vehicle-id="${vehicle.id}">
+                    <option value="">Rung below (default)</option>
+                    <option value="${TrimLadder.NO_PARENT}"${selected === TrimLadder.NO_PARENT ? ' selected' : ''}>Nothing (full specs)</option>
+                    ${options}
+                </select>
+            </label>
+        `;
+    }
+
+    // "What's new": each model year against the one before, newest first
+    renderChangelog(filteredSpecs) {
+        const changelog = this.modelChangelog.build(this.vehicles, {
+            compare: (previous, vehicle) => this.compareVehicles(previous, vehicle, filteredSpecs),
+            includeDiscontinued: this.includeDiscontinued
+        });
+
+        if (changelog.length === 0) {
+            return `
+                <div class="empty-comparison">
+                    <h3>One Model Year Loaded</h3>
+                    <p>Load variants from two or more model years to see what changed between them${this.includeDiscontinued ? '' : ', or include discontinued variants'}.</p>
+                </div>
+            `;
+        }
+
+        const firstVehicle = this.vehicles[0];
+        return `
+            <div class="main-title">
+                <h1>What's New: ${firstVehicle.displayName}</h1>
+                <p>Each model year compared with the one before, matching variants by trim and powertrain</p>
+            </div>
+            ${changelog.map(year => `
+                <section class="changelog-year">
+                    <h2 class="ladder-title">${year.label} <span class="changelog-previous">vs ${year.previousLabel}</span></h2>
+                    <ul class="changelog-entries">
+                        ${year.entries.map(entry => this.renderChangelogEntry(entry, year)).join('')}
+                    </ul>
+                </section>
+            `).join('')}
+        `;
+    }
+
+    renderChangelogEntry(entry, year) {
+        return `
+            <li class="changelog-entry changelog-${entry.status}">
+                <div class="changelog-heading">
+                    <span class="changelog-variant">${entry.status === 'dropped' ? year.previousLabel : year.label} ${entry.trim}</span>
+                    <span class="changelog-powertrain">${entry.powertrain}</span>
+                    <span class="changelog-status">${ModelChangelog.STATUSES[entry.status]}</span>
+                    ${entry.date ? `<span class="changelog-date">${this.locale.formatDate(entry.date)}</span>` : ''}
+                </div>
+                <p class="changelog-summary">${this.describeChangelogEntry(entry, year)}</p>
+            </li>
+        `;
+    }
+
+    // One line per entry, e.g. "gained Wireless Apple CarPlay; price +$1,200"
+    describeChangelogEntry({ status, vehicle, previous, diff, priceChange }, year) {
+        if (status === 'new') {
+            return `New for ${year.label}${vehicle.price ? ` at ${this.formatPrice(vehicle.price)}` : ''}`;
+        }
+        if (status === 'dropped') {
+            return `Not offered in ${year.label}${previous.price ? `; was ${this.formatPrice(previous.price)} in ${year.previousLabel}` : ''}`;
+        }
+
+        // A returning variant is compared with the last year it was offered
+        const since = status === 'returning' ? `Last offered in ${ModelChangelog.yearLabel(previous.year)}; ` : '';
+        const list = (group, describe) => Object.keys(group).flatMap(category =>
+            Object.keys(group[category]).map(spec => describe(category, spec, group[category][spec])));
+        const withValue = (source) => (category, spec, value) => this.isYesValue(value)
+            ? this.formatSpecificationName(spec, category)
+            : `${this.formatSpecificationName(spec, category)} (${this.formatSpecValue(source, category, spec, value)})`;
+
+        const gained = list(diff.added, withValue(vehicle));
+        const lost = list(diff.removed, withValue(previous));
+        const changed = list(diff.changed, (category, spec, { from, to }) =>
+            `${this.formatSpecificationName(spec, category)} ${this.formatSpecValue(previous, category, spec, from)} → ${this.formatSpecValue(vehicle, category, spec, to)}`);
+
+        const parts = [];
+        if (gained.length > 0) parts.push(`gained ${gained.join(', ')}`);
+        if (lost.length > 0) parts.push(`lost ${lost.join(', ')}`);
+        if (changed.length > 0) parts.push(`changed ${changed.join(', ')}`);
+        if (priceChange) parts.push(`price ${priceChange > 0 ? '+' : '-'}${this.formatPrice(Math.abs(priceChange))}`);
+
+        return since + (parts.length > 0 ? parts.join('; ') : `no changes from ${ModelChangelog.yearLabel(previous.year)}`);
+    }
+
     renderVehicleSpecs(vehicle, filteredSpecs) {
         let specsHTML = '';
         
@@ -495,8 +726,8 @@ class VehicleColumnarComparison {
             vehicleSpecs.forEach(spec => {
                 const value = vehicle.specifications[category][spec];
                 specsHTML += `
-                    <div class="spec-item">
-                        ${this.renderSpecWithValue(spec, category, value)}
+                    <div class="spec-item${this.isWinningValue(vehicle, category, spec) ? ' winning' : ''}">
+                        ${this.renderSpecWithValue(spec, category, value, vehicle)}
                     </div>
                 `;
             });
@@ -507,12 +738,12 @@ class VehicleColumnarComparison {
         return specsHTML;
     }
 
-    renderAddsSpecs(addsData) {
-        if (Object.keys(addsData).length === 0) {
+    renderAddsSpecs(addsData, vehicle, bundles = []) {
+        if (Object.keys(addsData).length === 0 && bundles.length === 0) {
             return '<div class="no-adds">No additional features</div>';
         }
         
-        let specsHTML = '';
+        let specsHTML = this.renderPackBundles(bundles, vehicle);
         
         Object.keys(addsData).forEach(category => {
             const specs = addsData[category];
@@ -532,8 +763,8 @@ class VehicleColumnarComparison {
             positiveSpecs.forEach(spec => {
                 const value = specs[spec];
                 specsHTML += `
-                    <div class="spec-item">
-                        ${this.renderSpecWithValue(spec, category, value)}
+                    <div class="spec-item${this.isWinningValue(vehicle, category, spec) ? ' winning' : ''}">
+                        ${this.renderSpecWithValue(spec, category, value, vehicle)}
                     </div>
                 `;
             });
@@ -544,12 +775,12 @@ class VehicleColumnarComparison {
         return specsHTML;
     }
 
-    renderRemovesSpecs(removesData) {
-        if (Object.keys(removesData).length === 0) {
+    renderRemovesSpecs(removesData, previousVehicle, bundles = []) {
+        if (Object.keys(removesData).length === 0 && bundles.length === 0) {
             return '<div class="no-removes">No features removed</div>';
         }
         
-        let specsHTML = '';
+        let specsHTML = this.renderPackBundles(bundles, previousVehicle);
         
         Object.keys(removesData).forEach(category => {
             const specs = removesData[category];
@@ -569,8 +800,8 @@ class VehicleColumnarComparison {
             removedSpecs.forEach(spec => {
                 const value = specs[spec];
                 specsHTML += `
-                    <div class="spec-item">
-                        ${this.renderSpecWithValue(spec, category, value)}
+                    <div class="spec-item${this.isWinningValue(previousVehicle, category, spec) ? ' winning' : ''}">
+                        ${this.renderSpecWithValue(spec, category, value, previousVehicle)}
                     </div>
                 `;
             });
@@ -581,7 +812,60 @@ class VehicleColumnarComparison {
         return specsHTML;
     }
 
-    renderSpecWithValue(spec, category, value) {
+    // Each pack as one collapsible entry, listing its specs with `vehicle`'s values
+    renderPackBundles(bundles, vehicle) {
+        return bundles.map(pack => `
+            <details class="option-pack">
+                <summary class="option-pack-name">
+                    ${pack.name}
+                    <span class="option-pack-count">${pack.specs.length} features</span>
+                </summary>
+                ${pack.specs.map(({ category, spec }) => `
+                    <div class="spec-item${this.isWinningValue(vehicle, category, spec) ? ' winning' : ''}">
+                        ${this.renderSpecWithValue(spec, category, vehicle.specifications[category][spec], vehicle)}
+                    </div>
+                `).join('')}
+            </details>
+        `).join('');
+    }
+
+    renderChangesSpecs(changedData, vehicle, parent) {
+        if (Object.keys(changedData).length === 0) {
+            return '<div class="no-changes">No values changed</div>';
+        }
+
+        let specsHTML = '';
+
+        Object.keys(changedData).forEach(category => {
+            const specs = changedData[category];
+
+            specsHTML += `<div class="category-group">`;
+            specsHTML += `<div class="category-name">${this.formatCategoryName(category)}:</div>`;
+
+            Object.keys(specs).forEach(spec => {
+                const { from, to, direction } = specs[spec];
+                const icon = direction === 'upgrade' ? '▲' : direction === 'downgrade' ? '▼' : '';
+                specsHTML += `
+                    <div class="spec-item change-item${direction ? ` ${direction}` : ''}${this.isWinningValue(vehicle, category, spec) ? ' winning' : ''}">
+                        <div class="spec-name">
+                            ${this.formatSpecificationName(spec, category)}:
+                            <span class="spec-value previous-value">${this.formatSpecValue(parent, category, spec, from)}</span>
+                            →
+                            <span class="spec-value">${this.formatSpecValue(vehicle, category, spec, to)}</span>
+                            ${icon ? `<span class="change-direction" title="${direction === 'upgrade' ? 'Upgrade' : 'Downgrade'}">${icon}</span>` : ''}
+                        </div>
+                        ${this.renderFeatureSources(vehicle, category, spec)}
+                    </div>
+                `;
+            });
+
+            specsHTML += `</div>`;
+        });
+
+        return specsHTML;
+    }
+
+    renderSpecWithValue(spec, category, value, vehicle = null) {
         const specName = this.formatSpecificationName(spec, category);
         
         if (typeof value === 'object' && value !== null) {
@@ -599,15 +883,42 @@ class VehicleColumnarComparison {
             });
             return detailsHTML;
         } else {
+            const sources = this.renderFeatureSources(vehicle, category, spec);
+
             // For simple yes/no values, just show the label without the value
             if (this.isYesValue(value)) {
-                return `<div class="spec-name">${specName}</div>`;
+                return `<div class="spec-name">${specName}</div>${sources}`;
+            }
+            // Features read as one phrase, e.g. "Heated front seats (driver only)"
+            if (this.featureGroups.isFeature(category, spec)) {
+                return `<div class="spec-name">${specName} <span class="spec-value">(${this.formatValue(value)})</span></div>${sources}`;
             }
             // For non-yes/no values, show on the same line
-            return `<div class="spec-name">${specName}: <span class="spec-value">${this.formatValue(value)}</span></div>`;
+            return `<div class="spec-name">${specName}: <span class="spec-value">${this.formatSpecValue(vehicle, category, spec, value)}</span></div>`;
         }
     }
 
+    // Expander listing the raw specs a feature was built from, with this vehicle's values
+    renderFeatureSources(vehicle, category, spec) {
+        const sources = vehicle?.featureSources?.[`${category}.${spec}`];
+        if (!sources || sources.length === 0) return '';
+
+        return `
+            <details class="feature-sources">
+                <summary>${sources.length} raw field${sources.length === 1 ? '' : 's'}</summary>
+                <ul>
+                    ${sources.map(source => `
+                        <li>
+                            <span class="feature-source-name">${this.formatSpecificationName(source.spec, category)}</span>
+                            <code>${category}.${source.spec}</code>
+                            <span class="feature-source-value">${this.formatSpecValue(vehicle, category, source.spec, source.value)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
     renderSpecValue(value, spec, category) {
         if (typeof value === 'object' && value !== null) {
             let detailsHTML = '';
@@ -633,62 +944,38 @@ class VehicleColumnarComparison {
         }
     }
 
-    getAddsToPrevious(previousVehicle, currentVehicle, filteredSpecs) {
-        const adds = {};
-        
+    calculateFieldWinners(vehicles, filteredSpecs) {
+        const winners = {};
+
         Object.keys(filteredSpecs).forEach(category => {
-            const specs = filteredSpecs[category];
-            if (Object.keys(specs).length === 0) return;
-            
-            Object.keys(specs).forEach(spec => {
-                const previousValue = previousVehicle.specifications[category]?.[spec];
-                const currentValue = currentVehicle.specifications[category]?.[spec];
-                
-                // If current vehicle has a positive value but previous doesn't, or they're different
-                if (this.isPositiveValue(currentValue)) {
-                    if (!this.isPositiveValue(previousValue) || previousValue !== currentValue) {
-                        if (!adds[category]) adds[category] = {};
-                        adds[category][spec] = currentValue;
-                    }
+            Object.keys(filteredSpecs[category]).forEach(spec => {
+                const values = {};
+                vehicles.forEach(vehicle => {
+                    values[vehicle.id] = vehicle.specifications[category]?.[spec];
+                });
+
+                const fieldWinners = this.specRules.findWinners(category, spec, values);
+                if (fieldWinners.length > 0) {
+                    winners[`${category}.${spec}`] = fieldWinners;
                 }
             });
         });
-        
-        return adds;
+
+        return winners;
     }
 
-    getRemovesFromPrevious(previousVehicle, currentVehicle, filteredSpecs) {
-        const removes = {};
-        
-        Object.keys(filteredSpecs).forEach(category => {
-            const specs = filteredSpecs[category];
-            if (Object.keys(specs).length === 0) return;
-            
-            Object.keys(specs).forEach(spec => {
-                const previousValue = previousVehicle.specifications[category]?.[spec];
-                const currentValue = currentVehicle.specifications[category]?.[spec];
-                
-                // If previous vehicle had a positive value but current doesn't, or they're different
-                if (this.isPositiveValue(previousValue)) {
-                    if (!this.isPositiveValue(currentValue) || previousValue !== currentValue) {
-                        if (!removes[category]) removes[category] = {};
-                        removes[category][spec] = previousValue;
-                    }
-                }
-            });
-        });
-        
-        return removes;
+    isWinningValue(vehicle, category, spec) {
+        const winners = this.fieldWinners[`${category}.${spec}`];
+        return Boolean(winners && winners.includes(String(vehicle.id)));
+    }
+
+    // "no", "Not Available", "false" and empty values mean the vehicle does not have the spec
+    isAbsentValue(value) {
+        return this.featureGroups.isAbsentValue(value);
     }
 
     isPositiveValue(value) {
-        if (!value) return false;
-        if (value === 'Not Available' || value === 'no' || value === 'No' || value === 'false' || value === 'False') return false;
-        if (value === 'yes' || value === 'Yes' || value === 'true' || value === 'True') return true;
-        if (typeof value === 'string' && value.toLowerCase().includes('yes')) return true;
-        if (typeof value === 'string' && value.toLowerCase().includes('no')) return false;
-        // For other values (numbers, strings), consider them positive if they exist
-        return true;
+        return !this.isAbsentValue(value);
     }
 
     isYesValue(value) {
@@ -704,12 +991,12 @@ class VehicleColumnarComparison {
     createVehicleHeader(vehicle, index) {
         return `
             <div class="vehicle-header">
-                <div class="vehicle-name">${vehicle.make} ${vehicle.model}</div>
+                <div class="vehicle-name">${vehicle.displayName}</div>
                 <div class="vehicle-trim">${vehicle.trim}</div>
                 <div class="vehicle-year-version">
                     ${vehicle.year}${vehicle.versionName ? ` • ${vehicle.versionName}` : ''}
                 </div>
-                <div class="vehicle-price">$${this.formatPrice(vehicle.price)}</div>
+                <div class="vehicle-price">${this.formatPrice(vehicle.price)}</div>
             </div>
         `;
     }
@@ -730,12 +1017,11 @@ class VehicleColumnarComparison {
             }
             
             if (categoryName && specification) {
-                // Look for the specification in the mapping
-                if (this.dataLabelMapping[categoryName] && this.dataLabelMapping[categoryName][specification]) {
-                    const label = this.dataLabelMapping[categoryName][specification];
-                    if (label && label.en) {
-                        return label.en;
-                    }
+                // Look for the specification in the mapping; grouped features carry their own labels
+                const entry = this.featureGroups.getEntry(categoryName, specification) || this.dataLabelMapping[categoryName]?.[specification];
+                const label = this.locale.getLabel(entry, categoryName, specification);
+                if (label) {
+                    return this.unitSystem.formatLabel(label, categoryName, specification);
                 }
             }
         }
@@ -748,7 +1034,13 @@ class VehicleColumnarComparison {
             .replace(/^./, str => str.toUpperCase())
             .trim();
         
-        return fallbackLabel;
+        return this.unitSystem.formatLabel(fallbackLabel, category, spec);
+    }
+
+    // Value of a spec on one vehicle, in the chosen unit system when it carries a unit
+    formatSpecValue(vehicle, category, spec, value) {
+        const converted = this.unitSystem.format(category, spec, value, vehicle?.unitAlternates?.[`${category}.${spec}`]);
+        return converted ?? this.formatValue(value);
     }
 
     formatValue(value) {
@@ -777,7 +1069,7 @@ class VehicleColumnarComparison {
         
         // Handle numeric values
         if (typeof value === 'number') {
-            if (value > 1000) return value.toLocaleString();
+            if (value > 1000) return this.locale.formatNumber(value);
             return value.toString();
         }
         
@@ -793,10 +1085,46 @@ class VehicleColumnarComparison {
     }
 
     formatPrice(price) {
-        return new Intl.NumberFormat('en-AU', {
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(price);
+        return this.locale.formatCurrency(price);
+    }
+
+    // One CSV row per option pack: its name, the variants with and without it, and its contents
+    exportOptionPacks() {
+        const packs = this.optionPacks.find(this.vehicles);
+        if (packs.length === 0) {
+            alert(`No option packs found. Packs are looked for across ${OptionPacks.MIN_VARIANTS} or more variants, as ${OptionPacks.MIN_SIZE} or more features that always come together.`);
+            return;
+        }
+
+        const variantName = vehicle => vehicle.versionName || vehicle.trim;
+        const rows = [['Pack', 'Fitted to', 'Not fitted to', 'Features']];
+        packs.forEach(pack => {
+            rows.push([
+                pack.name,
+                this.vehicles.filter(vehicle => pack.vehicleIds.includes(String(vehicle.id))).map(variantName).join('; '),
+                this.vehicles.filter(vehicle => !pack.vehicleIds.includes(String(vehicle.id))).map(variantName).join('; '),
+                pack.specs.map(({ category, spec }) => this.formatSpecificationName(spec, category)).join('; ')
+            ]);
+        });
+
+        const csv = rows.map(row => row.map(value => this.escapeCSVValue(value)).join(',')).join('\n');
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `option-packs-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    escapeCSVValue(value) {
+        const stringValue = String(value ?? '');
+        if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+            return `"${stringValue.replace(/"/g, '""')}"`;
+        }
+        return stringValue;
     }
 
     showLoading(show) {
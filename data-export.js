@@ -3,6 +3,10 @@
 class VehicleDataExport {
     constructor() {
         this.vehicleData = null;
+        this.normalizer = new VehicleNormalizer();
+        this.locale = new Locale();
+        this.validator = new VehicleValidator();
+        this.library = new VehicleLibrary();
         this.selectedCategories = new Set();
         this.selectedVehicles = [];
         this.currentLevel = 'all';
@@ -83,6 +87,7 @@ class VehicleDataExport {
 
     async init() {
         this.setupEventListeners();
+        await this.locale.setLanguage(this.locale.language);
         this.populateCategories();
     }
 
@@ -99,9 +104,18 @@ class VehicleDataExport {
             this.onPreloadedDataChange(e.target.value);
         });
 
-        // File upload
-        document.getElementById('vehicle-data-file').addEventListener('change', (e) => {
-            this.onFileUpload(e.target.files[0]);
+        // File upload: pick or drop one or more .json/.json.gz files
+        new FileUpload(document.getElementById('vehicle-data-file'), {
+            onLoad: (data, upload) => this.onFileUpload(data, upload),
+            onError: (message) => this.showError('Failed to load file: ' + message)
+        });
+
+        // Saved datasets ("My datasets")
+        new DatasetManager(document.getElementById('dataset-library'), {
+            library: this.library,
+            locale: this.locale,
+            onOpen: (summary, payload) => this.openLibraryDataset(summary, payload),
+            onError: (message) => this.showError(message)
         });
 
         // Level selection
@@ -132,6 +146,14 @@ class VehicleDataExport {
         document.getElementById('preview-data').addEventListener('click', () => {
             this.previewData();
         });
+
+        // Category names and counts follow the language preference shared by every page
+        Locale.bindSelector(document.getElementById('language'));
+        Locale.onChange(async language => {
+            await this.locale.setLanguage(language);
+            this.populateCategories();
+            this.updateSelectionSummary();
+        });
     }
 
     switchDataSource(source) {
@@ -165,27 +187,42 @@ class VehicleDataExport {
         }
     }
 
-    async onFileUpload(file) {
-        if (!file) {
-            this.hideAllPanels();
-            return;
-        }
-
+    async onFileUpload(data, { fileName, files }) {
         try {
-            this.showLoading();
-            const text = await file.text();
-            this.vehicleData = JSON.parse(text);
-            this.showVehicleSelection();
+            // Malformed variants are reported and left out instead of failing during rendering
+            const payload = await this.validator.review(data, {
+                anchor: document.getElementById('vehicle-data-file'),
+                fileName
+            });
+            if (!payload) return;
+
+            this.library.saveUpload(payload, files);
+            this.showUploadedData(payload);
         } catch (error) {
             this.showError('Failed to load file: ' + error.message);
         }
     }
 
+    showUploadedData(payload) {
+        this.showLoading();
+        // Uploads may be bare lists or { vehicles }; the export works on { meta, data }
+        this.vehicleData = { meta: payload?.meta ?? null, data: this.normalizer.getItems(payload) || [] };
+        this.showVehicleSelection();
+    }
+
+    async openLibraryDataset(summary, payload) {
+        if (summary.source === 'preloaded') {
+            document.getElementById('preloaded-data-select').value = summary.file;
+            await this.onPreloadedDataChange(summary.file);
+            return;
+        }
+        this.showUploadedData(payload);
+    }
+
     async loadVehicleData(filename) {
         try {
             this.showLoading();
-            const response = await fetch(`vehicleData/${filename}`);
-            this.vehicleData = await response.json();
+            this.vehicleData = await this.library.loadPreloaded(filename);
         } catch (error) {
             throw new Error('Failed to load vehicle data: ' + error.message);
         }
@@ -246,14 +283,14 @@ class VehicleDataExport {
     groupByModel(vehicles) {
         const groups = {};
         vehicles.forEach(vehicle => {
-            const make = vehicle.vehicle?.make || 'Unknown';
-            const model = vehicle.vehicle?.model || 'Unknown';
-            const key = `${make} ${model}`;
+            const { make, model, displayName } = this.normalizer.normalizeVehicle(vehicle);
+            const key = displayName;
             
             if (!groups[key]) {
                 groups[key] = {
                     make,
                     model,
+                    displayName,
                     vehicles: []
                 };
             }
@@ -265,15 +302,14 @@ class VehicleDataExport {
     groupByTrim(vehicles) {
         const groups = {};
         vehicles.forEach(vehicle => {
-            const make = vehicle.vehicle?.make || 'Unknown';
-            const model = vehicle.vehicle?.model || 'Unknown';
-            const trim = vehicle.vehicle?.trim || 'Base';
-            const key = `${make} ${model} ${trim}`;
+            const { make, model, displayName, trim } = this.normalizer.normalizeVehicle(vehicle);
+            const key = `${displayName} ${trim}`;
             
             if (!groups[key]) {
                 groups[key] = {
                     make,
                     model,
+                    displayName,
                     trim,
                     vehicles: []
                 };
@@ -320,7 +356,7 @@ class VehicleDataExport {
             
             const label = document.createElement('label');
             label.htmlFor = checkbox.id;
-            label.textContent = `${group.make} ${group.model} (${group.vehicles.length} vehicles)`;
+            label.textContent = `${group.displayName} (${group.vehicles.length} vehicles)`;
             label.style.display = 'flex';
             label.style.alignItems = 'center';
             label.style.gap = '0.5rem';
@@ -369,7 +405,7 @@ class VehicleDataExport {
             
             const label = document.createElement('label');
             label.htmlFor = checkbox.id;
-            label.textContent = `${group.make} ${group.model} ${group.trim} (${group.vehicles.length} vehicles)`;
+            label.textContent = `${group.displayName} ${group.trim} (${group.vehicles.length} vehicles)`;
             label.style.display = 'flex';
             label.style.alignItems = 'center';
             label.style.gap = '0.5rem';
@@ -416,13 +452,11 @@ class VehicleDataExport {
             checkbox.value = index;
             checkbox.addEventListener('change', () => this.updateVehicleSelection());
             
-            const versionName = vehicle.vehicle?.versionName || 'Unknown Variant';
-            const make = vehicle.vehicle?.make || 'Unknown';
-            const model = vehicle.vehicle?.model || 'Unknown';
+            const { displayName, versionName } = this.normalizer.normalizeVehicle(vehicle);
             
             const label = document.createElement('label');
             label.htmlFor = checkbox.id;
-            label.textContent = `${make} ${model} - ${versionName}`;
+            label.textContent = `${displayName} - ${versionName || 'Unknown Variant'}`;
             label.style.display = 'flex';
             label.style.alignItems = 'center';
             label.style.gap = '0.5rem';
@@ -471,7 +505,7 @@ class VehicleDataExport {
         
         summary.style.display = 'block';
         
-        let summaryText = `${this.selectedVehicles.length} vehicle(s) selected`;
+        let summaryText = `${this.locale.formatNumber(this.selectedVehicles.length)} vehicle(s) selected`;
         
         if (this.selectedVehicles.length > 0) {
             const makes = [...new Set(this.selectedVehicles.map(v => v.vehicle?.make).filter(Boolean))];
@@ -535,7 +569,7 @@ class VehicleDataExport {
 
             const label = document.createElement('span');
             label.className = 'category-label';
-            label.textContent = this.categoryDisplayNames[category] || category;
+            label.textContent = this.locale.getCategoryName(category, this.categoryDisplayNames[category] || category);
 
             item.appendChild(checkbox);
             item.appendChild(label);
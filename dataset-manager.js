@@ -0,0 +1,184 @@
+/**
+ * Dataset Manager
+ * The "My datasets" panel: lists what the vehicle library holds and lets the reader open,
+ * rename or delete each dataset. Pages decide what opening means through `onOpen`.
+ */
+
+class DatasetManager {
+    static SOURCE_NAMES = {
+        preloaded: 'Preloaded',
+        upload: 'Uploaded',
+        api: 'API search'
+    };
+
+    // `onOpen(summary, payload)` receives the saved summary and its { meta, data } payload
+    constructor(container, { library, locale = null, onOpen, onError = message => console.error(message) }) {
+        this.container = container;
+        this.library = library;
+        this.locale = locale;
+        this.onOpen = onOpen;
+        this.onError = onError;
+        this.summaries = [];
+        this.renamingId = null;
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('submit', (e) => this.handleRename(e));
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.renamingId) {
+                this.renamingId = null;
+                this.renderList();
+            }
+        });
+        VehicleLibrary.onChange(() => this.render());
+        this.render();
+    }
+
+    async render() {
+        try {
+            this.summaries = await this.library.list();
+        } catch (error) {
+            console.error('Error reading dataset library:', error);
+            this.container.innerHTML = `
+                <p class="dataset-library-empty">Saved datasets are not available in this browser (${this.escape(error.message)}).</p>
+            `;
+            return;
+        }
+        this.renderList();
+    }
+
+    renderList() {
+        if (this.summaries.length === 0) {
+            this.container.innerHTML = `
+                <p class="dataset-library-empty">Datasets you load or upload are saved here, so they open again without a connection.</p>
+            `;
+            return;
+        }
+
+        this.container.innerHTML = `
+            <ul class="dataset-library-list">
+                ${this.summaries.map(summary => this.renderItem(summary)).join('')}
+            </ul>
+        `;
+
+        const input = this.container.querySelector('.dataset-library-rename input');
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+
+    renderItem(summary) {
+        const id = this.escape(summary.id);
+        const name = this.renamingId === summary.id
+            ? `
+                <form class="dataset-library-rename" data-dataset-id="${id}">
+                    <input type="text" value="${this.escape(summary.name)}" aria-label="Dataset name" required>
+                    <button type="submit" class="dataset-library-button primary">Save</button>
+                </form>
+            `
+            : `<span class="dataset-library-name">${this.escape(summary.name)}</span>`;
+
+        const details = [
+            DatasetManager.SOURCE_NAMES[summary.source] || summary.source,
+            summary.file,
+            `${this.formatNumber(summary.variantCount)} variant${summary.variantCount === 1 ? '' : 's'}`,
+            this.formatSize(summary.size),
+            `saved ${this.formatDate(summary.savedAt)}`
+        ].filter(Boolean);
+
+        return `
+            <li class="dataset-library-item">
+                <div class="dataset-library-info">
+                    ${name}
+                    <span class="dataset-library-details">${details.map(detail => this.escape(detail)).join(' · ')}</span>
+                </div>
+                <div class="dataset-library-actions">
+                    <button type="button" class="dataset-library-button primary" data-library-action="open" data-dataset-id="${id}">Open</button>
+                    <button type="button" class="dataset-library-button" data-library-action="rename" data-dataset-id="${id}">Rename</button>
+                    <button type="button" class="dataset-library-button" data-library-action="delete" data-dataset-id="${id}">Delete</button>
+                </div>
+            </li>
+        `;
+    }
+
+    async handleClick(e) {
+        const button = e.target.closest('[data-library-action]');
+        if (!button) return;
+
+        const summary = this.summaries.find(entry => entry.id === button.dataset.datasetId);
+        if (!summary) return;
+
+        switch (button.dataset.libraryAction) {
+            case 'open':
+                await this.open(summary);
+                break;
+            case 'rename':
+                this.renamingId = summary.id;
+                this.renderList();
+                break;
+            case 'delete':
+                if (confirm(`Delete "${summary.name}" from My datasets?`)) {
+                    await this.library.delete(summary.id)
+                        .catch(error => this.onError(`Failed to delete ${summary.name}: ${error.message}`));
+                }
+                break;
+        }
+    }
+
+    async handleRename(e) {
+        const form = e.target.closest('.dataset-library-rename');
+        if (!form) return;
+        e.preventDefault();
+
+        this.renamingId = null;
+        try {
+            await this.library.rename(form.dataset.datasetId, form.querySelector('input').value);
+        } catch (error) {
+            this.onError(`Failed to rename dataset: ${error.message}`);
+            this.renderList();
+        }
+    }
+
+    async open(summary) {
+        try {
+            const payload = await this.library.getPayload(summary.id);
+            if (!payload) {
+                throw new Error('it is no longer in the library');
+            }
+            await this.onOpen(summary, payload);
+        } catch (error) {
+            console.error('Error opening saved dataset:', error);
+            this.onError(`Failed to open ${summary.name}: ${error.message}`);
+        }
+    }
+
+    formatNumber(value) {
+        return this.locale ? this.locale.formatNumber(value) : String(value);
+    }
+
+    formatDate(isoDate) {
+        const date = new Date(isoDate);
+        return this.locale ? this.locale.formatDate(date) : date.toLocaleDateString();
+    }
+
+    formatSize(bytes) {
+        if (!bytes) return null;
+        if (bytes < 1024 * 1024) {
+            return `${this.formatNumber(Math.max(1, Math.round(bytes / 1024)))} KB`;
+        }
+        return `${this.formatNumber(Math.round(bytes / (1024 * 1024) * 10) / 10)} MB`;
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetManager;
+}
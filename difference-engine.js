@@ -0,0 +1,240 @@
+/**
+ * Difference Engine
+ * Numeric-aware comparison of spec values across vehicles. Units are parsed from the
+ * spec key suffix, values are normalised before comparison and every difference gets
+ * a magnitude (0-1) and a per-vehicle direction so the UI can rank and colour it.
+ */
+
+class DifferenceEngine {
+    // Differences at or below these amounts are treated as noise, keyed by unit suffix
+    static TOLERANCES = {
+        Mm: 5,
+        In: 0.2,
+        Ft: 0.2,
+        Kg: 10,
+        Lbs: 22,
+        Kw: 1,
+        HpPs: 1,
+        Nm: 2,
+        L100km: 0.1,
+        KmLl: 0.1,
+        Mpg: 0.5,
+        MilesPerUkGallon: 0.5,
+        WhKm: 5,
+        Months: 0,
+        Km: 1,
+        Miles: 1,
+        KmH: 1,
+        Kph: 1,
+        Mph: 1,
+        L: 1,
+        Cuft: 0.1,
+        Kwh: 0.1,
+        KilowattHour: 0.1,
+        KwT: 0.5
+    };
+
+    // Relative spread at which a numeric difference counts as maximally significant
+    static FULL_SCALE_SPREAD = 0.25;
+
+    // Fixed magnitudes for non-numeric differences
+    static PRESENCE_MAGNITUDE = 0.6;
+    static TEXT_MAGNITUDE = 0.4;
+
+    constructor(normalizer = null) {
+        this.normalizer = normalizer || DifferenceEngine.createNormalizer();
+    }
+
+    static createNormalizer() {
+        // In the browser vehicle-normalizer.js is loaded as a global script
+        if (typeof VehicleNormalizer !== 'undefined') {
+            return new VehicleNormalizer();
+        }
+        const NodeVehicleNormalizer = require('./vehicle-normalizer.js');
+        return new NodeVehicleNormalizer();
+    }
+
+    getTolerance(unit) {
+        // Sprint times end in the sprint ("0To100KmH"), not in a unit these tolerances are for
+        if (!unit || unit.quantity === 'time') return 0;
+        return DifferenceEngine.TOLERANCES[unit.suffix] ?? 0;
+    }
+
+    getSignificance(magnitude) {
+        if (magnitude >= 0.5) return 'high';
+        if (magnitude >= 0.15) return 'medium';
+        return 'low';
+    }
+
+    normalizeValue(rawValue, spec) {
+        const typed = this.normalizer.typeValue(rawValue, spec);
+
+        // Absent values and "no" both mean the vehicle lacks the feature
+        if (typed.type === 'empty') {
+            return { ...typed, type: 'boolean', value: false, isAbsent: true };
+        }
+        return { ...typed, isAbsent: typed.type === 'boolean' && typed.value === false };
+    }
+
+    // Compare two values for one spec; direction is from `a` to `b`
+    compareValues(a, b, spec) {
+        const left = this.normalizeValue(a, spec);
+        const right = this.normalizeValue(b, spec);
+        const unit = left.unit || right.unit;
+
+        if (left.type === 'number' && right.type === 'number') {
+            const delta = right.value - left.value;
+            const isDifferent = Math.abs(delta) > this.getTolerance(unit);
+            const base = Math.max(Math.abs(left.value), Math.abs(right.value));
+            const magnitude = isDifferent && base > 0
+                ? Math.min(1, (Math.abs(delta) / base) / DifferenceEngine.FULL_SCALE_SPREAD)
+                : 0;
+
+            return {
+                isDifferent,
+                kind: 'numeric',
+                unit,
+                delta: isDifferent ? delta : 0,
+                direction: !isDifferent ? 'equal' : delta > 0 ? 'increase' : 'decrease',
+                magnitude
+            };
+        }
+
+        if (left.type === right.type && this.valueKey(left) === this.valueKey(right)) {
+            return { isDifferent: false, kind: left.type, unit, delta: 0, direction: 'equal', magnitude: 0 };
+        }
+
+        // One side has the feature and the other lacks it
+        if (left.isAbsent || right.isAbsent) {
+            return {
+                isDifferent: true,
+                kind: 'presence',
+                unit,
+                delta: null,
+                direction: left.isAbsent ? 'increase' : 'decrease',
+                magnitude: DifferenceEngine.PRESENCE_MAGNITUDE
+            };
+        }
+
+        // "Unlimited" outranks any finite figure of the same unit
+        if (left.type === 'unlimited' || right.type === 'unlimited') {
+            return {
+                isDifferent: true,
+                kind: 'numeric',
+                unit,
+                delta: null,
+                direction: right.type === 'unlimited' ? 'increase' : 'decrease',
+                magnitude: DifferenceEngine.PRESENCE_MAGNITUDE
+            };
+        }
+
+        return {
+            isDifferent: true,
+            kind: 'text',
+            unit,
+            delta: null,
+            direction: 'changed',
+            magnitude: DifferenceEngine.TEXT_MAGNITUDE
+        };
+    }
+
+    // Analyse one spec across many vehicles. `values` maps vehicle id -> raw value.
+    analyzeField(values, spec) {
+        const ids = Object.keys(values);
+        const normalized = {};
+        ids.forEach(id => {
+            normalized[id] = this.normalizeValue(values[id], spec);
+        });
+
+        const unit = ids.map(id => normalized[id].unit).find(Boolean) || null;
+        const numericIds = ids.filter(id => normalized[id].type === 'number');
+        const allNumeric = ids.length > 0 && numericIds.length === ids.length;
+
+        if (allNumeric) {
+            return this.analyzeNumericField(normalized, ids, unit);
+        }
+
+        // Compare every pair of values to find the largest gap
+        let magnitude = 0;
+        let kind = null;
+        ids.forEach(id => {
+            ids.forEach(otherId => {
+                if (id >= otherId) return;
+                const result = this.compareValues(values[id], values[otherId], spec);
+                if (result.isDifferent && result.magnitude >= magnitude) {
+                    magnitude = result.magnitude;
+                    kind = result.kind;
+                }
+            });
+        });
+
+        const directions = {};
+        ids.forEach(id => {
+            const value = normalized[id];
+            if (kind === 'presence') {
+                directions[id] = value.isAbsent ? 'lower' : 'higher';
+            } else if (value.type === 'unlimited') {
+                directions[id] = 'higher';
+            } else {
+                directions[id] = 'equal';
+            }
+        });
+
+        return {
+            isDifferent: kind !== null,
+            kind: kind || 'equal',
+            unit,
+            magnitude,
+            significance: this.getSignificance(magnitude),
+            range: null,
+            directions
+        };
+    }
+
+    analyzeNumericField(normalized, ids, unit) {
+        const numbers = ids.map(id => normalized[id].value);
+        const min = Math.min(...numbers);
+        const max = Math.max(...numbers);
+        const tolerance = this.getTolerance(unit);
+        const spread = max - min;
+        const isDifferent = spread > tolerance;
+        const base = Math.max(Math.abs(min), Math.abs(max));
+        const magnitude = isDifferent && base > 0
+            ? Math.min(1, (spread / base) / DifferenceEngine.FULL_SCALE_SPREAD)
+            : 0;
+
+        // Direction of each vehicle relative to the middle of the range
+        const midpoint = (min + max) / 2;
+        const directions = {};
+        ids.forEach(id => {
+            const offset = normalized[id].value - midpoint;
+            if (!isDifferent || Math.abs(offset) <= tolerance / 2) {
+                directions[id] = 'equal';
+            } else {
+                directions[id] = offset > 0 ? 'higher' : 'lower';
+            }
+        });
+
+        return {
+            isDifferent,
+            kind: 'numeric',
+            unit,
+            magnitude,
+            significance: this.getSignificance(magnitude),
+            range: { min, max, spread },
+            directions
+        };
+    }
+
+    valueKey(normalizedValue) {
+        if (normalizedValue.type === 'text') {
+            return normalizedValue.value.toLowerCase();
+        }
+        return String(normalizedValue.value);
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifferenceEngine;
+}
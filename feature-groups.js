@@ -0,0 +1,147 @@
+/**
+ * Feature Groups
+ * Rolls related flattened spec keys into one feature, using featureGroups.json (laid out like
+ * dataLabelMapping.json: category → feature → labels). `seats.frontSeatDriverHeated` and
+ * `seats.frontSeatPassengerHeated` become one `seats.heatedFrontSeats` spec valued "yes",
+ * "driver only" or "no", so the comparison pages diff features rather than keys. The raw keys and values each feature replaced are kept
+ * in `vehicle.featureSources` for display.
+ *
+ * A feature entry lists its `keys`; optional `parts` name the keys that say where the feature is
+ * fitted (missing parts give "driver only"), and an optional `format` describes it from the
+ * values of its keys, e.g. "{width}/{profile}[ R{diameter}]" for a tyre size. Text in [brackets]
+ * is left out when a key inside it is missing.
+ */
+
+class FeatureGroups {
+    // Spec values that mean the feature is missing, compared in lower case
+    static ABSENT_VALUES = ['', 'no', 'false', 'not available'];
+
+    // Stands in for a key the format needs but the vehicle does not have
+    static MISSING_PLACEHOLDER = '?';
+
+    constructor(groups = null) {
+        this.setGroups(groups);
+    }
+
+    setGroups(groups) {
+        this.groups = {};
+        this.keyIndex = {};
+
+        Object.entries(groups || {}).forEach(([category, features]) => {
+            this.groups[category] = features;
+            this.keyIndex[category] = {};
+
+            Object.entries(features).forEach(([featureId, feature]) => {
+                (feature.keys || []).forEach(spec => {
+                    if (this.keyIndex[category][spec]) {
+                        console.warn(`${category}.${spec} is listed in ${this.keyIndex[category][spec]} and ${featureId}; keeping ${this.keyIndex[category][spec]}`);
+                        return;
+                    }
+                    this.keyIndex[category][spec] = featureId;
+                });
+            });
+        });
+    }
+
+    // The featureGroups.json entry for a feature, or null for an ordinary spec
+    getEntry(category, spec) {
+        return this.groups[category]?.[spec] || null;
+    }
+
+    isFeature(category, spec) {
+        return Boolean(this.getEntry(category, spec));
+    }
+
+    /**
+     * Replaces the grouped keys on each vehicle with their features, in place. The ungrouped
+     * specifications are kept, so the vehicles can be grouped again when the groups change
+     */
+    apply(vehicles) {
+        vehicles.forEach(vehicle => {
+            const source = vehicle.ungroupedSpecifications || vehicle.specifications;
+            const specifications = {};
+            const featureSources = {};
+
+            Object.keys(source).forEach(category => {
+                const specs = source[category];
+                const grouped = {};
+
+                // A feature takes the place of the first of its keys, so categories keep their order
+                Object.keys(specs).forEach(spec => {
+                    const featureId = this.keyIndex[category]?.[spec];
+                    if (!featureId) {
+                        grouped[spec] = specs[spec];
+                        return;
+                    }
+                    if (featureId in grouped) return;
+
+                    const feature = this.groups[category][featureId];
+                    grouped[featureId] = this.describe(feature, specs);
+                    featureSources[`${category}.${featureId}`] = feature.keys
+                        .filter(key => key in specs)
+                        .map(key => ({ spec: key, value: specs[key] }));
+                });
+
+                specifications[category] = grouped;
+            });
+
+            vehicle.ungroupedSpecifications = source;
+            vehicle.specifications = specifications;
+            vehicle.featureSources = featureSources;
+        });
+        return vehicles;
+    }
+
+    // "no" when none of the keys are present, otherwise the qualifiers ("driver only", "245/30 R20") or "yes"
+    describe(feature, specs) {
+        const present = (feature.keys || []).filter(key => !this.isAbsentValue(specs[key]));
+        if (present.length === 0) return 'no';
+
+        const qualifiers = [];
+
+        if (feature.parts) {
+            const partKeys = Object.keys(feature.parts);
+            const fitted = partKeys.filter(key => present.includes(key));
+            if (fitted.length === 0) return 'no';
+            if (fitted.length < partKeys.length) {
+                qualifiers.push(`${fitted.map(key => feature.parts[key]).join(' and ')} only`);
+            }
+        }
+
+        if (feature.format) {
+            const description = this.fillFormat(feature.format, specs, present);
+            if (description) qualifiers.push(description);
+        }
+
+        return qualifiers.length > 0 ? qualifiers.join(', ') : 'yes';
+    }
+
+    // The format with the values of `present` keys filled in, or null when it uses none of them
+    fillFormat(format, specs, present) {
+        const placeholders = text => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+        if (!placeholders(format).some(key => present.includes(key))) return null;
+
+        return format
+            .replace(/\[([^\]]*)\]/g, (match, optional) =>
+                placeholders(optional).every(key => present.includes(key)) ? optional : '')
+            .replace(/\{(\w+)\}/g, (match, key) =>
+                present.includes(key) ? String(specs[key]).trim() : FeatureGroups.MISSING_PLACEHOLDER);
+    }
+
+    // Present keys behind a feature on one vehicle; more of them is the better-equipped feature
+    countPresent(vehicle, category, featureId) {
+        return (vehicle.featureSources?.[`${category}.${featureId}`] || [])
+            .filter(source => !this.isAbsentValue(source.value))
+            .length;
+    }
+
+    isAbsentValue(value) {
+        if (value === null || value === undefined || value === false) return true;
+        return typeof value === 'string' && FeatureGroups.ABSENT_VALUES.includes(value.trim().toLowerCase());
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeatureGroups;
+}
@@ -0,0 +1,198 @@
+/**
+ * File Upload
+ * Shared vehicle-data upload for every data-source panel: pick or drop one or more .json or
+ * .json.gz files, see read progress, and get back a single NAVI payload with the files merged.
+ * Files are recognised by name rather than MIME type, which some systems leave blank or set
+ * to text/plain for JSON.
+ */
+
+class FileUpload {
+    static ACCEPT = '.json,.gz,application/json,application/gzip';
+
+    // gzip streams start with these two bytes whatever the file is called
+    static GZIP_MAGIC = [0x1f, 0x8b];
+
+    // `input` is the page's <input type="file">; its <label> becomes the drop zone.
+    // `onLoad(payload, { fileName, files })` receives the merged payload, `onError(message)` any failure
+    constructor(input, { onLoad, onError = message => console.error(message) } = {}) {
+        this.input = input;
+        this.onLoad = onLoad;
+        this.onError = onError;
+        this.dropZone = input.closest('label') || input.parentElement;
+        this.progress = this.createProgress();
+        this.dragDepth = 0;
+        this.normalizer = FileUpload.createNormalizer();
+
+        input.multiple = true;
+        input.accept = FileUpload.ACCEPT;
+        this.bindEvents();
+    }
+
+    static createNormalizer() {
+        // In the browser vehicle-normalizer.js is loaded as a global script
+        if (typeof VehicleNormalizer !== 'undefined') {
+            return new VehicleNormalizer();
+        }
+        const NodeVehicleNormalizer = require('./vehicle-normalizer.js');
+        return new NodeVehicleNormalizer();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('change', () => this.handleFiles(Array.from(this.input.files)));
+
+        // dragenter/dragleave fire for every child of the label, so count them
+        this.dropZone.addEventListener('dragenter', (e) => {
+            e.preventDefault();
+            this.dragDepth++;
+            this.dropZone.classList.add('drag-over');
+        });
+        this.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.dropZone.addEventListener('dragleave', () => {
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) {
+                this.dropZone.classList.remove('drag-over');
+            }
+        });
+        this.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dragDepth = 0;
+            this.dropZone.classList.remove('drag-over');
+            this.handleFiles(Array.from(e.dataTransfer.files));
+        });
+    }
+
+    createProgress() {
+        const progress = document.createElement('div');
+        progress.className = 'upload-progress';
+        progress.hidden = true;
+        progress.innerHTML = `
+            <progress class="upload-progress-bar" max="100" value="0"></progress>
+            <span class="upload-progress-text" aria-live="polite"></span>
+        `;
+        this.dropZone.insertAdjacentElement('afterend', progress);
+        return progress;
+    }
+
+    setProgress(text, percent) {
+        this.progress.hidden = false;
+        this.progress.querySelector('.upload-progress-bar').value = percent;
+        this.progress.querySelector('.upload-progress-text').textContent = text;
+    }
+
+    hideProgress() {
+        this.progress.hidden = true;
+    }
+
+    async handleFiles(files) {
+        if (files.length === 0) return;
+
+        const totalBytes = files.reduce((sum, file) => sum + file.size, 0) || 1;
+        let readBytes = 0;
+        const payloads = [];
+
+        try {
+            for (const file of files) {
+                const payload = await this.readFile(file, bytes => {
+                    readBytes += bytes;
+                    this.setProgress(`Reading ${file.name}…`, Math.round((readBytes / totalBytes) * 100));
+                });
+                payloads.push(payload);
+            }
+        } catch (error) {
+            console.error('Error reading upload:', error);
+            this.hideProgress();
+            this.input.value = '';
+            this.onError(error.message);
+            return;
+        }
+
+        this.hideProgress();
+        const names = files.map(file => file.name);
+        let payload;
+        try {
+            payload = this.merge(payloads, names);
+        } catch (error) {
+            this.input.value = '';
+            this.onError(error.message);
+            return;
+        }
+
+        const fileName = files.length === 1 ? names[0] : `${files.length} files`;
+        await this.onLoad(payload, { fileName, files: names });
+    }
+
+    // Parsed JSON of one file, decompressing gzip in the browser. `onProgress` receives byte counts
+    async readFile(file, onProgress) {
+        const gzipped = await this.isGzip(file);
+        if (gzipped && typeof DecompressionStream === 'undefined') {
+            throw new Error(`${file.name} is compressed, and this browser cannot decompress files. Please unzip it and upload the .json file.`);
+        }
+
+        const counter = new TransformStream({
+            transform(chunk, controller) {
+                onProgress(chunk.byteLength);
+                controller.enqueue(chunk);
+            }
+        });
+
+        let stream = file.stream().pipeThrough(counter);
+        if (gzipped) {
+            stream = stream.pipeThrough(new DecompressionStream('gzip'));
+        }
+
+        let text;
+        try {
+            text = await new Response(stream).text();
+        } catch (error) {
+            throw new Error(`${file.name} could not be decompressed: ${error.message}`);
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON. Please check the file format.`);
+        }
+    }
+
+    async isGzip(file) {
+        if (/\.gz$/i.test(file.name)) return true;
+
+        const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+        return FileUpload.GZIP_MAGIC.every((byte, index) => header[index] === byte);
+    }
+
+    // One payload from several files; variants found in more than one file are kept once.
+    // A single file is passed through untouched for the validator to check
+    merge(payloads, names = []) {
+        if (payloads.length === 1) return payloads[0];
+
+        const seen = new Set();
+        const data = [];
+        payloads.forEach((payload, index) => {
+            // Files can be { data }, { vehicles } or bare lists, as for a single upload
+            const items = this.normalizer.getItems(payload);
+            if (!items) {
+                throw new Error(`${names[index] || `File ${index + 1}`} has no list of vehicles, so it cannot be combined with the other files.`);
+            }
+
+            items.forEach(item => {
+                const vehicle = item?.vehicle || item;
+                const id = vehicle?.uniqueId || vehicle?.vehicleId;
+                if (id && seen.has(id)) return;
+                if (id) seen.add(id);
+                data.push(item);
+            });
+        });
+
+        // Merged files no longer share one page of API results
+        return { meta: null, data };
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileUpload;
+}
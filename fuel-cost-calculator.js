@@ -14,7 +14,9 @@ class FuelCostCalculator {
 
     constructor() {
         this.vehicleDataMap = {}; // Map of filename -> vehicle data
-        this.variants = []; // Array of {variant, vehicleName, filename}
+        this.variants = []; // Array of {variant, vehicle, vehicleName, filename}
+        this.normalizer = new VehicleNormalizer(); // Shared NAVI payload normaliser
+        this.library = new VehicleLibrary(); // Offline copies of vehicleData/ files
         this.currentCalculations = [];
         this.selectedVehicles = new Set(); // Set of selected vehicle filenames
         this.allVehiclesEfficiencyCache = null; // Cache for all vehicles' efficiency data
@@ -152,6 +154,10 @@ class FuelCostCalculator {
 
             console.log('✅ Received fuel price data:', priceData);
 
+            // The service worker answers with the last good response when the API cannot be reached
+            const servedFromCache = response.headers.get('X-Served-From-Cache') === 'true';
+            const cachedAt = response.headers.get('X-Cached-At');
+
             // Handle backwards compatibility: convert old format to new format
             if (priceData.unleaded && !priceData.latest) {
                 console.log('⚠️ Converting old data format to new format');
@@ -174,6 +180,11 @@ class FuelCostCalculator {
                 };
             }
 
+            if (servedFromCache) {
+                console.log('📴 Offline: using saved fuel prices from', cachedAt);
+                priceData.stale = { cachedAt: cachedAt ? new Date(cachedAt) : null };
+            }
+
             // Store the full price data
             this.fuelPriceData = priceData;
 
@@ -290,7 +301,16 @@ class FuelCostCalculator {
             message += ` • ${priceData.history.length} days history`;
         }
 
+        // Offline: say the prices may be out of date and when they were last fetched
+        if (priceData.stale) {
+            const savedString = priceData.stale.cachedAt
+                ? priceData.stale.cachedAt.toLocaleString('en-AU', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+                : 'earlier';
+            message = `📴 Offline – showing saved prices from ${savedString}, which may be out of date. ${message}`;
+        }
+
         infoText.textContent = message;
+        infoDiv.classList.toggle('is-stale', Boolean(priceData.stale));
 
         // Display trends
         if (trendsDiv && priceData.history && priceData.history.length >= 2) {
@@ -725,12 +745,8 @@ class FuelCostCalculator {
                     return { filename, data: this.vehicleDataMap[filename] };
                 }
 
-                // Otherwise, fetch it
-                const response = await fetch(`vehicleData/${filename}`);
-                if (!response.ok) {
-                    throw new Error(`Failed to load ${filename}`);
-                }
-                const data = await response.json();
+                // Otherwise, read it from the library (fetched on first use)
+                const data = await this.library.loadPreloaded(filename);
                 this.vehicleDataMap[filename] = data;
                 return { filename, data };
             });
@@ -740,14 +756,14 @@ class FuelCostCalculator {
             // Extract variants from all selected vehicles
             this.variants = [];
             loadedVehicles.forEach(({ filename, data }) => {
-                const vehicleName = this.getVehicleNameFromFilename(filename);
-                const variants = (data.data || []).map(item => item.vehicle || item).filter(vehicle => {
-                    return vehicle && vehicle.performance;
-                });
+                const dataset = this.normalizer.normalizeDataset(data);
+                const vehicleName = dataset.displayName || this.getVehicleNameFromFilename(filename);
+                const vehicles = dataset.vehicles.filter(vehicle => vehicle.raw.performance);
                 
-                variants.forEach(variant => {
+                vehicles.forEach(vehicle => {
                     this.variants.push({
-                        variant: variant,
+                        variant: vehicle.raw,
+                        vehicle: vehicle,
                         vehicleName: vehicleName,
                         filename: filename
                     });
@@ -1131,6 +1147,7 @@ class FuelCostCalculator {
 
             return {
                 variant: variant,
+                vehicle: variantWrapper.vehicle,
                 vehicleName: vehicleName,
                 hasData: true,
                 fuelConsumptionRate: fuelConsumptionRate,
@@ -1205,10 +1222,8 @@ class FuelCostCalculator {
 
         const buildVehicleDetails = (calc) => {
             const variant = calc.variant;
-            const make = variant.make || '';
-            const model = variant.model || '';
-            const makeModel = `${make} ${model}`.trim() || calc.vehicleName;
-            const variantName = variant.trim || variant.versionName || 'Unknown Variant';
+            const makeModel = calc.vehicle?.displayName || calc.vehicleName;
+            const variantName = calc.vehicle?.trim || variant.versionName || 'Unknown Variant';
             const configDetails = [
                 variant.modelYear ? `${variant.modelYear}` : '',
                 variant.transmissionType || '',
@@ -1330,8 +1345,8 @@ class FuelCostCalculator {
             row.className = `${isCheapest ? 'cheapest' : ''} ${isMostExpensive ? 'most-expensive' : ''}`.trim();
 
             const variant = calc.variant;
-            const variantName = variant.trim || variant.versionName || 'Unknown Variant';
-            const makeModel = `${variant.make || ''} ${variant.model || ''}`.trim() || calc.vehicleName;
+            const variantName = calc.vehicle?.trim || variant.versionName || 'Unknown Variant';
+            const makeModel = calc.vehicle?.displayName || calc.vehicleName;
             const variantDetails = [
                 variant.modelYear ? `${variant.modelYear}` : '',
                 variant.transmissionType || '',
@@ -1429,7 +1444,7 @@ class FuelCostCalculator {
             row.setAttribute('data-make-model', makeModel.toLowerCase());
             row.setAttribute('data-fuel-type', (variant.fuelType || '').toLowerCase());
             row.setAttribute('data-transmission', (variant.transmissionType || '').toLowerCase());
-            row.setAttribute('data-trim', (variant.trim || '').toLowerCase());
+            row.setAttribute('data-trim', (calc.vehicle?.trim || '').toLowerCase());
             row.setAttribute('data-year', (variant.modelYear || '').toString());
 
             resultsTableBody.appendChild(row);
@@ -1499,8 +1514,8 @@ class FuelCostCalculator {
         // Create header cell for each vehicle (columns 2+, row 1)
         calculations.forEach((calc, index) => {
             const variant = calc.variant;
-            const variantName = variant.trim || variant.versionName || 'Unknown Variant';
-            const makeModel = `${variant.make || ''} ${variant.model || ''}`.trim() || calc.vehicleName;
+            const variantName = calc.vehicle?.trim || variant.versionName || 'Unknown Variant';
+            const makeModel = calc.vehicle?.displayName || calc.vehicleName;
             const year = variant.modelYear || '';
 
             const headerCell = document.createElement('div');
@@ -1692,14 +1707,9 @@ class FuelCostCalculator {
                     return { filename: vehicle.filename, data: this.vehicleDataMap[vehicle.filename] };
                 }
 
-                // Otherwise, fetch it
+                // Otherwise, read it from the library (fetched on first use)
                 try {
-                    const response = await fetch(`vehicleData/${vehicle.filename}`);
-                    if (!response.ok) {
-                        console.warn(`Failed to load ${vehicle.filename}`);
-                        return null;
-                    }
-                    const data = await response.json();
+                    const data = await this.library.loadPreloaded(vehicle.filename);
                     this.vehicleDataMap[vehicle.filename] = data;
                     return { filename: vehicle.filename, data };
                 } catch (error) {
@@ -1716,12 +1726,12 @@ class FuelCostCalculator {
             loadedVehicles.forEach((result) => {
                 if (!result || !result.data) return;
                 
-                const vehicleName = this.getVehicleNameFromFilename(result.filename);
-                const variants = (result.data.data || []).map(item => item.vehicle || item).filter(vehicle => {
-                    return vehicle && vehicle.performance;
-                });
+                const dataset = this.normalizer.normalizeDataset(result.data);
+                const vehicleName = dataset.displayName || this.getVehicleNameFromFilename(result.filename);
+                const vehicles = dataset.vehicles.filter(vehicle => vehicle.raw.performance);
                 
-                variants.forEach(variant => {
+                vehicles.forEach(vehicle => {
+                    const variant = vehicle.raw;
                     const fuelConsumptionRate = this.getFuelConsumptionRate(variant);
                     const electricConsumptionRate = this.getElectricEnergyConsumptionRate(variant);
                     
@@ -1743,8 +1753,8 @@ class FuelCostCalculator {
                             efficiencyValue: efficiencyValue,
                             fuelConsumptionRate: fuelConsumptionRate,
                             electricConsumptionRate: electricConsumptionRate,
-                            makeModel: `${variant.make || ''} ${variant.model || ''}`.trim() || vehicleName,
-                            variantName: variant.trim || variant.versionName || 'Unknown Variant',
+                            makeModel: vehicle.displayName || vehicleName,
+                            variantName: vehicle.trim || variant.versionName || 'Unknown Variant',
                             filename: result.filename,
                             vehicleName: vehicleName
                         });
@@ -1905,8 +1915,8 @@ class FuelCostCalculator {
             }
 
             const variant = calc.variant;
-            const makeModel = `${variant.make || ''} ${variant.model || ''}`.trim() || calc.vehicleName;
-            const variantName = variant.trim || variant.versionName || 'Unknown Variant';
+            const makeModel = calc.vehicle?.displayName || calc.vehicleName;
+            const variantName = calc.vehicle?.trim || variant.versionName || 'Unknown Variant';
 
             return {
                 index: index,
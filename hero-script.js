@@ -1,6 +1,12 @@
 // Tooltip management
 let currentTooltip = null;
 
+// Shared NAVI payload normaliser (vehicle-normalizer.js)
+const vehicleNormalizer = new VehicleNormalizer();
+
+// Datasets are read from the offline library once loaded (vehicle-library.js)
+const vehicleLibrary = new VehicleLibrary();
+
 function showTooltip(event, text) {
     // Remove any existing tooltip
     hideTooltip();
@@ -60,21 +66,16 @@ async function selectVehicle(filename) {
 // Load and display vehicle data from JSON file
 async function loadVehicleData(filename) {
     try {
-        const response = await fetch(`vehicleData/${filename}`);
-        if (!response.ok) {
-            throw new Error(`Failed to load ${filename}`);
-        }
-        
-        const data = await response.json();
-        const vehicles = data.data || data.vehicles || data;
+        const data = await vehicleLibrary.loadPreloaded(filename);
+        const dataset = vehicleNormalizer.normalizeDataset(data);
         
-        if (!Array.isArray(vehicles) || vehicles.length === 0) {
+        if (dataset.vehicles.length === 0) {
             console.error('No vehicle data found');
             return;
         }
         
         // Update page with vehicle data
-        updatePageContent(vehicles);
+        updatePageContent(dataset);
         
     } catch (error) {
         console.error('Error loading vehicle data:', error);
@@ -82,17 +83,13 @@ async function loadVehicleData(filename) {
     }
 }
 
-// Update all page content with vehicle data
-function updatePageContent(vehicles) {
-    // Extract vehicle info from first variant
-    const firstVehicle = vehicles[0].vehicle || vehicles[0];
-    const displayNameFull = firstVehicle.modelDetails?.displayNameFull || `${firstVehicle.make} ${firstVehicle.model}`;
-    
+// Update all page content with a normalised vehicle dataset
+function updatePageContent(dataset) {
     // Update title with displayNameFull
-    document.getElementById('vehicle-title').textContent = displayNameFull;
+    document.getElementById('vehicle-title').textContent = dataset.displayName;
     
     // Aggregate data across all variants
-    const aggregatedData = aggregateVehicleData(vehicles);
+    const aggregatedData = aggregateVehicleData(dataset.vehicles);
     
     // Update specifications
     updateSpecifications(aggregatedData);
@@ -110,9 +107,7 @@ function aggregateVehicleData(vehicles) {
     const bodyTypes = new Set();
     const powertrainTypes = new Set();
     
-    vehicles.forEach(vehicleData => {
-        const vehicle = vehicleData.vehicle || vehicleData;
-        
+    vehicles.forEach(vehicle => {
         // Collect prices
         if (vehicle.price && vehicle.price > 0) {
             prices.push(vehicle.price);
@@ -159,7 +154,7 @@ function aggregateVehicleData(vehicles) {
 
 // Format transmission for a single vehicle
 function formatTransmission(vehicle) {
-    const { transmissionType, transmissionNumberOfSpeeds, transmissionDescription, powertrainType, fuelType } = vehicle;
+    const { transmissionType, transmissionSpeeds: transmissionNumberOfSpeeds, transmissionDescription, powertrainType, fuelType } = vehicle;
     
     // Electric vehicles
     if ((powertrainType === "Battery Electric Vehicle" || fuelType === "Electric") && transmissionNumberOfSpeeds === "1") {
@@ -192,8 +187,8 @@ function formatTransmission(vehicle) {
 
 // Format fuel type for display - shows actual fuel types
 function formatFuelType(vehicle) {
-    const { powertrainType, fuelType, fuel } = vehicle;
-    const otherFuelType = fuel?.fuelOtherFuelType;
+    const { powertrainType, fuelType } = vehicle;
+    const otherFuelType = vehicle.specifications.fuel?.fuelOtherFuelType;
     
     // Check if otherFuelType is valid (not "None" or empty)
     const hasValidOtherFuelType = otherFuelType && otherFuelType !== "None";
@@ -0,0 +1,179 @@
+/**
+ * Locale
+ * Picks spec labels and formats numbers, prices and dates for the reader's chosen language.
+ * The choice is one preference in localStorage shared by every page. Labels come from the
+ * language slots of dataLabelMapping.json entries ({ "en": ..., "zh": ... }) or from
+ * labels/<language>.json, falling back along the language's chain to the `en` label.
+ */
+
+class Locale {
+    // `slots` is the label fallback chain; `intl` is the locale handed to Intl formatters.
+    // Regional variants only override the labels that differ, so falling back is not a gap
+    static LANGUAGES = {
+        'en-AU': { name: 'English (Australia)', intl: 'en-AU', slots: ['en'], file: null },
+        'en-NZ': { name: 'English (New Zealand)', intl: 'en-NZ', slots: ['en-NZ', 'en'], file: 'en-NZ.json', overridesOnly: true },
+        zh: { name: '中文（简体）', intl: 'zh-CN', slots: ['zh', 'en'], file: 'zh.json' }
+    };
+
+    static DEFAULT_LANGUAGE = 'en-AU';
+
+    static STORAGE_KEY = 'vehicleDiffenterator.language';
+
+    static CHANGE_EVENT = 'localechange';
+
+    static LABELS_PATH = 'labels/';
+
+    // NAVI prices are Australian drive-away/list prices whatever the display language
+    static CURRENCY = 'AUD';
+
+    constructor(language = null) {
+        this.language = Locale.LANGUAGES[language] ? language : Locale.getPreference();
+        this.labels = {};
+        this.categoryNames = {};
+        this.loadedFiles = new Set();
+        this.missingLabels = new Map();
+        this.reportPending = false;
+    }
+
+    static getPreference() {
+        try {
+            const stored = localStorage.getItem(Locale.STORAGE_KEY);
+            return Locale.LANGUAGES[stored] ? stored : Locale.DEFAULT_LANGUAGE;
+        } catch (error) {
+            return Locale.DEFAULT_LANGUAGE;
+        }
+    }
+
+    static setPreference(language) {
+        if (!Locale.LANGUAGES[language]) return;
+
+        try {
+            localStorage.setItem(Locale.STORAGE_KEY, language);
+        } catch (error) {
+            console.error('Error saving language preference:', error);
+        }
+        window.dispatchEvent(new CustomEvent(Locale.CHANGE_EVENT, { detail: { language } }));
+    }
+
+    // Fires for changes on this page and, through the storage event, on other open pages
+    static onChange(callback) {
+        window.addEventListener(Locale.CHANGE_EVENT, (e) => callback(e.detail.language));
+        window.addEventListener('storage', (e) => {
+            if (e.key === Locale.STORAGE_KEY) callback(Locale.getPreference());
+        });
+    }
+
+    // Fill a <select> with the languages and keep it in step with the preference
+    static bindSelector(select) {
+        if (!select) return;
+
+        select.innerHTML = Object.entries(Locale.LANGUAGES)
+            .map(([value, language]) => `<option value="${value}">${language.name}</option>`)
+            .join('');
+        select.value = Locale.getPreference();
+        select.addEventListener('change', (e) => Locale.setPreference(e.target.value));
+        Locale.onChange(language => {
+            select.value = language;
+        });
+    }
+
+    // Switch language and load its label file; resolves once labels are ready to render
+    async setLanguage(language) {
+        this.language = Locale.LANGUAGES[language] ? language : Locale.DEFAULT_LANGUAGE;
+        if (typeof document !== 'undefined' && document.documentElement) {
+            document.documentElement.lang = this.getIntlLocale();
+        }
+        await this.loadLabels();
+    }
+
+    getIntlLocale() {
+        return Locale.LANGUAGES[this.language].intl;
+    }
+
+    async loadLabels() {
+        const file = Locale.LANGUAGES[this.language].file;
+        if (!file || this.loadedFiles.has(file)) return;
+
+        try {
+            const response = await fetch(`${Locale.LABELS_PATH}${file}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.labels[this.language] = data.labels || {};
+            this.categoryNames[this.language] = data.categories || {};
+            this.loadedFiles.add(file);
+        } catch (error) {
+            console.error(`Error loading ${this.language} labels:`, error);
+            console.warn('Continuing with fallback labels');
+        }
+    }
+
+    // Label for a spec from its dataLabelMapping entry, or null when no slot in the chain has one
+    getLabel(entry, category, spec) {
+        const { slots, overridesOnly } = Locale.LANGUAGES[this.language];
+
+        for (const [index, slot] of slots.entries()) {
+            const label = entry?.[slot] || this.labels[slot]?.[category]?.[spec];
+            if (label) {
+                if (index > 0 && !overridesOnly) this.recordMissingLabel(`${category}.${spec}`);
+                return label;
+            }
+        }
+
+        this.recordMissingLabel(`${category}.${spec}`);
+        return null;
+    }
+
+    getCategoryName(category, fallback) {
+        return this.categoryNames[this.language]?.[category] || fallback;
+    }
+
+    recordMissingLabel(key) {
+        const missing = this.missingLabels.get(this.language) || new Set();
+        if (missing.has(key)) return;
+
+        missing.add(key);
+        this.missingLabels.set(this.language, missing);
+
+        // One summary per render rather than a warning per field
+        if (!this.reportPending) {
+            this.reportPending = true;
+            setTimeout(() => this.reportMissingLabels(), 0);
+        }
+    }
+
+    getMissingLabels(language = this.language) {
+        return Array.from(this.missingLabels.get(language) || []).sort();
+    }
+
+    reportMissingLabels() {
+        this.reportPending = false;
+        const missing = this.getMissingLabels();
+        if (missing.length === 0) return;
+
+        console.warn(`${missing.length} specification labels missing for ${this.language}; showing fallbacks:`, missing);
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.getIntlLocale(), options).format(value);
+    }
+
+    formatCurrency(amount) {
+        return new Intl.NumberFormat(this.getIntlLocale(), {
+            style: 'currency',
+            currency: Locale.CURRENCY,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    formatDate(date, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+        return new Date(date).toLocaleDateString(this.getIntlLocale(), options);
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Locale;
+}
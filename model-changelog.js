@@ -0,0 +1,170 @@
+/**
+ * Model Changelog
+ * The "What's new" view of the columnar comparison: how a model line changed from one model
+ * year to the next. Variants are matched across years by trim and powertrain, so "MY24 ST+,
+ * Unleaded, Front" is compared with last year's ST+ on the same powertrain, and each pair is
+ * diffed with the page's own compareVehicles. A variant missing from the year before is
+ * compared with the last year it was offered (and marked as returning), or listed as new when
+ * it was never offered before; variants that did not come back are listed as dropped.
+ */
+
+class ModelChangelog {
+    // The paint of the vehicle each record was taken from, not something that changed with the year
+    static IGNORED_CATEGORIES = ['paint'];
+
+    static STATUSES = {
+        new: 'New',
+        updated: 'Updated',
+        unchanged: 'Carried over',
+        returning: 'Returning',
+        dropped: 'Dropped'
+    };
+
+    // `getPowertrainLabel(vehicle)` should be the trim ladders' label, e.g. "Unleaded, Front"
+    constructor({ getPowertrainLabel }) {
+        this.getPowertrainLabel = getPowertrainLabel;
+    }
+
+    static yearLabel(year) {
+        return `MY${String(year).slice(-2)}`;
+    }
+
+    /**
+     * Model years newest first, each compared with the model year before it:
+     * [{ year, label, previousYear, previousLabel, entries }]. An entry is
+     * { status, trim, powertrain, vehicle, previous, diff, priceChange, date }, with status
+     * 'new', 'updated', 'unchanged', 'returning' or 'dropped'; `compare(previous, vehicle)`
+     * gives the diff.
+     * Variants that are no longer sold (isCurrent false) are left out unless includeDiscontinued
+     */
+    build(vehicles, { compare, includeDiscontinued = true }) {
+        const included = includeDiscontinued ? vehicles : vehicles.filter(vehicle => vehicle.isCurrent);
+        const byYear = new Map();
+        const seen = new Set();
+        included.forEach(vehicle => {
+            // Datasets can list the same version more than once in a year; it is one line in the log
+            const year = Number(vehicle.year);
+            const id = `${year}|${vehicle.versionName}|${vehicle.bodyType}|${vehicle.price}`;
+            if (seen.has(id)) return;
+            seen.add(id);
+
+            if (!byYear.has(year)) byYear.set(year, []);
+            byYear.get(year).push(vehicle);
+        });
+
+        const years = Array.from(byYear.keys()).sort((a, b) => a - b);
+        const lastOffered = new Map(); // trim and powertrain → its variants in the latest year seen so far
+        const changelog = [];
+
+        years.forEach((year, index) => {
+            if (index > 0) {
+                const previousYear = years[index - 1];
+                changelog.push({
+                    year,
+                    label: ModelChangelog.yearLabel(year),
+                    previousYear,
+                    previousLabel: ModelChangelog.yearLabel(previousYear),
+                    entries: this.compareYears(byYear.get(previousYear), byYear.get(year), lastOffered, compare)
+                });
+            }
+            this.groupByKey(byYear.get(year)).forEach((group, key) => lastOffered.set(key, group));
+        });
+
+        return changelog.reverse();
+    }
+
+    compareYears(previousVehicles, vehicles, lastOffered, compare) {
+        const previousYear = Number(previousVehicles[0].year);
+        const keys = new Set(vehicles.map(vehicle => this.getKey(vehicle)));
+        const entries = [];
+
+        vehicles.forEach(vehicle => {
+            const previous = this.findPrevious(vehicle, lastOffered.get(this.getKey(vehicle)) || []);
+            const entry = {
+                trim: vehicle.trim,
+                powertrain: this.getPowertrainLabel(vehicle),
+                vehicle,
+                previous,
+                diff: null,
+                priceChange: null,
+                date: vehicle.versionIntroducedDate
+            };
+
+            if (!previous) {
+                entries.push({ ...entry, status: 'new' });
+                return;
+            }
+
+            const diff = this.withoutIgnored(compare(previous, vehicle));
+            const priceChange = vehicle.price && previous.price ? vehicle.price - previous.price : 0;
+            const hasChanges = priceChange !== 0 || ['added', 'removed', 'changed'].some(part => Object.keys(diff[part]).length > 0);
+
+            entries.push({
+                ...entry,
+                status: Number(previous.year) !== previousYear ? 'returning' : hasChanges ? 'updated' : 'unchanged',
+                diff,
+                priceChange,
+                // Only dated when this year brought a new version rather than carrying the old one over
+                date: vehicle.versionIntroducedDate !== previous.versionIntroducedDate ? vehicle.versionIntroducedDate : null
+            });
+        });
+
+        // One line per trim and powertrain that was not carried over, however many variants it had
+        this.groupByKey(previousVehicles).forEach((group, key) => {
+            if (keys.has(key)) return;
+            const previous = [...group].sort((a, b) => a.price - b.price)[0];
+            entries.push({
+                status: 'dropped',
+                trim: previous.trim,
+                powertrain: this.getPowertrainLabel(previous),
+                vehicle: null,
+                previous,
+                diff: null,
+                priceChange: null,
+                date: null
+            });
+        });
+
+        return entries.sort((a, b) => (a.vehicle || a.previous).price - (b.vehicle || b.previous).price);
+    }
+
+    getKey(vehicle) {
+        return `${vehicle.trim.toLowerCase()}|${this.getPowertrainLabel(vehicle)}`;
+    }
+
+    groupByKey(vehicles) {
+        const groups = new Map();
+        vehicles.forEach(vehicle => {
+            const key = this.getKey(vehicle);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(vehicle);
+        });
+        return groups;
+    }
+
+    // Several variants can share a trim and powertrain (body styles, special versions):
+    // prefer the same version name, then the same body, then the closest price
+    findPrevious(vehicle, candidates) {
+        if (candidates.length <= 1) return candidates[0] || null;
+
+        const sameVersion = candidates.filter(candidate => candidate.versionName.toLowerCase() === vehicle.versionName.toLowerCase());
+        const sameBody = candidates.filter(candidate => candidate.bodyType === vehicle.bodyType);
+        const pool = sameVersion.length > 0 ? sameVersion : sameBody.length > 0 ? sameBody : candidates;
+
+        return [...pool].sort((a, b) => Math.abs(a.price - vehicle.price) - Math.abs(b.price - vehicle.price))[0];
+    }
+
+    withoutIgnored(diff) {
+        const result = {};
+        Object.keys(diff).forEach(part => {
+            result[part] = { ...diff[part] };
+            ModelChangelog.IGNORED_CATEGORIES.forEach(category => delete result[part][category]);
+        });
+        return result;
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelChangelog;
+}
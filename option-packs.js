@@ -0,0 +1,170 @@
+/**
+ * Option Packs
+ * Finds the specs that always come and go together across the loaded variants: specs that
+ * are present on exactly the same variants form a bundle, and bundles of MIN_SIZE specs or
+ * more are treated as a likely option pack. Each pack is named from what is in it (e.g.
+ * "Premium pack" for a sunroof, branded audio and leather trim), so the columnar comparison
+ * can list "adds the Premium pack" instead of ten separate specs, and content writers can
+ * export the packs.
+ *
+ * Packs are inferred, not read from the data: with few variants, unrelated specs can share a
+ * signature by chance, which is why at least MIN_VARIANTS variants are needed.
+ */
+
+class OptionPacks {
+    // Specs that must flip together before they count as a pack
+    static MIN_SIZE = 3;
+
+    // With only two variants every difference flips together, so no packs are inferred
+    static MIN_VARIANTS = 3;
+
+    // Drivetrain, measurements and paperwork change with the powertrain or body, not with a pack
+    static EXCLUDED_CATEGORIES = [
+        'dimensions', 'engine', 'fuel', 'hybridAndElectricSystems', 'others', 'performance',
+        'service', 'transmission', 'version', 'warranty', 'weights'
+    ];
+
+    // Names tried in order; a pack takes the one matching most of its spec keys
+    static THEMES = [
+        { name: 'Premium', pattern: /sunroof|moonroof|panoramic|upholstery|leather|luxuryTrim|systemBrandName|speakerBrandName|subwoofer|upgradedSpeakers|surroundSound|ambientLighting|massage/i },
+        { name: 'Comfort', pattern: /heated|ventilat|lumbar|electricallyAdjustable|electricalAdjustments|memory|thighSupport|ottoman|climate/i },
+        { name: 'Technology', pattern: /navigation|screen|headUp|wireless|carPlay|androidAuto|digital|remoteServices|reconfigurable|voiceActivat/i },
+        { name: 'Safety', pattern: /overtaking|blindSpot|laneDeparture|laneKeep|crossTraffic|collision|autonomous|adaptiveCruise|airbag/i },
+        { name: 'Parking', pattern: /parking|surroundView/i },
+        { name: 'Convenience', pattern: /keyless|smartCard|smartKey|walkAway|tailgate|powerOutlet|powerLocks/i },
+        { name: 'Off-road', pattern: /fourWheelDrive|terrain|descent|diffLock|differentialLock|skidPlate|towing/i },
+        { name: 'Style', pattern: /alloy|privacyGlass|roofRails|chrome|bodyKit|spoiler|sport/i }
+    ];
+
+    // `getCategoryName(category)` names packs no theme matches, e.g. "Seating pack"
+    constructor({ isAbsentValue, getCategoryName = category => category }) {
+        this.isAbsentValue = isAbsentValue;
+        this.getCategoryName = getCategoryName;
+    }
+
+    /**
+     * Likely option packs across `vehicles`, biggest first:
+     * [{ id, name, specs: [{ category, spec }], vehicleIds }], where vehicleIds are the
+     * variants that have the pack
+     */
+    find(vehicles) {
+        if (vehicles.length < OptionPacks.MIN_VARIANTS) return [];
+
+        // Presence signature of each spec, e.g. "0110" for the second and third variants only
+        const bundles = new Map();
+        this.getSpecKeys(vehicles).forEach(({ category, spec }) => {
+            const signature = vehicles
+                .map(vehicle => this.isAbsentValue(vehicle.specifications[category]?.[spec]) ? '0' : '1')
+                .join('');
+
+            // Standard on every variant, or on none: nothing to bundle
+            if (!signature.includes('0') || !signature.includes('1')) return;
+
+            if (!bundles.has(signature)) bundles.set(signature, []);
+            bundles.get(signature).push({ category, spec });
+        });
+
+        const packs = Array.from(bundles.entries())
+            .filter(([, specs]) => specs.length >= OptionPacks.MIN_SIZE)
+            .map(([signature, specs]) => ({
+                id: `${specs[0].category}.${specs[0].spec}`,
+                specs,
+                vehicleIds: vehicles.filter((vehicle, index) => signature[index] === '1').map(vehicle => String(vehicle.id))
+            }))
+            .sort((a, b) => b.specs.length - a.specs.length);
+
+        this.nameAll(packs, vehicles);
+        return packs;
+    }
+
+    getSpecKeys(vehicles) {
+        const keys = new Map();
+        vehicles.forEach(vehicle => {
+            Object.keys(vehicle.specifications).forEach(category => {
+                if (OptionPacks.EXCLUDED_CATEGORIES.includes(category)) return;
+                Object.keys(vehicle.specifications[category]).forEach(spec => {
+                    keys.set(`${category}.${spec}`, { category, spec });
+                });
+            });
+        });
+        return Array.from(keys.values());
+    }
+
+    // Packs sharing a name are told apart by the cheapest variant that has them, e.g.
+    // "Technology pack (ST)", or numbered biggest first when that still leaves two alike
+    nameAll(packs, vehicles) {
+        const byId = new Map(vehicles.map(vehicle => [String(vehicle.id), vehicle]));
+        const groups = new Map();
+        packs.forEach(pack => {
+            const name = this.getName(pack);
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(pack);
+        });
+
+        groups.forEach((group, name) => {
+            if (group.length === 1) {
+                group[0].name = name;
+                return;
+            }
+
+            const qualified = group.map(pack => {
+                const entry = pack.vehicleIds
+                    .map(id => byId.get(id))
+                    .sort((a, b) => a.price - b.price)[0];
+                return `${name} (${entry.trim})`;
+            });
+            const isUnique = new Set(qualified).size === qualified.length;
+
+            group.forEach((pack, index) => {
+                pack.name = isUnique ? qualified[index] : index === 0 ? name : `${name} ${index + 1}`;
+            });
+        });
+    }
+
+    getName(pack) {
+        let best = null;
+        let bestCount = 0;
+        OptionPacks.THEMES.forEach(theme => {
+            const count = pack.specs.filter(({ spec }) => theme.pattern.test(spec)).length;
+            if (count > bestCount) {
+                best = theme.name;
+                bestCount = count;
+            }
+        });
+        if (best) return `${best} pack`;
+
+        // No theme fits: name the pack after the category most of its specs are in
+        const counts = {};
+        pack.specs.forEach(({ category }) => {
+            counts[category] = (counts[category] || 0) + 1;
+        });
+        const category = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+        return `${this.getCategoryName(category)} pack`;
+    }
+
+    /**
+     * Splits one side of a diff (category → spec → value, as in an Adds or Removes column)
+     * into the packs it holds whole and the specs left over
+     */
+    extract(packs, group) {
+        const remaining = {};
+        Object.keys(group).forEach(category => {
+            remaining[category] = { ...group[category] };
+        });
+
+        const bundles = packs.filter(pack => pack.specs.every(({ category, spec }) => spec in (group[category] || {})));
+        bundles.forEach(pack => {
+            pack.specs.forEach(({ category, spec }) => {
+                delete remaining[category][spec];
+                if (Object.keys(remaining[category]).length === 0) delete remaining[category];
+            });
+        });
+
+        return { bundles, remaining };
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OptionPacks;
+}
@@ -0,0 +1,135 @@
+/**
+ * Print Sheet
+ * Builds a standalone, print-ready comparison document (overview, differences table and
+ * key features) and prints it from a hidden frame so the browser can save it as a PDF.
+ */
+
+class PrintSheet {
+    // Variant columns per table page; wider comparisons continue on the next page
+    static COLUMNS_PER_PAGE = 5;
+
+    static STYLESHEETS = ['styles.css', 'print-sheet.css'];
+
+    // `sheet`: { title, language, overviewHTML, vehicles, formatPrice, formatDate, keyFeatures: { id: [...] },
+    //            rows: [{ category, categoryLabel, label, values: { id: html } }] }
+    build(sheet) {
+        const pages = this.chunk(sheet.vehicles, PrintSheet.COLUMNS_PER_PAGE);
+        const landscape = sheet.vehicles.length > 3;
+        const baseUrl = window.location.href;
+        const generated = sheet.formatDate(new Date());
+
+        return `<!DOCTYPE html>
+<html lang="${this.escape(sheet.language || 'en')}">
+<head>
+    <meta charset="UTF-8">
+    <title>${this.escape(sheet.title)}</title>
+    ${PrintSheet.STYLESHEETS.map(href => `<link rel="stylesheet" href="${new URL(href, baseUrl).href}">`).join('\n    ')}
+    <style>@page { size: A4 ${landscape ? 'landscape' : 'portrait'}; margin: 12mm; }</style>
+</head>
+<body class="print-sheet">
+    <header class="print-sheet-header">
+        <h1>${this.escape(sheet.title)}</h1>
+        <p class="print-sheet-meta">${sheet.vehicles.length} variants • ${sheet.rows.length} differences • Generated ${generated}</p>
+    </header>
+
+    <section class="print-sheet-overview">
+        ${sheet.overviewHTML}
+    </section>
+
+    ${pages.map((vehicles, index) => this.renderTablePage(sheet, vehicles, index, pages.length)).join('')}
+
+    <section class="print-sheet-features">
+        <h2>Key features</h2>
+        <div class="print-sheet-feature-grid">
+            ${sheet.vehicles.map(vehicle => `
+                <div class="print-sheet-feature-card">
+                    <h3>${this.escape(vehicle.trim)}</h3>
+                    <p class="print-sheet-price">${sheet.formatPrice(vehicle.price)}</p>
+                    <ul>
+                        ${(sheet.keyFeatures[vehicle.id] || []).map(feature => `<li>${this.escape(feature)}</li>`).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+        </div>
+    </section>
+</body>
+</html>`;
+    }
+
+    renderTablePage(sheet, vehicles, index, pageCount) {
+        const part = pageCount > 1 ? ` (variants ${index * PrintSheet.COLUMNS_PER_PAGE + 1}–${index * PrintSheet.COLUMNS_PER_PAGE + vehicles.length} of ${sheet.vehicles.length})` : '';
+        let currentCategory = null;
+
+        return `
+    <section class="print-sheet-table-page${index > 0 ? ' page-break' : ''}">
+        <h2>Differences${part}</h2>
+        <table class="print-sheet-table">
+            <thead>
+                <tr>
+                    <th class="print-sheet-spec">Specification</th>
+                    ${vehicles.map(vehicle => `
+                        <th>
+                            <span class="print-sheet-trim">${this.escape(vehicle.trim)}</span>
+                            <span class="print-sheet-version">${this.escape(vehicle.versionName || vehicle.year)}</span>
+                            <span class="print-sheet-price">${sheet.formatPrice(vehicle.price)}</span>
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${sheet.rows.map(row => {
+                    // Category headings break the table into readable groups
+                    const heading = row.category !== currentCategory
+                        ? `<tr class="print-sheet-category"><td colspan="${vehicles.length + 1}">${this.escape(row.categoryLabel)}</td></tr>`
+                        : '';
+                    currentCategory = row.category;
+                    return `${heading}
+                <tr>
+                    <td class="print-sheet-spec">${this.escape(row.label)}</td>
+                    ${vehicles.map(vehicle => `<td>${row.values[vehicle.id] ?? ''}</td>`).join('')}
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    </section>`;
+    }
+
+    chunk(items, size) {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += size) {
+            chunks.push(items.slice(i, i + size));
+        }
+        return chunks;
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Print the document from a hidden frame; the browser's print dialog offers "Save as PDF"
+    print(html) {
+        const frame = document.createElement('iframe');
+        frame.className = 'print-sheet-frame';
+        frame.setAttribute('aria-hidden', 'true');
+
+        // Wait for the stylesheets before printing
+        frame.onload = () => {
+            const frameWindow = frame.contentWindow;
+            frameWindow.addEventListener('afterprint', () => frame.remove());
+            frameWindow.focus();
+            frameWindow.print();
+        };
+
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrintSheet;
+}
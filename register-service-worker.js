@@ -0,0 +1,12 @@
+/**
+ * Service Worker Registration
+ * Installs service-worker.js so every page, its scripts and the vehicle data keep working
+ * offline after the first visit. Browsers only allow service workers on https and localhost.
+ */
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('service-worker.js')
+            .catch(error => console.warn('Offline support is not available:', error));
+    });
+}
@@ -4,18 +4,57 @@
  */
 
 class VehicleComparison {
+    // Dataset shown when the URL does not name one
+    static DEFAULT_DATASET = 'hyKona.json';
+
+    // Hidden variants and hand-ordered cards are remembered per dataset under this prefix
+    static LAYOUT_STORAGE_PREFIX = 'vehicleComparison.layout.';
+
     constructor() {
         this.vehicles = [];
+        this.loadedVehicles = [];
+        this.hiddenVehicleIds = new Set();
+        this.customOrder = [];
+        this.draggedVehicleId = null;
+        this.uploadedFileName = null;
         this.differences = [];
+        this.identicalFields = [];
         this.categories = new Set();
         this.currentFilter = 'all';
         this.currentSort = 'price-low';
         this.itemsPerPage = 10;
+        this.showIdentical = false;
+        this.baselineId = null;
         this.dataLabelMapping = null;
+        this.normalizer = new VehicleNormalizer();
+        this.differenceEngine = new DifferenceEngine(this.normalizer);
+        this.specRules = new SpecRules(null, this.normalizer);
+        this.featureGroups = new FeatureGroups();
+        this.locale = new Locale();
+        this.unitSystem = new UnitSystem(this.normalizer, this.locale);
+        this.sessionDatasets = new Map();
+        this.selectedVariantIds = new Set();
+        this.specSearch = new SpecSearch();
+        this.printSheet = new PrintSheet();
+        this.validator = new VehicleValidator();
+        this.library = new VehicleLibrary();
+        this.searchQuery = '';
+        this.searchResults = [];
+        this.activeSearchHit = -1;
+        this.dataSource = null; // 'preloaded', 'multi' or 'file' (uploads, saved datasets and API searches)
+        this.currentDataset = null;
+        this.isRestoringUrlState = false;
+        this.urlState = new UrlState({
+            defaults: { dataset: VehicleComparison.DEFAULT_DATASET, filter: 'all', sort: 'price-low', items: '10', identical: '0', baseline: '' },
+            arrayKeys: ['models', 'variants']
+        });
         
         this.initializeEventListeners();
         this.loadDataLabelMapping();
-        this.loadDefaultData();
+        this.loadSpecRules();
+        this.loadFeatureGroups();
+        this.restoreUrlState(this.urlState.read());
+        this.urlState.onChange(state => this.restoreUrlState(state));
     }
 
     initializeEventListeners() {
@@ -28,9 +67,30 @@ class VehicleComparison {
         const preloadedSelect = document.getElementById('preloaded-data-select');
         preloadedSelect.addEventListener('change', (e) => this.handlePreloadedDataSelection(e));
 
-        // File input handler
-        const fileInput = document.getElementById('vehicle-data-file');
-        fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
+        // Cross-model dataset and variant pickers
+        this.populateMultiDatasetOptions();
+        document.getElementById('multi-data-options').addEventListener('change', (e) => this.handleMultiDatasetToggle(e));
+        document.getElementById('variant-picker').addEventListener('change', (e) => this.handleVariantToggle(e));
+
+        // File input handler: pick or drop one or more .json/.json.gz files
+        this.fileUpload = new FileUpload(document.getElementById('vehicle-data-file'), {
+            onLoad: (data, upload) => this.handleFileUpload(data, upload),
+            onError: (message) => this.showError(message)
+        });
+
+        // CarExpert API search
+        this.apiSearch = new ApiSearch(document.getElementById('api-search-form'), {
+            onLoad: (payload, search) => this.showSearchResults(payload, search),
+            onError: (message) => this.showError(message)
+        });
+
+        // Saved datasets ("My datasets")
+        this.datasetManager = new DatasetManager(document.getElementById('dataset-library'), {
+            library: this.library,
+            locale: this.locale,
+            onOpen: (summary, payload) => this.openLibraryDataset(summary, payload),
+            onError: (message) => this.showError(message)
+        });
 
         // Accordion handler
         const accordionHeader = document.getElementById('accordion-header');
@@ -42,17 +102,176 @@ class VehicleComparison {
         document.getElementById('category-filter').addEventListener('change', (e) => {
             this.currentFilter = e.target.value;
             this.renderComparisonGrid();
+            this.updateUrlState();
         });
 
         document.getElementById('sort-option').addEventListener('change', (e) => {
             this.currentSort = e.target.value;
             this.renderComparisonGrid();
+            this.updateUrlState();
         });
 
         document.getElementById('items-per-page').addEventListener('change', (e) => {
             this.itemsPerPage = e.target.value === 'all' ? null : parseInt(e.target.value);
             this.renderComparisonGrid();
+            this.updateUrlState();
+        });
+
+        document.getElementById('show-identical').addEventListener('change', (e) => {
+            this.showIdentical = e.target.checked;
+            this.renderComparisonGrid();
+            this.updateUrlState();
+        });
+
+        document.getElementById('export-pdf').addEventListener('click', () => this.exportPdf());
+
+        // Units follow the preference shared by every page
+        UnitSystem.bindSelector(document.getElementById('unit-system'));
+        UnitSystem.onChange(system => {
+            this.unitSystem.setSystem(system);
+            if (this.vehicles.length > 0) {
+                this.renderComparisonGrid();
+            }
+        });
+
+        // Labels and number formats follow the language preference shared by every page
+        Locale.bindSelector(document.getElementById('language'));
+        Locale.onChange(async language => {
+            await this.locale.setLanguage(language);
+            if (this.vehicles.length > 0) {
+                this.populateCategoryFilter();
+                this.renderStatistics();
+                this.renderComparisonGrid();
+            }
+        });
+
+        // Card actions: pin/unpin a baseline, hide, move left/right and restore hidden variants
+        const grid = document.getElementById('comparison-grid');
+        grid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-card-action]');
+            if (!button) return;
+
+            const vehicleId = button.dataset.vehicleId;
+            switch (button.dataset.cardAction) {
+                case 'baseline':
+                    this.setBaseline(vehicleId);
+                    break;
+                case 'hide':
+                    this.hideVehicle(vehicleId);
+                    break;
+                case 'show':
+                    this.showVehicle(vehicleId);
+                    break;
+                case 'move-left':
+                    this.moveVehicle(vehicleId, -1);
+                    break;
+                case 'move-right':
+                    this.moveVehicle(vehicleId, 1);
+                    break;
+            }
+        });
+
+        // Keyboard equivalents on a focused card: Alt+←/→ to move, Delete to hide
+        grid.addEventListener('keydown', (e) => this.handleCardKeydown(e));
+
+        // Drag a card onto another to reorder
+        grid.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.vehicle-card');
+            if (!card) return;
+            this.draggedVehicleId = card.dataset.vehicleId;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', card.dataset.vehicleId);
+            card.classList.add('dragging');
+        });
+        grid.addEventListener('dragover', (e) => {
+            if (!this.draggedVehicleId || !e.target.closest('.vehicle-card')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        grid.addEventListener('drop', (e) => {
+            const card = e.target.closest('.vehicle-card');
+            if (!this.draggedVehicleId || !card) return;
+            e.preventDefault();
+            this.moveVehicleTo(this.draggedVehicleId, card.dataset.vehicleId);
+        });
+        grid.addEventListener('dragend', () => {
+            this.draggedVehicleId = null;
+            grid.querySelectorAll('.vehicle-card.dragging').forEach(card => card.classList.remove('dragging'));
+        });
+
+        // Spec search with keyboard navigation between hits
+        const searchInput = document.getElementById('spec-search');
+        searchInput.addEventListener('input', (e) => {
+            this.searchQuery = e.target.value.trim();
+            this.activeSearchHit = -1;
+            this.renderComparisonGrid();
         });
+        searchInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+    }
+
+    getUrlState() {
+        const state = {
+            dataset: this.dataSource === 'preloaded' ? this.currentDataset : null,
+            models: [],
+            variants: [],
+            filter: this.currentFilter,
+            sort: this.currentSort,
+            items: this.itemsPerPage === null ? 'all' : String(this.itemsPerPage),
+            identical: this.showIdentical ? '1' : '0',
+            baseline: this.baselineId
+        };
+
+        if (this.dataSource === 'multi') {
+            state.models = Array.from(this.sessionDatasets.keys());
+
+            // Only list variants when some have been deselected, to keep links short
+            const allIds = [];
+            this.sessionDatasets.forEach(dataset => dataset.vehicles.forEach(vehicle => allIds.push(vehicle.id)));
+            if (allIds.some(id => !this.selectedVariantIds.has(id))) {
+                state.variants = allIds.filter(id => this.selectedVariantIds.has(id));
+            }
+        }
+
+        return state;
+    }
+
+    updateUrlState() {
+        if (this.isRestoringUrlState) return;
+        this.urlState.write(this.getUrlState());
+    }
+
+    async restoreUrlState(state) {
+        this.isRestoringUrlState = true;
+
+        try {
+            this.currentFilter = state.filter;
+            this.currentSort = state.sort;
+            this.itemsPerPage = state.items === 'all' ? null : parseInt(state.items) || 10;
+            document.getElementById('sort-option').value = this.currentSort;
+            document.getElementById('items-per-page').value = this.itemsPerPage === null ? 'all' : String(this.itemsPerPage);
+            this.showIdentical = state.identical === '1';
+            document.getElementById('show-identical').checked = this.showIdentical;
+            this.baselineId = state.baseline || null;
+
+            // Only refetch data when the loaded datasets or variants differ from the URL
+            const current = this.getUrlState();
+            const isSameSource = this.dataSource !== null &&
+                JSON.stringify([current.dataset, current.models, current.variants]) ===
+                JSON.stringify([state.models.length > 0 ? null : state.dataset, state.models, state.variants]);
+
+            if (isSameSource) {
+                this.populateCategoryFilter();
+                this.renderComparisonGrid();
+            } else if (state.models.length > 0) {
+                this.switchTab('multi');
+                await this.loadSession(state.models, state.variants);
+            } else {
+                this.switchTab('preloaded');
+                await this.loadPreloadedDataset(state.dataset);
+            }
+        } finally {
+            this.isRestoringUrlState = false;
+        }
     }
 
     async loadDataLabelMapping() {
@@ -63,31 +282,50 @@ class VehicleComparison {
             }
             this.dataLabelMapping = await response.json();
             console.log('Data label mapping loaded successfully');
+            await this.locale.setLanguage(this.locale.language);
         } catch (error) {
             console.error('Error loading data label mapping:', error);
             console.warn('Continuing without data label mapping - using fallback formatting');
         }
     }
 
-    async loadDefaultData() {
+    async loadSpecRules() {
         try {
-            // Load the first available dataset by default (Kona)
-            const response = await fetch('vehicleData/hyKona.json');
+            const response = await fetch('specRules.json');
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            const data = await response.json();
-            this.processVehicleData(data);
-            
-            // Update the dropdown to show the selected dataset
-            const preloadedSelect = document.getElementById('preloaded-data-select');
-            if (preloadedSelect) {
-                preloadedSelect.value = 'suzukiJimny.json';
+            this.specRules.setRules(await response.json());
+            console.log('Spec rules loaded successfully');
+
+            // Data may have rendered before the rules arrived
+            if (this.vehicles.length > 1) {
+                this.identifyDifferences();
+                this.renderComparisonGrid();
             }
         } catch (error) {
-            console.error('Error loading default data:', error);
-            // If default data fails, show the no data message instead of error
-            this.showNoData();
+            console.error('Error loading spec rules:', error);
+            console.warn('Continuing without spec rules - no values will be highlighted');
+        }
+    }
+
+    async loadFeatureGroups() {
+        try {
+            const response = await fetch('featureGroups.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.featureGroups.setGroups(await response.json());
+            console.log('Feature groups loaded successfully');
+
+            // Data may have loaded before the groups arrived
+            if (this.loadedVehicles.length > 0) {
+                this.featureGroups.apply(this.loadedVehicles);
+                this.applyVisibility();
+            }
+        } catch (error) {
+            console.error('Error loading feature groups:', error);
+            console.warn('Continuing without feature groups - related specs are listed separately');
         }
     }
 
@@ -120,11 +358,7 @@ class VehicleComparison {
     async loadSampleData() {
         try {
             this.showLoading(true);
-            const response = await fetch('vehicleData/allJuke.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
+            const data = await this.library.loadPreloaded('allJuke.json');
             this.processVehicleData(data);
         } catch (error) {
             console.error('Error loading sample data:', error);
@@ -136,17 +370,21 @@ class VehicleComparison {
         const selectedFile = event.target.value;
         if (!selectedFile) return;
 
+        await this.loadPreloadedDataset(selectedFile);
+        this.updateUrlState();
+    }
+
+    async loadPreloadedDataset(filename) {
         try {
             this.showLoading(true);
-            const response = await fetch(`vehicleData/${selectedFile}`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
+            const data = await this.library.loadPreloaded(filename);
+            this.dataSource = 'preloaded';
+            this.currentDataset = filename;
+            document.getElementById('preloaded-data-select').value = filename;
             this.processVehicleData(data);
         } catch (error) {
             console.error('Error loading preloaded data:', error);
-            this.showError(`Failed to load ${selectedFile}. Please check if the file exists and is accessible.`);
+            this.showError(`Failed to load ${filename}. Please check if the file exists and is accessible.`);
         }
     }
 
@@ -154,218 +392,451 @@ class VehicleComparison {
 
 
 
-    handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    populateMultiDatasetOptions() {
+        const container = document.getElementById('multi-data-options');
+        const preloadedSelect = document.getElementById('preloaded-data-select');
+
+        // Reuse the preloaded dataset list so both pickers stay in sync
+        Array.from(preloadedSelect.options)
+            .filter(option => option.value)
+            .forEach(option => {
+                const label = document.createElement('label');
+                label.className = 'multi-data-option';
+                label.innerHTML = `
+                    <input type="checkbox" value="${option.value}">
+                    <span>${option.textContent.replace(/\s*(Vehicle )?Data$/, '')}</span>
+                `;
+                container.appendChild(label);
+            });
+    }
+
+    async handleMultiDatasetToggle(event) {
+        const checkbox = event.target;
+        const filename = checkbox.value;
+        if (!filename) return;
+
+        this.dataSource = 'multi';
 
-        if (file.type !== 'application/json') {
-            this.showError('Please select a valid JSON file.');
+        if (!checkbox.checked) {
+            const dataset = this.sessionDatasets.get(filename);
+            dataset?.vehicles.forEach(vehicle => this.selectedVariantIds.delete(vehicle.id));
+            this.sessionDatasets.delete(filename);
+            this.renderVariantPicker();
+            this.applySessionSelection();
+            this.updateUrlState();
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
+        try {
+            this.showLoading(true);
+            await this.addSessionDataset(filename);
+            this.renderVariantPicker();
+            this.applySessionSelection();
+            this.updateUrlState();
+        } catch (error) {
+            console.error('Error loading dataset for comparison:', error);
+            checkbox.checked = false;
+            this.showError(`Failed to load ${filename}. Please check if the file exists and is accessible.`);
+        }
+    }
+
+    async addSessionDataset(filename) {
+        const dataset = this.normalizer.normalizeDataset(await this.library.loadPreloaded(filename));
+
+        // Variant ids must be unique across the session; skip any already loaded from another file
+        const loadedIds = new Set();
+        this.sessionDatasets.forEach(existing => existing.vehicles.forEach(v => loadedIds.add(v.id)));
+        dataset.vehicles = dataset.vehicles.filter(vehicle => !loadedIds.has(vehicle.id));
+
+        this.sessionDatasets.set(filename, dataset);
+        dataset.vehicles.forEach(vehicle => this.selectedVariantIds.add(vehicle.id));
+    }
+
+    async loadSession(filenames, variantIds = []) {
+        this.showLoading(true);
+        this.dataSource = 'multi';
+        this.sessionDatasets = new Map();
+        this.selectedVariantIds = new Set();
+
+        // Load in URL order so the variant picker matches the shared link
+        for (const filename of filenames) {
             try {
-                const data = JSON.parse(e.target.result);
-                this.processVehicleData(data);
+                await this.addSessionDataset(filename);
             } catch (error) {
-                console.error('Error parsing JSON:', error);
-                this.showError('Invalid JSON file. Please check the file format.');
+                console.error(`Error loading ${filename} for comparison:`, error);
             }
-        };
-        reader.readAsText(file);
+        }
+
+        if (variantIds.length > 0) {
+            this.selectedVariantIds = new Set(variantIds);
+        }
+
+        document.querySelectorAll('#multi-data-options input').forEach(checkbox => {
+            checkbox.checked = this.sessionDatasets.has(checkbox.value);
+        });
+        this.renderVariantPicker();
+        this.applySessionSelection();
+    }
+
+    handleVariantToggle(event) {
+        const checkbox = event.target;
+        if (!checkbox.dataset.vehicleId) return;
+
+        if (checkbox.checked) {
+            this.selectedVariantIds.add(checkbox.dataset.vehicleId);
+        } else {
+            this.selectedVariantIds.delete(checkbox.dataset.vehicleId);
+        }
+        this.applySessionSelection();
+        this.updateUrlState();
+    }
+
+    renderVariantPicker() {
+        const picker = document.getElementById('variant-picker');
+
+        picker.innerHTML = Array.from(this.sessionDatasets.values()).map(dataset => `
+            <div class="variant-group">
+                <div class="variant-group-title">${dataset.displayName}</div>
+                <div class="variant-group-options">
+                    ${dataset.vehicles.map(vehicle => `
+                        <label class="variant-option">
+                            <input type="checkbox" data-vehicle-id="${vehicle.id}" ${this.selectedVariantIds.has(vehicle.id) ? 'checked' : ''}>
+                            <span>${vehicle.trim}${vehicle.versionName ? ` • ${vehicle.versionName}` : ''}</span>
+                            <span class="variant-option-price">${this.formatPrice(vehicle.price)}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    applySessionSelection() {
+        const vehicles = [];
+        this.sessionDatasets.forEach(dataset => {
+            dataset.vehicles.forEach(vehicle => {
+                if (this.selectedVariantIds.has(vehicle.id)) {
+                    vehicles.push(vehicle);
+                }
+            });
+        });
+
+        if (vehicles.length === 0) {
+            this.vehicles = [];
+            this.differences = [];
+            this.identicalFields = [];
+            this.showNoData();
+            return;
+        }
+
+        this.setVehicles(vehicles);
+    }
+
+    // `data` is already parsed and, for several files, merged by FileUpload
+    async handleFileUpload(data, { fileName, files }) {
+        // Malformed variants are reported and left out instead of failing during rendering
+        const payload = await this.validator.review(data, { anchor: this.fileUpload.input, fileName });
+        if (!payload) return;
+
+        // The same set of files keeps its saved layout whatever order they were picked in
+        const file = [...files].sort().join('+');
+        this.library.saveUpload(payload, files);
+        this.showUploadedData(payload, file);
+    }
+
+    showUploadedData(payload, file) {
+        this.dataSource = 'file';
+        this.currentDataset = null;
+        this.uploadedFileName = file;
+        this.processVehicleData(payload);
+        this.updateUrlState();
+    }
+
+    // API search results are kept in the library; the query string keys their saved layout
+    showSearchResults(payload, { query }) {
+        this.library.saveSearch(payload, query);
+        this.showUploadedData(payload, query);
+    }
+
+    // Preloaded datasets reopen through their file so the URL can still be shared
+    async openLibraryDataset(summary, payload) {
+        if (summary.source === 'preloaded') {
+            await this.loadPreloadedDataset(summary.file);
+            this.updateUrlState();
+            return;
+        }
+        this.showUploadedData(payload, summary.file);
     }
 
     processVehicleData(data) {
         try {
             this.showLoading(true);
             
-            // Handle different data structures
-            const vehicles = data.data || data.vehicles || data;
-            if (!Array.isArray(vehicles)) {
-                throw new Error('Invalid data structure. Expected an array of vehicles.');
-            }
-
-            if (vehicles.length === 0) {
+            // Normalise the NAVI payload into the shared canonical vehicle model
+            const dataset = this.normalizer.normalizeDataset(data);
+            if (dataset.vehicles.length === 0) {
                 this.showNoData();
                 return;
             }
 
-            this.vehicles = vehicles.map(vehicle => this.normalizeVehicleData(vehicle));
-            this.identifyDifferences();
-            this.populateCategoryFilter();
-            this.renderStatistics();
-            this.renderComparisonGrid();
-            this.showLoading(false);
+            this.setVehicles(dataset.vehicles);
         } catch (error) {
             console.error('Error processing vehicle data:', error);
             this.showError('Error processing vehicle data: ' + error.message);
         }
     }
 
-    normalizeVehicleData(vehicle) {
-        // Handle different data structures from the sample and API
-        const vehicleData = vehicle.vehicle || vehicle;
-        const generalInfo = vehicleData.vehicleGeneralInfo || {};
-        
-        return {
-            id: vehicleData.vehicleId || vehicleData.id || Math.random().toString(36),
-            make: generalInfo.localMake || vehicleData.make || 'Unknown',
-            model: generalInfo.localModel || vehicleData.model || 'Unknown',
-            trim: generalInfo.localTrimLevel || vehicleData.trim || 'Base',
-            versionName: generalInfo.localVersionName || vehicleData.versionName || '',
-            year: vehicleData.modelYear || vehicleData.year || new Date().getFullYear(),
-            price: vehicleData.price || 0,
-            transmissionType: vehicleData.transmissionType || null,
-            transmissionSpeeds: vehicleData.transmissionNumberOfSpeeds || null,
-            transmissionDescription: vehicleData.transmissionDescription || null,
-            drivenWheels: vehicleData.drivenWheels || null,
-            fuelType: vehicleData.fuelType || null,
-            bodyType: vehicleData.bodyType || null,
-            powertrainType: vehicleData.powertrainType || null,
-            hasHighLowGearData: vehicleData.hasHighLowGearData || false,
-            bodyExterior: vehicleData.bodyExterior || {},
-            specifications: this.extractSpecifications(vehicleData),
-            isCurrent: vehicleData.isCurrent !== false
-        };
+    setVehicles(vehicles) {
+        this.loadedVehicles = this.featureGroups.apply(vehicles);
+        this.restoreLayout();
+        this.applyVisibility();
+        this.showLoading(false);
     }
 
-    extractSpecifications(vehicleData) {
-        const specs = {};
-        
-        // Extract specifications from all available categories dynamically
-        // Skip non-specification fields that shouldn't be included
-        const excludeFields = [
-            'vehicleId', 'make', 'model', 'trim', 'versionName', 'modelYear', 
-            'price', 'isCurrent', 'vehicleGeneralInfo', 'standardText',
-            'makeDetails', 'modelDetails', 'calculated'
-        ];
-        
-        Object.keys(vehicleData).forEach(category => {
-            // Only include categories that are objects and not in the exclude list
-            if (typeof vehicleData[category] === 'object' && 
-                vehicleData[category] !== null && 
-                !Array.isArray(vehicleData[category]) &&
-                !excludeFields.includes(category)) {
-                specs[category] = this.flattenObject(vehicleData[category]);
-            }
-        });
+    // Recompute differences and statistics for the variants that are not hidden
+    applyVisibility() {
+        this.vehicles = this.loadedVehicles.filter(vehicle => !this.hiddenVehicleIds.has(String(vehicle.id)));
 
-        return specs;
+        // Drop a pinned baseline that is not part of the visible data
+        if (!this.getBaselineVehicle()) {
+            this.baselineId = null;
+        }
+
+        // Categories belong to the current session only
+        this.categories = new Set();
+        this.identifyDifferences();
+        this.populateCategoryFilter();
+        this.renderStatistics();
+        this.renderComparisonGrid();
     }
 
-    flattenObject(obj, prefix = '') {
-        const flattened = {};
-        
-        for (const key in obj) {
-            if (obj.hasOwnProperty(key)) {
-                const newKey = prefix ? `${prefix}.${key}` : key;
-                const value = obj[key];
-                
-                if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                    Object.assign(flattened, this.flattenObject(value, newKey));
-                } else {
-                    // Check if this is a local field and prefer it over non-local
-                    const isLocalField = key.startsWith('local');
-                    const nonLocalKey = key.replace(/^local/, '');
-                    const nonLocalNewKey = prefix ? `${prefix}.${nonLocalKey}` : nonLocalKey;
-                    
-                    if (isLocalField) {
-                        // Use the local field without the 'local' prefix
-                        flattened[nonLocalNewKey] = value;
-                    } else {
-                        // Only add non-local field if no local version exists
-                        if (!obj[`local${key.charAt(0).toUpperCase() + key.slice(1)}`]) {
-                            flattened[newKey] = value;
-                        }
-                    }
-                }
-            }
+    getLayoutStorageKey() {
+        let datasetKey = null;
+        if (this.dataSource === 'preloaded') {
+            datasetKey = this.currentDataset;
+        } else if (this.dataSource === 'multi') {
+            datasetKey = Array.from(this.sessionDatasets.keys()).sort().join('+');
+        } else if (this.dataSource === 'file') {
+            datasetKey = this.uploadedFileName && `file:${this.uploadedFileName}`;
         }
-        
-        return flattened;
+        return datasetKey ? VehicleComparison.LAYOUT_STORAGE_PREFIX + datasetKey : null;
     }
 
-    shouldExcludeField(category, specification) {
-        const specLower = specification.toLowerCase();
-        
-        // Performance field exclusions
-        if (category === 'performance') {
-            const performanceExcludeTerms = ['mph', 'mpg', 'gallon', 'miles'];
-            return performanceExcludeTerms.some(term => specLower.includes(term));
-        }
-        
-        // Dimension field exclusions
-        if (category === 'dimensions') {
-            const dimensionExcludeTerms = ['inches', 'feet', 'cubic feet', 'in', 'cuft'];
-            return dimensionExcludeTerms.some(term => specLower.includes(term));
+    restoreLayout() {
+        this.hiddenVehicleIds = new Set();
+        this.customOrder = [];
+
+        const key = this.getLayoutStorageKey();
+        if (!key) return;
+
+        try {
+            const layout = JSON.parse(localStorage.getItem(key) || 'null');
+            if (!layout) return;
+
+            // Ignore ids that are no longer in the data
+            const loadedIds = new Set(this.loadedVehicles.map(vehicle => String(vehicle.id)));
+            this.hiddenVehicleIds = new Set((layout.hidden || []).filter(id => loadedIds.has(id)));
+            this.customOrder = (layout.order || []).filter(id => loadedIds.has(id));
+        } catch (error) {
+            console.error('Error restoring card layout:', error);
         }
-        
-        // Warranty field exclusions
-        if (category === 'warranty') {
-            const warrantyExcludeTerms = ['miles'];
-            return warrantyExcludeTerms.some(term => specLower.includes(term));
+    }
+
+    saveLayout() {
+        const key = this.getLayoutStorageKey();
+        if (!key) return;
+
+        try {
+            if (this.hiddenVehicleIds.size === 0 && this.customOrder.length === 0) {
+                localStorage.removeItem(key);
+                return;
+            }
+            localStorage.setItem(key, JSON.stringify({
+                hidden: Array.from(this.hiddenVehicleIds),
+                order: this.customOrder
+            }));
+        } catch (error) {
+            console.error('Error saving card layout:', error);
         }
-        
-        // Weight field exclusions
-        if (category === 'weights') {
-            const weightExcludeTerms = ['pounds', 'lbs', 'lb'];
-            return weightExcludeTerms.some(term => specLower.includes(term));
+    }
+
+    hideVehicle(vehicleId) {
+        // Keep at least one variant on screen
+        if (this.vehicles.length <= 1) return;
+
+        this.hiddenVehicleIds.add(vehicleId);
+        this.saveLayout();
+        this.applyVisibility();
+        this.updateUrlState();
+    }
+
+    showVehicle(vehicleId) {
+        this.hiddenVehicleIds.delete(vehicleId);
+        this.saveLayout();
+        this.applyVisibility();
+    }
+
+    // Switch to the hand-ordered sort, starting from the order currently on screen
+    startCustomOrder() {
+        const ids = this.getDisplayedVehicles().map(vehicle => String(vehicle.id));
+        this.currentSort = 'custom';
+        document.getElementById('sort-option').value = 'custom';
+        return ids;
+    }
+
+    moveVehicle(vehicleId, step) {
+        const ids = this.startCustomOrder();
+        const from = ids.indexOf(vehicleId);
+        const to = from + step;
+        if (from === -1 || to < 0 || to >= ids.length) return;
+
+        ids.splice(to, 0, ids.splice(from, 1)[0]);
+        this.applyCustomOrder(ids, vehicleId);
+    }
+
+    moveVehicleTo(vehicleId, targetId) {
+        if (vehicleId === targetId) return;
+
+        const ids = this.startCustomOrder();
+        const from = ids.indexOf(vehicleId);
+        const to = ids.indexOf(targetId);
+        if (from === -1 || to === -1) return;
+
+        ids.splice(to, 0, ids.splice(from, 1)[0]);
+        this.applyCustomOrder(ids, vehicleId);
+    }
+
+    applyCustomOrder(ids, focusId) {
+        // Hidden variants keep their place at the end of the order
+        const hidden = this.customOrder.filter(id => this.hiddenVehicleIds.has(id));
+        this.customOrder = [...ids, ...hidden.filter(id => !ids.includes(id))];
+        this.saveLayout();
+        this.renderComparisonGrid();
+        this.updateUrlState();
+
+        const card = document.querySelector(`.vehicle-card[data-vehicle-id="${CSS.escape(focusId)}"]`);
+        if (card) card.focus();
+    }
+
+    handleCardKeydown(event) {
+        const card = event.target.closest('.vehicle-card');
+        if (!card || event.target !== card) return;
+
+        const vehicleId = card.dataset.vehicleId;
+        if (event.altKey && (event.key === 'ArrowLeft' || event.key === 'ArrowUp')) {
+            event.preventDefault();
+            this.moveVehicle(vehicleId, -1);
+        } else if (event.altKey && (event.key === 'ArrowRight' || event.key === 'ArrowDown')) {
+            event.preventDefault();
+            this.moveVehicle(vehicleId, 1);
+        } else if (event.key === 'Delete') {
+            event.preventDefault();
+            this.hideVehicle(vehicleId);
         }
-        
-        return false;
     }
 
     identifyDifferences() {
         if (this.vehicles.length < 2) {
             this.differences = [];
+            this.identicalFields = [];
             return;
         }
 
-        const allSpecs = {};
+        const allSpecs = this.collectSpecFields();
         const differences = [];
+        const identicalFields = [];
 
-        // Collect all specifications across all vehicles
-        this.vehicles.forEach(vehicle => {
-            Object.keys(vehicle.specifications).forEach(category => {
-                if (!allSpecs[category]) allSpecs[category] = {};
-                
-                Object.keys(vehicle.specifications[category]).forEach(spec => {
-                    // Skip fields that should be excluded based on category and specification
-                    if (this.shouldExcludeField(category, spec)) {
-                        return;
-                    }
-                    
-                    if (!allSpecs[category][spec]) allSpecs[category][spec] = new Set();
-                    allSpecs[category][spec].add(vehicle.specifications[category][spec]);
-                });
-            });
-        });
-
-        // Find specifications that differ between vehicles
+        // Find specifications that differ between vehicles once values are normalised
         Object.keys(allSpecs).forEach(category => {
             Object.keys(allSpecs[category]).forEach(spec => {
-                if (allSpecs[category][spec].size > 1) {
+                const values = this.getFieldValues(category, spec);
+                const analysis = this.differenceEngine.analyzeField(values, `${category}.${spec}`);
+
+                if (analysis.isDifferent) {
                     differences.push({
                         category,
                         specification: spec,
-                        values: {}
+                        values: {},
+                        kind: analysis.kind,
+                        unit: analysis.unit,
+                        magnitude: analysis.magnitude,
+                        significance: analysis.significance,
+                        directions: analysis.directions,
+                        verdicts: this.getDirectionVerdicts(category, spec, values, analysis.directions),
+                        winners: this.specRules.findWinners(category, spec, values)
                     });
                     
                     this.categories.add(category);
+                } else {
+                    identicalFields.push({
+                        category,
+                        specification: spec,
+                        values: {},
+                        isIdentical: true
+                    });
                 }
             });
         });
 
         // Map values to each vehicle
-        differences.forEach(diff => {
+        [...differences, ...identicalFields].forEach(diff => {
             this.vehicles.forEach(vehicle => {
                 const value = vehicle.specifications[diff.category]?.[diff.specification];
                 diff.values[vehicle.id] = value || 'Not Available';
             });
         });
 
+        // Most significant differences first
+        differences.sort((a, b) => b.magnitude - a.magnitude);
+
         this.differences = differences;
+        this.identicalFields = identicalFields;
+    }
+
+    collectSpecFields() {
+        const allSpecs = {};
+
+        // Collect all specifications across all vehicles
+        this.vehicles.forEach(vehicle => {
+            Object.keys(vehicle.specifications).forEach(category => {
+                if (!allSpecs[category]) allSpecs[category] = {};
+                
+                // Metric/imperial twins are already collapsed into one spec by the normalizer
+                Object.keys(vehicle.specifications[category]).forEach(spec => {
+                    allSpecs[category][spec] = true;
+                });
+            });
+        });
+
+        return allSpecs;
+    }
+
+    // Whether each vehicle's higher/lower arrow is an upgrade ('better') or a downgrade ('worse')
+    // by the field's rule in specRules.json, measured against a vehicle on the other side
+    getDirectionVerdicts(category, spec, values, directions) {
+        const ids = Object.keys(directions);
+        const firstWith = direction => ids.find(id => directions[id] === direction);
+        const verdicts = {};
+
+        ids.forEach(id => {
+            if (directions[id] === 'equal') return;
+            const opposite = directions[id] === 'higher' ? 'lower' : 'higher';
+            const referenceId = firstWith(opposite) ?? firstWith('equal');
+            if (referenceId === undefined) return;
+
+            const verdict = this.specRules.compare(category, spec, values[referenceId], values[id]);
+            if (verdict !== 0) {
+                verdicts[id] = verdict > 0 ? 'better' : 'worse';
+            }
+        });
+        return verdicts;
+    }
+
+    getFieldValues(category, spec) {
+        const values = {};
+        this.vehicles.forEach(vehicle => {
+            values[vehicle.id] = vehicle.specifications[category]?.[spec];
+        });
+        return values;
     }
 
     calculateFieldDifferenceStatistics() {
@@ -381,45 +852,24 @@ class VehicleComparison {
             };
         }
 
-        const allSpecs = {};
         const categoryStats = {};
+        const getCategoryStats = category => {
+            if (!categoryStats[category]) {
+                categoryStats[category] = { total: 0, different: 0, identical: 0 };
+            }
+            return categoryStats[category];
+        };
 
-        // Collect all specifications across all vehicles
-        this.vehicles.forEach(vehicle => {
-            Object.keys(vehicle.specifications).forEach(category => {
-                if (!allSpecs[category]) allSpecs[category] = {};
-                if (!categoryStats[category]) {
-                    categoryStats[category] = {
-                        total: 0,
-                        different: 0,
-                        identical: 0
-                    };
-                }
-                
-                Object.keys(vehicle.specifications[category]).forEach(spec => {
-                    // Skip fields that should be excluded based on category and specification
-                    if (this.shouldExcludeField(category, spec)) {
-                        return;
-                    }
-                    
-                    if (!allSpecs[category][spec]) allSpecs[category][spec] = new Set();
-                    allSpecs[category][spec].add(vehicle.specifications[category][spec]);
-                });
-            });
+        // Count unique field names per category from the fields identifyDifferences walked
+        this.differences.forEach(diff => {
+            const stats = getCategoryStats(diff.category);
+            stats.total++;
+            stats.different++;
         });
-
-        // Calculate differences per category - count unique field names, not instances
-        Object.keys(allSpecs).forEach(category => {
-            const uniqueFieldNames = Object.keys(allSpecs[category]);
-            categoryStats[category].total = uniqueFieldNames.length;
-            
-            uniqueFieldNames.forEach(spec => {
-                if (allSpecs[category][spec].size > 1) {
-                    categoryStats[category].different++;
-                } else {
-                    categoryStats[category].identical++;
-                }
-            });
+        this.identicalFields.forEach(field => {
+            const stats = getCategoryStats(field.category);
+            stats.total++;
+            stats.identical++;
         });
 
         // Calculate totals
@@ -476,20 +926,121 @@ class VehicleComparison {
             option.textContent = this.formatCategoryName(category);
             filter.appendChild(option);
         });
+
+        // Keep the current filter when the new data still has that category
+        if (!this.categories.has(this.currentFilter)) {
+            this.currentFilter = 'all';
+        }
+        filter.value = this.currentFilter;
     }
 
     formatCategoryName(category) {
-        return category
+        const fallbackName = category
             .replace(/([A-Z])/g, ' $1')
             .replace(/^./, str => str.toUpperCase())
             .trim();
+        return this.locale.getCategoryName(category, fallbackName);
     }
 
     getFilteredDifferences() {
+        if (this.searchQuery) {
+            return this.getSearchResults();
+        }
+
+        // Identical fields follow the differences when the toggle is on
+        const fields = this.showIdentical ? [...this.differences, ...this.identicalFields] : this.differences;
         if (this.currentFilter === 'all') {
-            return this.differences;
+            return fields;
         }
-        return this.differences.filter(diff => diff.category === this.currentFilter);
+        return fields.filter(diff => diff.category === this.currentFilter);
+    }
+
+    getSearchResults() {
+        const allSpecs = this.collectSpecFields();
+        const fieldsByKey = new Map(
+            [...this.differences, ...this.identicalFields].map(field => [`${field.category}.${field.specification}`, field])
+        );
+
+        // Search every field, not just the differing ones
+        const fields = [];
+        Object.keys(allSpecs).forEach(category => {
+            if (this.currentFilter !== 'all' && category !== this.currentFilter) return;
+
+            Object.keys(allSpecs[category]).forEach(spec => {
+                const values = this.getFieldValues(category, spec);
+                fields.push({
+                    category,
+                    specification: spec,
+                    label: this.formatSpecificationName(spec, category),
+                    values: Object.values(values)
+                });
+            });
+        });
+
+        return this.specSearch.search(this.searchQuery, fields)
+            .map(match => fieldsByKey.get(`${match.category}.${match.specification}`))
+            .filter(Boolean);
+    }
+
+    handleSearchKeydown(event) {
+        if (event.key === 'Escape') {
+            event.target.value = '';
+            this.searchQuery = '';
+            this.activeSearchHit = -1;
+            this.renderComparisonGrid();
+            return;
+        }
+
+        if (!this.searchQuery || this.searchResults.length === 0) return;
+
+        let step = 0;
+        if (event.key === 'ArrowDown' || (event.key === 'Enter' && !event.shiftKey)) {
+            step = 1;
+        } else if (event.key === 'ArrowUp' || (event.key === 'Enter' && event.shiftKey)) {
+            step = -1;
+        }
+        if (step === 0) return;
+
+        event.preventDefault();
+        this.focusSearchHit(this.activeSearchHit + step);
+    }
+
+    focusSearchHit(index) {
+        const count = this.searchResults.length;
+        this.activeSearchHit = (index + count) % count;
+
+        const hit = this.searchResults[this.activeSearchHit];
+        const fieldKey = `${hit.category}.${hit.specification}`;
+
+        document.querySelectorAll('.difference-row.search-hit-active').forEach(row => {
+            row.classList.remove('search-hit-active');
+        });
+        const rows = document.querySelectorAll(`.difference-row[data-field-key="${CSS.escape(fieldKey)}"]`);
+        rows.forEach(row => row.classList.add('search-hit-active'));
+        if (rows.length > 0) {
+            rows[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+
+        this.updateSearchStatus();
+    }
+
+    updateSearchStatus() {
+        const status = document.getElementById('spec-search-status');
+
+        if (!this.searchQuery) {
+            status.textContent = '';
+            return;
+        }
+
+        const count = this.searchResults.length;
+        if (count === 0) {
+            status.textContent = 'No matching specifications';
+            return;
+        }
+
+        const identical = this.searchResults.filter(result => result.isIdentical).length;
+        const position = this.activeSearchHit >= 0 ? `${this.activeSearchHit + 1} of ${count}` : `${count} match${count > 1 ? 'es' : ''}`;
+        status.textContent = `${position}${identical > 0 ? ` (${identical} identical)` : ''} • ↑/↓ or Enter to move`;
     }
 
     getSortedVehicles() {
@@ -506,15 +1057,39 @@ class VehicleComparison {
                 return sorted.sort((a, b) => a.year - b.year);
             case 'trim':
                 return sorted.sort((a, b) => a.trim.localeCompare(b.trim));
+            case 'custom': {
+                // Variants missing from the saved order go last, in their loaded order
+                const position = id => {
+                    const index = this.customOrder.indexOf(String(id));
+                    return index === -1 ? Infinity : index;
+                };
+                return sorted.sort((a, b) => position(a.id) - position(b.id));
+            }
             default:
                 return sorted;
         }
     }
 
+    getDisplayedVehicles() {
+        const sortedVehicles = this.getSortedVehicles();
+
+        // The pinned baseline always leads the grid
+        const baseline = this.getBaselineVehicle();
+        if (baseline) {
+            sortedVehicles.splice(sortedVehicles.indexOf(baseline), 1);
+            sortedVehicles.unshift(baseline);
+        }
+
+        return sortedVehicles;
+    }
+
     renderComparisonGrid() {
         const grid = document.getElementById('comparison-grid');
         const filteredDifferences = this.getFilteredDifferences();
-        const sortedVehicles = this.getSortedVehicles();
+        const sortedVehicles = this.getDisplayedVehicles();
+
+        this.searchResults = this.searchQuery ? filteredDifferences : [];
+        this.updateSearchStatus();
 
         if (sortedVehicles.length === 0) {
             this.showNoData();
@@ -522,11 +1097,13 @@ class VehicleComparison {
         }
 
         // Create overview section
-        const overviewHTML = this.createVehicleOverview(sortedVehicles);
+        const overviewHTML = this.createVehicleOverview(sortedVehicles)
+            + this.createHiddenVehiclesBar()
+            + this.createStandardEquipmentPanel();
         
         // Create vehicle cards
-        const cardsHTML = sortedVehicles.map(vehicle => 
-            this.createVehicleCard(vehicle, filteredDifferences)
+        const cardsHTML = sortedVehicles.map((vehicle, index) => 
+            this.createVehicleCard(vehicle, filteredDifferences, index, sortedVehicles.length)
         ).join('');
 
         grid.innerHTML = overviewHTML + cardsHTML;
@@ -535,6 +1112,118 @@ class VehicleComparison {
         this.observeCards();
     }
 
+    createHiddenVehiclesBar() {
+        const hidden = this.loadedVehicles.filter(vehicle => this.hiddenVehicleIds.has(String(vehicle.id)));
+        if (hidden.length === 0) return '';
+
+        return `
+            <div class="hidden-vehicles">
+                <span class="hidden-vehicles-label">Hidden (${hidden.length}):</span>
+                ${hidden.map(vehicle => `
+                    <button class="hidden-vehicle-button" data-card-action="show" data-vehicle-id="${vehicle.id}" title="Show this variant again">
+                        ${vehicle.trim}${vehicle.versionName ? ` • ${vehicle.versionName}` : ''} <span aria-hidden="true">+</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    exportPdf() {
+        const vehicles = this.getDisplayedVehicles();
+        if (vehicles.length === 0) {
+            this.showError('Load vehicle data before exporting a comparison sheet.');
+            return;
+        }
+
+        // The sheet lists every difference in the current filter or search, not just one page of them
+        const rows = this.getFilteredDifferences().map(diff => ({
+            category: diff.category,
+            categoryLabel: this.formatCategoryName(diff.category),
+            label: this.formatSpecificationName(diff.specification, diff.category),
+            values: Object.fromEntries(vehicles.map(vehicle => [vehicle.id, this.formatPrintValue(vehicle, diff.category, diff.specification, diff.values[vehicle.id])]))
+        }));
+        rows.sort((a, b) => a.category.localeCompare(b.category));
+
+        const keyFeatures = {};
+        vehicles.forEach(vehicle => {
+            keyFeatures[vehicle.id] = this.getKeyFeatures(vehicle, this.differences);
+        });
+
+        const html = this.printSheet.build({
+            title: `${[...new Set(vehicles.map(vehicle => vehicle.displayName))].join(' vs ')} comparison`,
+            overviewHTML: this.createVehicleOverview(vehicles),
+            vehicles,
+            rows,
+            keyFeatures,
+            language: this.locale.getIntlLocale(),
+            formatPrice: price => this.formatPrice(price),
+            formatDate: date => this.locale.formatDate(date)
+        });
+        this.printSheet.print(html);
+    }
+
+    formatPrintValue(vehicle, category, spec, value) {
+        // Yes/no values keep their icons; text is printed in full rather than truncated
+        const lowerValue = String(value ?? '').toLowerCase().trim();
+        if (['yes', 'y', 'true', 'no', 'n', 'false'].includes(lowerValue)) {
+            return this.formatValue(value);
+        }
+        const converted = this.unitSystem.format(category, spec, value, vehicle.unitAlternates?.[`${category}.${spec}`]);
+        return this.printSheet.escape(converted ?? value ?? 'Not Available');
+    }
+
+    getStandardEquipment() {
+        const standard = {};
+
+        // Identical fields that every variant actually has (not "no" or missing)
+        this.identicalFields.forEach(field => {
+            if (this.currentFilter !== 'all' && field.category !== this.currentFilter) return;
+
+            const value = Object.values(field.values)[0];
+            const typed = this.normalizer.typeValue(value === 'Not Available' ? null : value, field.specification);
+            if (typed.type === 'empty' || (typed.type === 'boolean' && !typed.value)) return;
+
+            if (!standard[field.category]) standard[field.category] = [];
+            standard[field.category].push({
+                label: this.formatSpecificationName(field.specification, field.category),
+                value: typed.type === 'boolean' ? null : this.formatSpecValue(this.vehicles[0], field.category, field.specification, value)
+            });
+        });
+
+        return standard;
+    }
+
+    createStandardEquipmentPanel() {
+        if (this.vehicles.length < 2) return '';
+
+        const standard = this.getStandardEquipment();
+        const categories = Object.keys(standard).sort();
+        if (categories.length === 0) return '';
+
+        const total = categories.reduce((sum, category) => sum + standard[category].length, 0);
+
+        return `
+            <div class="standard-equipment">
+                <div class="overview-header">
+                    <h2 class="overview-title">Standard across the range</h2>
+                    <p class="overview-subtitle">${total} specifications shared by all ${this.vehicles.length} variants</p>
+                </div>
+                <div class="standard-equipment-grid">
+                    ${categories.map(category => `
+                        <details class="standard-category">
+                            <summary>${this.formatCategoryName(category)} <span class="standard-count">${standard[category].length}</span></summary>
+                            <ul class="standard-list">
+                                ${standard[category].map(item => `
+                                    <li>${item.label}${item.value !== null ? `: <span class="standard-value">${item.value}</span>` : ''}</li>
+                                `).join('')}
+                            </ul>
+                        </details>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
     renderStatistics() {
         const accordion = document.getElementById('statistics-accordion');
         const statsGrid = document.getElementById('stats-grid');
@@ -642,8 +1331,8 @@ class VehicleComparison {
         const priceFrom = prices.length > 0 ? Math.min(...prices) : 0;
         const priceTo = prices.length > 0 ? Math.max(...prices) : 0;
         const priceRange = priceFrom === priceTo ? 
-            `$${this.formatPrice(priceFrom)}` : 
-            `$${this.formatPrice(priceFrom)} - $${this.formatPrice(priceTo)}`;
+            this.formatPrice(priceFrom) : 
+            `${this.formatPrice(priceFrom)} - ${this.formatPrice(priceTo)}`;
         
         const transmissions = new Set(); // Use Set to store unique transmission displays
         const drivenWheels = new Set();
@@ -683,7 +1372,9 @@ class VehicleComparison {
         const transmissionDisplays = Array.from(transmissions).map(t => t.display).sort();
         const transmissionDisplay = this.formatTransmissionAggregationPlain(transmissionDisplays);
 
-        const makeModel = `${vehicles[0].make} ${vehicles[0].model}`;
+        // A session can mix variants from several makes and models
+        const modelNames = [...new Set(vehicles.map(v => v.displayName))];
+        const makeModel = modelNames.join(' vs ');
 
         const overviewElement = document.createElement('div');
         overviewElement.className = 'vehicle-overview';
@@ -693,7 +1384,7 @@ class VehicleComparison {
         header.className = 'overview-header';
         header.innerHTML = `
             <h2 class="overview-title">${makeModel}</h2>
-            <p class="overview-subtitle">${vehicles.length} variant${vehicles.length > 1 ? 's' : ''} available</p>
+            <p class="overview-subtitle">${vehicles.length} variant${vehicles.length > 1 ? 's' : ''} ${modelNames.length > 1 ? `across ${modelNames.length} models` : 'available'}</p>
         `;
         
         // Create grid
@@ -1051,23 +1742,38 @@ class VehicleComparison {
         });
     }
 
-    createVehicleCard(vehicle, differences) {
-        const premiumFeatures = this.identifyPremiumFeatures(vehicle, differences);
+    createVehicleCard(vehicle, differences, index = 0, count = 1) {
         const keyFeatures = this.getKeyFeatures(vehicle, differences);
+        const baseline = this.getBaselineVehicle();
+        const isBaseline = baseline === vehicle;
+        const priceDelta = baseline && !isBaseline ? vehicle.price - baseline.price : null;
+        const label = `${vehicle.trim}${vehicle.versionName ? ` ${vehicle.versionName}` : ''}`;
         
         return `
-            <div class="vehicle-card" data-vehicle-id="${vehicle.id}">
+            <div class="vehicle-card${isBaseline ? ' baseline' : ''}" data-vehicle-id="${vehicle.id}" draggable="true" tabindex="0"
+                 aria-label="${label}, position ${index + 1} of ${count}. Alt+arrow keys to move, Delete to hide">
+                <div class="card-toolbar">
+                    <button class="card-tool" data-card-action="move-left" data-vehicle-id="${vehicle.id}" aria-label="Move ${label} left" ${index === 0 ? 'disabled' : ''}>◀</button>
+                    <button class="card-tool" data-card-action="move-right" data-vehicle-id="${vehicle.id}" aria-label="Move ${label} right" ${index === count - 1 ? 'disabled' : ''}>▶</button>
+                    <button class="card-tool" data-card-action="hide" data-vehicle-id="${vehicle.id}" aria-label="Hide ${label}" ${count <= 1 ? 'disabled' : ''}>✕</button>
+                </div>
                 <div class="card-header">
-                    <div class="brand-model">${vehicle.make} ${vehicle.model}</div>
+                    <button class="baseline-button" data-card-action="baseline" data-vehicle-id="${vehicle.id}" aria-pressed="${isBaseline}">
+                        ${isBaseline ? '📌 Baseline' : 'Pin as baseline'}
+                    </button>
+                    <div class="brand-model">${vehicle.displayName}</div>
                     <div class="trim-heading">${vehicle.trim}</div>
                     <div class="year-version-subheading">
                         ${vehicle.year}${vehicle.versionName ? ` • ${vehicle.versionName}` : ''}
                     </div>
-                    <div class="price">$${this.formatPrice(vehicle.price)}</div>
+                    <div class="price">${this.formatPrice(vehicle.price)}</div>
+                    ${priceDelta !== null ? `<div class="price-delta">${this.formatPriceDelta(priceDelta)} vs ${baseline.trim}</div>` : ''}
                 </div>
                 
+                ${priceDelta !== null ? this.renderStepUpSummary(vehicle, baseline) : ''}
+                
                 <div class="differences-grid">
-                    ${this.renderDifferences(vehicle, differences, premiumFeatures)}
+                    ${this.renderDifferences(vehicle, differences)}
                 </div>
                 
 
@@ -1081,71 +1787,190 @@ class VehicleComparison {
         `;
     }
 
-    renderDifferences(vehicle, differences, premiumFeatures) {
+    renderDifferences(vehicle, differences) {
         if (differences.length === 0) {
-            return '<div class="difference-row"><div class="difference-label">No differences found</div></div>';
+            const message = this.searchQuery ? 'No matching specifications' : 'No differences found';
+            return `<div class="difference-row"><div class="difference-label">${message}</div></div>`;
         }
 
-        return differences.slice(0, this.itemsPerPage || 20).map(diff => {
+        // Search shows every hit; otherwise the list is cut at the chosen page size
+        const visibleDifferences = this.searchQuery ? differences : differences.slice(0, this.itemsPerPage || 20);
+
+        const baseline = this.getBaselineVehicle();
+        const showDeltas = baseline && baseline !== vehicle;
+
+        return visibleDifferences.map(diff => {
             const value = diff.values[vehicle.id] || 'Not Available';
-            const isPremium = premiumFeatures.some(feature => 
-                this.formatSpecificationName(diff.specification, diff.category).toLowerCase().includes(feature.toLowerCase())
-            );
+            // Highlight the vehicle(s) holding the best value according to specRules.json
+            const isPremium = (diff.winners || []).includes(String(vehicle.id));
+            
+            const direction = diff.directions?.[vehicle.id] || 'equal';
+            // The arrow shows the raw direction; its colour says whether that is better or worse
+            const verdict = diff.verdicts?.[vehicle.id];
+
+            if (showDeltas && !diff.isIdentical) {
+                const delta = this.formatDelta(diff, vehicle, baseline);
+                return `
+                <div class="difference-row significance-${diff.significance || 'low'}" data-field-key="${diff.category}.${diff.specification}">
+                    <div class="difference-label">
+                        ${this.formatSpecificationName(diff.specification, diff.category)}
+                        ${this.renderFeatureSources(vehicle, diff.category, diff.specification)}
+                    </div>
+                    <div class="difference-value ${delta.className} ${isPremium ? 'premium' : ''}" title="${String(this.formatSpecValue(vehicle, diff.category, diff.specification, value)).replace(/<[^>]*>/g, '').replace(/"/g, '&quot;')}">${delta.text}</div>
+                </div>
+            `;
+            }
             
             return `
-                <div class="difference-row">
-                    <div class="difference-label">${this.formatSpecificationName(diff.specification, diff.category)}</div>
-                    <div class="difference-value ${isPremium ? 'premium' : ''}">${this.formatValue(value)}</div>
+                <div class="difference-row significance-${diff.significance || 'low'}${diff.isIdentical ? ' identical' : ''}" data-field-key="${diff.category}.${diff.specification}">
+                    <div class="difference-label">
+                        ${this.formatSpecificationName(diff.specification, diff.category)}
+                        ${diff.isIdentical ? '<span class="identical-tag">Same on all</span>' : ''}
+                        ${this.renderFeatureSources(vehicle, diff.category, diff.specification)}
+                    </div>
+                    <div class="difference-value direction-${direction}${verdict ? ` verdict-${verdict}` : ''} ${isPremium ? 'premium' : ''}">${this.formatSpecValue(vehicle, diff.category, diff.specification, value)}</div>
                 </div>
             `;
         }).join('');
     }
 
-    identifyPremiumFeatures(vehicle, differences) {
-        const premiumFeatures = [];
-        
-        differences.forEach(diff => {
-            const vehicleValue = diff.values[vehicle.id];
-            const otherValues = Object.values(diff.values).filter(v => v !== vehicleValue);
-            
-            // Check if this vehicle has a "better" value
-            if (this.isPremiumValue(vehicleValue, otherValues, diff.specification)) {
-                premiumFeatures.push(this.formatSpecificationName(diff.specification, diff.category));
-            }
-        });
-        
-        return premiumFeatures;
+    // Expander listing the raw specs a feature was built from, with this vehicle's values
+    renderFeatureSources(vehicle, category, spec) {
+        const sources = vehicle?.featureSources?.[`${category}.${spec}`];
+        if (!sources || sources.length === 0) return '';
+
+        return `
+            <details class="feature-sources">
+                <summary>${sources.length} raw field${sources.length === 1 ? '' : 's'}</summary>
+                <ul>
+                    ${sources.map(source => `
+                        <li>
+                            <span class="feature-source-name">${this.formatSpecificationName(source.spec, category)}</span>
+                            <code>${category}.${source.spec}</code>
+                            <span class="feature-source-value">${this.formatSpecValue(vehicle, category, source.spec, source.value)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
     }
 
-    isPremiumValue(value, otherValues, specification) {
-        if (!value || value === 'Not Available') return false;
-        
-        const spec = specification.toLowerCase();
-        
-        // Numeric comparisons
-        if (typeof value === 'number' || !isNaN(value)) {
-            const numValue = parseFloat(value);
-            const numOthers = otherValues.map(v => parseFloat(v)).filter(v => !isNaN(v));
-            
-            if (spec.includes('power') || spec.includes('torque') || spec.includes('speed')) {
-                return numValue > Math.max(...numOthers);
-            }
-            if (spec.includes('consumption') || spec.includes('economy') || spec.includes('emission')) {
-                return numValue < Math.min(...numOthers);
+    getBaselineVehicle() {
+        if (!this.baselineId) return null;
+        return this.vehicles.find(vehicle => String(vehicle.id) === this.baselineId) || null;
+    }
+
+    setBaseline(vehicleId) {
+        // Clicking the pinned card again unpins it
+        this.baselineId = this.baselineId === vehicleId ? null : vehicleId;
+        this.renderComparisonGrid();
+        this.updateUrlState();
+    }
+
+    compareWithBaseline(diff, vehicle, baseline) {
+        const { baseValue, value, comparison } = this.getBaselineDelta(diff, vehicle, baseline);
+        return {
+            baseValue,
+            value,
+            comparison,
+            verdict: this.specRules.compare(diff.category, diff.specification, baseValue, value)
+        };
+    }
+
+    // The difference from the baseline without the better/worse verdict
+    getBaselineDelta(diff, vehicle, baseline) {
+        const baseValue = baseline.specifications[diff.category]?.[diff.specification];
+        const value = vehicle.specifications[diff.category]?.[diff.specification];
+        return {
+            baseValue,
+            value,
+            comparison: this.differenceEngine.compareValues(baseValue, value, `${diff.category}.${diff.specification}`)
+        };
+    }
+
+    formatDelta(diff, vehicle, baseline) {
+        const { baseValue, value, comparison, verdict } = this.compareWithBaseline(diff, vehicle, baseline);
+        const label = this.formatSpecificationName(diff.specification, diff.category);
+        const verdictClass = verdict > 0 ? 'delta-better' : verdict < 0 ? 'delta-worse' : 'delta-neutral';
+
+        if (!comparison.isDifferent) {
+            return { text: 'Same as baseline', className: 'delta-same' };
+        }
+
+        if (comparison.kind === 'presence') {
+            if (comparison.direction === 'increase') {
+                const typed = this.normalizer.typeValue(value, diff.specification);
+                const detail = typed.type === 'boolean' ? '' : ` (${this.formatSpecValue(vehicle, diff.category, diff.specification, value)})`;
+                return { text: `adds: ${label}${detail}`, className: 'delta-better' };
             }
+            return { text: `loses: ${label}`, className: 'delta-worse' };
         }
-        
-        // String comparisons for premium features
-        const premiumKeywords = ['yes', 'standard', 'led', 'leather', 'premium', 'advanced', 'automatic'];
-        const basicKeywords = ['no', 'manual', 'basic', 'standard'];
-        
-        if (premiumKeywords.some(keyword => value.toLowerCase().includes(keyword))) {
-            return !otherValues.some(other => 
-                premiumKeywords.some(keyword => other.toLowerCase().includes(keyword))
-            );
+
+        if (comparison.kind === 'numeric' && comparison.delta !== null) {
+            // Work the delta out in the display units; mpg is not linear in L/100km
+            const fieldKey = `${diff.category}.${diff.specification}`;
+            const from = this.unitSystem.convert(diff.category, diff.specification, baseValue, baseline.unitAlternates?.[fieldKey]);
+            const to = this.unitSystem.convert(diff.category, diff.specification, value, vehicle.unitAlternates?.[fieldKey]);
+            const delta = from && to ? to.value - from.value : comparison.delta;
+            const symbol = from && to ? to.symbol : comparison.unit?.symbol;
+
+            const sign = delta > 0 ? '+' : '−';
+            const amount = this.locale.formatNumber(Math.abs(delta), { maximumFractionDigits: 2 });
+            return { text: `${sign}${amount}${symbol ? ` ${symbol}` : ''}`, className: verdictClass };
         }
-        
-        return false;
+
+        // Text changes and "Unlimited" show the new value next to the baseline one
+        const current = this.formatSpecValue(vehicle, diff.category, diff.specification, value);
+        const previous = this.formatSpecValue(baseline, diff.category, diff.specification, baseValue);
+        return {
+            text: `${current} <span class="delta-was">(was ${previous})</span>`,
+            className: verdictClass
+        };
+    }
+
+    formatPriceDelta(delta) {
+        if (delta === 0) return 'Same price';
+        return `${delta > 0 ? '+' : '−'}${this.formatPrice(Math.abs(delta))}`;
+    }
+
+    getStepUpSummary(vehicle, baseline) {
+        let adds = 0;
+        let loses = 0;
+
+        // Count features gained and lost across every differing field, not just the visible ones
+        this.differences.forEach(diff => {
+            const { comparison } = this.getBaselineDelta(diff, vehicle, baseline);
+            if (comparison.kind !== 'presence') return;
+            if (comparison.direction === 'increase') {
+                adds++;
+            } else {
+                loses++;
+            }
+        });
+
+        const priceDelta = vehicle.price - baseline.price;
+        return {
+            adds,
+            loses,
+            priceDelta,
+            pricePerAddedFeature: adds > 0 && priceDelta > 0 ? priceDelta / adds : null
+        };
+    }
+
+    renderStepUpSummary(vehicle, baseline) {
+        const summary = this.getStepUpSummary(vehicle, baseline);
+
+        return `
+            <div class="step-up-summary">
+                <div class="step-up-counts">
+                    <span class="delta-better">Adds ${summary.adds} feature${summary.adds === 1 ? '' : 's'}</span>
+                    <span class="delta-worse">Loses ${summary.loses}</span>
+                </div>
+                ${summary.pricePerAddedFeature !== null ? `
+                    <div class="step-up-value">${this.formatPrice(summary.pricePerAddedFeature)} per added feature</div>
+                ` : ''}
+            </div>
+        `;
     }
 
     getKeyFeatures(vehicle, differences) {
@@ -1190,12 +2015,11 @@ class VehicleComparison {
             }
             
             if (categoryName && specification) {
-                // Look for the specification in the mapping
-                if (this.dataLabelMapping[categoryName] && this.dataLabelMapping[categoryName][specification]) {
-                    const label = this.dataLabelMapping[categoryName][specification];
-                    if (label && label.en) {
-                        return label.en;
-                    }
+                // Look for the specification in the mapping; grouped features carry their own labels
+                const entry = this.featureGroups.getEntry(categoryName, specification) || this.dataLabelMapping[categoryName]?.[specification];
+                const label = this.locale.getLabel(entry, categoryName, specification);
+                if (label) {
+                    return this.unitSystem.formatLabel(label, categoryName, specification);
                 }
             }
         }
@@ -1208,7 +2032,13 @@ class VehicleComparison {
             .replace(/^./, str => str.toUpperCase())
             .trim();
         
-        return fallbackLabel;
+        return this.unitSystem.formatLabel(fallbackLabel, category, spec);
+    }
+
+    // Value of a spec on one vehicle, in the chosen unit system when it carries a unit
+    formatSpecValue(vehicle, category, spec, value) {
+        const converted = this.unitSystem.format(category, spec, value, vehicle?.unitAlternates?.[`${category}.${spec}`]);
+        return converted ?? this.formatValue(value);
     }
 
     formatFeatureName(spec, value) {
@@ -1245,7 +2075,7 @@ class VehicleComparison {
         
         // Handle numeric values
         if (typeof value === 'number') {
-            if (value > 1000) return value.toLocaleString();
+            if (value > 1000) return this.locale.formatNumber(value);
             return value.toString();
         }
         
@@ -1261,10 +2091,7 @@ class VehicleComparison {
     }
 
     formatPrice(price) {
-        return new Intl.NumberFormat('en-AU', {
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(price);
+        return this.locale.formatCurrency(price);
     }
 
     observeCards() {
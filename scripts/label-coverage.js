@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/**
+ * Label Coverage Report
+ * Scans every NAVI file in vehicleData/ against dataLabelMapping.json and reports spec keys
+ * with no label, mapping keys that never occur in the data and keys mapped under a different
+ * category than the data uses. Writes the suggested labels as a patch in the mapping's own
+ * shape so it can be reviewed, edited and merged back with --merge.
+ *
+ * Usage:
+ *   node scripts/label-coverage.js [--data vehicleData] [--mapping dataLabelMapping.json] [--out labelSuggestions.json]
+ *   node scripts/label-coverage.js --merge labelSuggestions.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const VehicleNormalizer = require('../vehicle-normalizer.js');
+
+const ROOT = path.join(__dirname, '..');
+
+class LabelCoverage {
+    static DEFAULTS = {
+        data: path.join(ROOT, 'vehicleData'),
+        mapping: path.join(ROOT, 'dataLabelMapping.json'),
+        out: path.join(ROOT, 'labelSuggestions.json')
+    };
+
+    // Words the camel-case split gets wrong, as they are written in the existing labels
+    static WORD_FIXES = {
+        Abs: 'ABS', Adr: 'ADR', Awd: 'AWD', Co2: 'CO2', Dab: 'DAB', Ev: 'EV', Gps: 'GPS', Hud: 'HUD',
+        Id: 'ID', Led: 'LED', Oem: 'OEM', Rpm: 'RPM', Suv: 'SUV', Usb: 'USB', Color: 'Colour', Tire: 'Tyre'
+    };
+
+    // A leading word group is dropped from suggestions once existing labels drop it this often
+    static MIN_PREFIX_EVIDENCE = 2;
+
+    constructor(options = {}) {
+        this.options = { ...LabelCoverage.DEFAULTS, ...options };
+        this.normalizer = new VehicleNormalizer();
+        this.mapping = JSON.parse(fs.readFileSync(this.options.mapping, 'utf8'));
+    }
+
+    // { files, vehicleCount, displayed, raw } where displayed holds the specs pages label (unit
+    // pairs collapsed) and raw every key in the files, both as "category.spec" → usage
+    scan() {
+        const files = fs.readdirSync(this.options.data).filter(file => file.endsWith('.json')).sort();
+        const displayed = new Map();
+        const raw = new Map();
+        let vehicleCount = 0;
+
+        files.forEach(file => {
+            let items;
+            try {
+                const data = JSON.parse(fs.readFileSync(path.join(this.options.data, file), 'utf8'));
+                items = this.normalizer.normalizeDataset(data).vehicles;
+            } catch (error) {
+                console.warn(`Skipping ${file}: ${error.message}`);
+                return;
+            }
+
+            items.forEach(vehicle => {
+                vehicleCount++;
+                Object.entries(vehicle.specifications).forEach(([category, specs]) => {
+                    Object.entries(specs).forEach(([spec, value]) => this.record(displayed, category, spec, value, file));
+                });
+                Object.entries(this.normalizer.extractSpecifications(vehicle.raw)).forEach(([category, specs]) => {
+                    Object.entries(specs).forEach(([spec, value]) => this.record(raw, category, spec, value, file));
+                });
+            });
+        });
+
+        return { files, vehicleCount, displayed, raw };
+    }
+
+    record(index, category, spec, value, file) {
+        const key = `${category}.${spec}`;
+        if (!index.has(key)) {
+            index.set(key, { category, spec, files: new Set(), count: 0, sample: null });
+        }
+        const usage = index.get(key);
+        usage.files.add(file);
+        usage.count++;
+        if (usage.sample === null && value !== null && value !== undefined && value !== '') {
+            usage.sample = String(value);
+        }
+    }
+
+    hasLabel(category, spec) {
+        return Boolean(this.mapping[category]?.[spec]?.en);
+    }
+
+    // Categories each spec name appears under, e.g. fuelType → Set { 'fuel', 'engine' }
+    categoriesBySpec(entries) {
+        const bySpec = new Map();
+        entries.forEach(({ category, spec }) => {
+            if (!bySpec.has(spec)) bySpec.set(spec, new Set());
+            bySpec.get(spec).add(category);
+        });
+        return bySpec;
+    }
+
+    mappingEntries() {
+        return Object.entries(this.mapping).flatMap(([category, specs]) =>
+            Object.keys(specs).map(spec => ({ category, spec }))
+        );
+    }
+
+    analyse(scan = this.scan()) {
+        const mappingEntries = this.mappingEntries();
+        const mappedCategories = this.categoriesBySpec(mappingEntries);
+        const dataCategories = this.categoriesBySpec(Array.from(scan.raw.values()));
+
+        const unlabelled = Array.from(scan.displayed.values())
+            .filter(usage => !this.hasLabel(usage.category, usage.spec));
+
+        // Mapped under a category the data never uses for that spec, but used elsewhere
+        const mismatched = [];
+        const unused = [];
+        mappingEntries.forEach(({ category, spec }) => {
+            if (scan.raw.has(`${category}.${spec}`)) return;
+
+            const seenIn = dataCategories.get(spec);
+            if (seenIn) {
+                mismatched.push({ category, spec, dataCategories: Array.from(seenIn).sort() });
+            } else {
+                unused.push({ category, spec });
+            }
+        });
+
+        const prefixes = this.learnPrefixes();
+        const suggestions = {};
+        unlabelled.forEach(usage => {
+            // Nested keys such as showroomCategories' "exteriorAndDimensions.sunroof" reuse the leaf's label
+            const leaf = usage.spec.split('.').pop();
+            const otherCategory = Array.from(mappedCategories.get(leaf) || [])
+                .find(category => this.hasLabel(category, leaf));
+            usage.suggestion = otherCategory
+                ? this.mapping[otherCategory][leaf].en
+                : this.suggestLabel(usage.category, usage.spec, prefixes, usage.sample);
+            usage.source = otherCategory ? `label from ${otherCategory}` : 'generated';
+
+            suggestions[usage.category] = suggestions[usage.category] || {};
+            suggestions[usage.category][usage.spec] = { en: usage.suggestion };
+        });
+
+        return { ...scan, unlabelled, unused, mismatched, suggestions };
+    }
+
+    // Words of a key with its unit suffix split off, e.g. ["External", "Dimensions", "Overall", "Length"] + "Mm".
+    // Without a sample value any unit-like ending counts; with one, only numbers carry a unit
+    splitKey(spec, sample = null) {
+        const leaf = spec.split('.').pop();
+        const isNumeric = sample === null || this.normalizer.typeValue(sample, leaf).type === 'number';
+        const unit = isNumeric ? this.normalizer.getUnit(leaf) : null;
+        const base = unit ? this.normalizer.getUnitBaseKey(leaf, unit) : leaf;
+        const words = base
+            .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+            .replace(/([a-z])(\d+)(?=[A-Z]|$)/g, '$1 $2')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1));
+        return { words, unit: unit ? unit.suffix : null };
+    }
+
+    // Leading word groups that existing labels drop per category, e.g. dimensions → "External Dimensions"
+    learnPrefixes() {
+        const evidence = {};
+
+        this.mappingEntries().forEach(({ category, spec }) => {
+            const label = this.mapping[category][spec]?.en;
+            if (!label) return;
+
+            const { words } = this.splitKey(spec);
+            const labelStart = label.split(/\s+/)[0].toLowerCase();
+            const index = words.findIndex((word, i) => i > 0 && word.toLowerCase() === labelStart);
+            if (index <= 0) return;
+
+            const prefix = words.slice(0, index).join(' ');
+            evidence[category] = evidence[category] || {};
+            evidence[category][prefix] = (evidence[category][prefix] || 0) + 1;
+        });
+
+        const prefixes = {};
+        Object.entries(evidence).forEach(([category, counts]) => {
+            prefixes[category] = Object.keys(counts)
+                .filter(prefix => counts[prefix] >= LabelCoverage.MIN_PREFIX_EVIDENCE)
+                .sort((a, b) => b.length - a.length);
+        });
+        return prefixes;
+    }
+
+    // Label in the mapping's own style, e.g. externalDimensionsOverallLengthMm → "Overall Length (Mm)"
+    suggestLabel(category, spec, prefixes = {}, sample = null) {
+        const { words, unit } = this.splitKey(spec, sample);
+        let label = words.map(word => LabelCoverage.WORD_FIXES[word] || word).join(' ');
+
+        const prefix = (prefixes[category] || []).find(candidate => label.startsWith(`${candidate} `));
+        if (prefix) {
+            label = label.slice(prefix.length + 1);
+        }
+
+        return unit ? `${label} (${unit})` : label;
+    }
+
+    writePatch(report) {
+        fs.writeFileSync(this.options.out, `${JSON.stringify(report.suggestions, null, 2)}\n`);
+    }
+
+    // Add reviewed labels to the mapping; existing labels are never overwritten
+    merge(patchPath) {
+        const patch = JSON.parse(fs.readFileSync(patchPath, 'utf8'));
+        let added = 0;
+        let skipped = 0;
+
+        Object.entries(patch).forEach(([category, specs]) => {
+            this.mapping[category] = this.mapping[category] || {};
+            Object.entries(specs).forEach(([spec, label]) => {
+                if (!label?.en) return;
+                if (this.hasLabel(category, spec)) {
+                    skipped++;
+                    return;
+                }
+                this.mapping[category][spec] = { ...this.mapping[category][spec], ...label };
+                added++;
+            });
+        });
+
+        fs.writeFileSync(this.options.mapping, this.formatMapping(this.mapping));
+        return { added, skipped };
+    }
+
+    // dataLabelMapping.json is indented one extra level inside the outer braces and has no
+    // trailing newline; keep that layout so a merge only shows the added labels in a diff
+    formatMapping(mapping) {
+        return JSON.stringify(mapping, null, 2).replace(/\n/g, '\n  ');
+    }
+
+    printReport(report) {
+        const relative = file => path.relative(process.cwd(), file) || file;
+
+        console.log(`Scanned ${report.vehicleCount} vehicles in ${report.files.length} files from ${relative(this.options.data)}`);
+
+        console.log(`\nUnlabelled spec keys (${report.unlabelled.length}):`);
+        report.unlabelled
+            .sort((a, b) => a.category.localeCompare(b.category) || a.spec.localeCompare(b.spec))
+            .forEach(usage => {
+                const sample = usage.sample ? ` e.g. "${usage.sample.slice(0, 40)}"` : '';
+                console.log(`  ${usage.category}.${usage.spec} → "${usage.suggestion}" (${usage.source}; ${usage.count} vehicles in ${usage.files.size} files${sample})`);
+            });
+
+        console.log(`\nMapping keys never found in the data (${report.unused.length}):`);
+        this.printGroups(this.groupBy(report.unused, ({ category }) => category));
+
+        console.log(`\nCategory mismatches (${report.mismatched.length}):`);
+        this.printGroups(this.groupBy(report.mismatched, ({ category, dataCategories }) =>
+            `mapped under ${category}, found under ${dataCategories.join(', ')}`
+        ));
+    }
+
+    // The mapping covers far more of NAVI than the sample files, so long lists are grouped
+    groupBy(entries, keyOf) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            const key = keyOf(entry);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry.spec);
+        });
+        return groups;
+    }
+
+    printGroups(groups) {
+        groups.forEach((specs, key) => {
+            console.log(`  ${key} (${specs.length}): ${specs.join(', ')}`);
+        });
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--(data|mapping|out|merge)$/);
+        if (!match || !argv[i + 1]) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+        options[match[1]] = path.resolve(argv[++i]);
+    }
+    return options;
+}
+
+function main() {
+    try {
+        const { merge, ...options } = parseArgs(process.argv.slice(2));
+        const coverage = new LabelCoverage(options);
+
+        if (merge) {
+            const { added, skipped } = coverage.merge(merge);
+            console.log(`Merged ${added} labels into ${coverage.options.mapping} (${skipped} already labelled, left unchanged)`);
+            return;
+        }
+
+        const report = coverage.analyse();
+        coverage.printReport(report);
+        coverage.writePatch(report);
+        console.log(`\nWrote ${Object.values(report.suggestions).reduce((sum, specs) => sum + Object.keys(specs).length, 0)} suggested labels to ${coverage.options.out}`);
+    } catch (error) {
+        console.error('Label coverage failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = LabelCoverage;
@@ -1,15 +1,21 @@
 /**
  * Local Development Server
- * Serves static files and provides mock fuel price API
+ * Serves static files, the mock fuel price API, the vehicle data API and a mock of the
+ * CarExpert /v2 API
  */
 
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { VehicleIndex, VehicleQueryError } = require('./vehicle-index.js');
+const CarExpertMock = require('./carexpert-mock.js');
 
 const app = express();
 const PORT = 3000;
 
+// Variants from vehicleData/, indexed on first use and rebuilt when the files change
+const vehicleIndex = new VehicleIndex(path.join(__dirname, 'vehicleData'));
+
 // Serve static files from the current directory
 app.use(express.static(__dirname));
 
@@ -37,6 +43,51 @@ app.get('/api/fuel-prices', (req, res) => {
     }
 });
 
+// Vehicle data API: /api/vehicles?make=TO&model=RP&trim=Cruiser&fields=performance,dimensions&page=1&limit=10
+// make, model, trim and uniqueId take comma-separated lists; fields also takes dotted paths
+// such as performance.powerMaximumPowerKw. Responds with a NAVI-style { meta, data } page
+app.get('/api/vehicles', (req, res) => {
+    try {
+        const result = vehicleIndex.search(req.query);
+        console.log(`🚗 Vehicles API: ${result.meta.item.total} matches for ${new URLSearchParams(req.query).toString() || 'all'}`);
+        res.json(result);
+    } catch (error) {
+        sendVehicleError(res, error);
+    }
+});
+
+// One variant by uniqueId, in the single-item envelope used by showroom files
+app.get('/api/vehicles/:uniqueId', (req, res) => {
+    try {
+        const result = vehicleIndex.get(req.params.uniqueId, req.query.fields);
+        if (!result) {
+            return res.status(404).json({
+                error: 'Vehicle not found',
+                message: `No variant with uniqueId ${req.params.uniqueId}`
+            });
+        }
+        res.json(result);
+    } catch (error) {
+        sendVehicleError(res, error);
+    }
+});
+
+function sendVehicleError(res, error) {
+    if (error instanceof VehicleQueryError) {
+        return res.status(400).json({ error: 'Invalid vehicle query', message: error.message });
+    }
+
+    console.error('❌ Error reading vehicle data:', error);
+    res.status(500).json({
+        error: 'Failed to load vehicle data',
+        message: error.message
+    });
+}
+
+// Stand-in for https://vehicle-data.beta.dev-syd.carexpert.com.au/v2 (makes, models, vehicles).
+// Set ApiConfig.USE_LOCAL_MOCK in api-config.js to point the pages here
+app.use('/v2', new CarExpertMock({ codesDir: path.join(__dirname, 'data'), vehicleIndex }).router());
+
 // Catch all route - serve index.html for any other route
 app.get('*', (req, res) => {
     if (req.path.endsWith('.html') || req.path === '/') {
@@ -56,6 +107,8 @@ app.listen(PORT, () => {
     console.log(`   • Fuel Calculator: http://localhost:${PORT}/fuel-cost-calculator.html`);
     console.log(`   • Main Page: http://localhost:${PORT}/index.html`);
     console.log(`   • Vehicle Overview: http://localhost:${PORT}/vehicle-overview.html`);
+    console.log(`   • Vehicle API: http://localhost:${PORT}/api/vehicles?make=TO&model=RP&fields=performance`);
+    console.log(`   • CarExpert API mock: http://localhost:${PORT}/v2/vehicles?make_code=TO&model_code=RP&view=full`);
     console.log('');
     console.log('Press Ctrl+C to stop the server');
     console.log('');
@@ -0,0 +1,243 @@
+/**
+ * Service Worker
+ * Keeps the site usable on showroom tablets with poor connectivity. The pages, styles,
+ * scripts, label and code files and every vehicleData/ file are precached on install and
+ * served from the cache, refreshed in the background whenever the network answers. Requests
+ * made with `cache: 'no-cache'` (the dataset library checking a vehicleData/ file for updates)
+ * go to the network first so they see the server's copy. The last
+ * good /api/fuel-prices response is kept and served when the API cannot be reached, marked
+ * with the X-Served-From-Cache and X-Cached-At headers so the calculator can flag it as stale.
+ *
+ * Add new pages, scripts and data files to PRECACHE_URLS and bump CACHE_VERSION when they
+ * change, so installed copies pick them up.
+ */
+
+const CACHE_VERSION = 'v8';
+const CACHE_PREFIX = 'vehicle-diffenterator-';
+
+// This site's files, precached or cached as they are used (e.g. data/modelCodes/)
+const SITE_CACHE = `${CACHE_PREFIX}site-${CACHE_VERSION}`;
+const THIRD_PARTY_CACHE = `${CACHE_PREFIX}third-party-${CACHE_VERSION}`;
+
+// Kept across versions so a new deploy does not throw away the last known prices
+const API_CACHE = `${CACHE_PREFIX}api`;
+
+const FUEL_PRICES_PATH = '/api/fuel-prices';
+
+// How long a fuel price request may take before the saved prices are shown instead
+const NETWORK_TIMEOUT_MS = 4000;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'comparison.html',
+    'vehicle-overview.html',
+    'data-export.html',
+    'fuel-cost-calculator.html',
+    'vehicle-hero.html',
+    'makes.html',
+    'vehicle-link-generator.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'styles.css',
+    'comparison-styles.css',
+    'hero-styles.css',
+    'print-sheet.css',
+    'register-service-worker.js',
+    'api-config.js',
+    'api-search.js',
+    'script.js',
+    'comparison.js',
+    'vehicle-overview.js',
+    'data-export.js',
+    'fuel-cost-calculator.js',
+    'hero-script.js',
+    'vehicle-normalizer.js',
+    'vehicle-validator.js',
+    'vehicle-library.js',
+    'dataset-manager.js',
+    'file-upload.js',
+    'difference-engine.js',
+    'trim-ladder.js',
+    'option-packs.js',
+    'model-changelog.js',
+    'spec-rules.js',
+    'feature-groups.js',
+    'spec-search.js',
+    'locale.js',
+    'unit-system.js',
+    'url-state.js',
+    'print-sheet.js',
+    'dataLabelMapping.json',
+    'featureGroups.json',
+    'specRules.json',
+    'vehicleSchema.json',
+    'labels/en-NZ.json',
+    'labels/zh.json',
+    'data/makeCodes.json',
+    'vehicleData/LamborghiniHuracan.json',
+    'vehicleData/Porche911showroomCat.json',
+    'vehicleData/allJuke.json',
+    'vehicleData/bydSealion6.json',
+    'vehicleData/bydSealion7.json',
+    'vehicleData/fordTransit.json',
+    'vehicleData/hyKona.json',
+    'vehicleData/mazda2.json',
+    'vehicleData/nissanPatrol.json',
+    'vehicleData/rav4.json',
+    'vehicleData/suzukiJimny.json',
+    'vehicleData/teslamodely.json',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js'
+];
+
+// Other sites whose files are cached as they are used (web fonts, Chart.js)
+const RUNTIME_ORIGINS = [
+    'https://fonts.googleapis.com',
+    'https://fonts.gstatic.com',
+    'https://cdn.jsdelivr.net'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && ![SITE_CACHE, THIRD_PARTY_CACHE, API_CACHE].includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname === FUEL_PRICES_PATH) {
+            event.respondWith(fuelPrices(request));
+        } else if (!url.pathname.startsWith('/api/') && !url.pathname.startsWith('/v2/')) {
+            const revalidating = ['no-cache', 'reload'].includes(request.cache);
+            event.respondWith(revalidating ? networkFirst(request, SITE_CACHE) : staleWhileRevalidate(request, SITE_CACHE));
+        }
+    } else if (RUNTIME_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(request, THIRD_PARTY_CACHE));
+    }
+});
+
+// One missing file must not stop everything else being cached, so files are added one by one
+async function precache() {
+    const cache = await caches.open(SITE_CACHE);
+    const results = await Promise.allSettled(PRECACHE_URLS.map(async (url) => {
+        const response = await fetch(new Request(url, { cache: 'reload' }));
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        await cache.put(url, response);
+    }));
+
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.warn(`Could not precache ${PRECACHE_URLS[index]}:`, result.reason);
+        }
+    });
+}
+
+// Cached copy straight away, updated from the network for next time; the network is only
+// waited for when nothing is cached yet
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    // Pages keep their state in the query string, which the cached page does not need
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const update = fetch(request)
+        .then(async (response) => {
+            if (response.ok) {
+                await cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        update.catch(() => {});
+        return cached;
+    }
+
+    try {
+        return await update;
+    } catch (error) {
+        // Offline on a page that was never cached: fall back to the main page
+        if (request.mode === 'navigate') {
+            const fallback = await cache.match('index.html');
+            if (fallback) return fallback;
+        }
+        throw error;
+    }
+}
+
+// The network's copy, saved for next time; the cached copy only when the network fails
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Network first; the last good response, flagged as stale, when offline, failing or too slow.
+// A slow response that arrives after the timeout is still saved for next time
+async function fuelPrices(request) {
+    const cache = await caches.open(API_CACHE);
+
+    const network = fetch(request).then(async (response) => {
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const headers = new Headers(response.headers);
+        headers.set('X-Cached-At', new Date().toISOString());
+        await cache.put(FUEL_PRICES_PATH, new Response(await response.clone().blob(), { status: response.status, statusText: response.statusText, headers }));
+        return response;
+    });
+
+    try {
+        return await withTimeout(network, NETWORK_TIMEOUT_MS);
+    } catch (error) {
+        network.catch(() => {});
+        const cached = await cache.match(FUEL_PRICES_PATH);
+        if (!cached) throw error;
+
+        const headers = new Headers(cached.headers);
+        headers.set('X-Served-From-Cache', 'true');
+        return new Response(await cached.blob(), { status: cached.status, statusText: cached.statusText, headers });
+    }
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No response within ${ms} ms`)), ms);
+        promise.then(
+            value => {
+                clearTimeout(timer);
+                resolve(value);
+            },
+            error => {
+                clearTimeout(timer);
+                reject(error);
+            }
+        );
+    });
+}
@@ -0,0 +1,160 @@
+/**
+ * Spec Rules
+ * Declarative "which value is better" rules loaded from specRules.json. Rules are keyed by
+ * category and spec name (a trailing or embedded `*` matches any text) and are one of
+ * higher-better, lower-better, presence-better, ordinal (with an `order` list) or none.
+ */
+
+class SpecRules {
+    static RULE_TYPES = ['higher-better', 'lower-better', 'presence-better', 'ordinal', 'none'];
+
+    constructor(rules = null, normalizer = null) {
+        this.normalizer = normalizer || SpecRules.createNormalizer();
+        this.setRules(rules);
+    }
+
+    static createNormalizer() {
+        // In the browser vehicle-normalizer.js is loaded as a global script
+        if (typeof VehicleNormalizer !== 'undefined') {
+            return new VehicleNormalizer();
+        }
+        const NodeVehicleNormalizer = require('./vehicle-normalizer.js');
+        return new NodeVehicleNormalizer();
+    }
+
+    setRules(rules) {
+        this.defaults = rules?.defaults || {};
+        this.categoryRules = {};
+        this.ruleCache = new Map();
+
+        Object.keys(rules?.categories || {}).forEach(category => {
+            const exact = {};
+            const patterns = [];
+
+            Object.entries(rules.categories[category]).forEach(([spec, rule]) => {
+                if (!SpecRules.RULE_TYPES.includes(rule.rule)) {
+                    console.warn(`Ignoring unknown spec rule "${rule.rule}" for ${category}.${spec}`);
+                    return;
+                }
+                if (spec.includes('*')) {
+                    patterns.push({ regex: this.patternToRegex(spec), rule });
+                } else {
+                    exact[spec] = rule;
+                }
+            });
+
+            this.categoryRules[category] = { exact, patterns };
+        });
+    }
+
+    patternToRegex(pattern) {
+        const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`^${escaped.join('.*')}$`);
+    }
+
+    // Explicit rule for a field: exact spec names win over patterns, patterns apply in file order
+    getRule(category, spec) {
+        const cacheKey = `${category}.${spec}`;
+        if (this.ruleCache.has(cacheKey)) {
+            return this.ruleCache.get(cacheKey);
+        }
+
+        const rules = this.categoryRules[category];
+        let rule = null;
+        if (rules) {
+            rule = rules.exact[spec] || rules.patterns.find(pattern => pattern.regex.test(spec))?.rule || null;
+        }
+
+        this.ruleCache.set(cacheKey, rule);
+        return rule;
+    }
+
+    // Rule for a field given its values, falling back to the unit and boolean defaults
+    resolveRule(category, spec, typedValues) {
+        const explicit = this.getRule(category, spec);
+        if (explicit) return explicit;
+
+        const present = typedValues.filter(typed => typed.type !== 'empty');
+        if (present.length === 0) return null;
+
+        const unit = present[0].unit;
+        const numeric = present.every(typed => typed.type === 'number' || typed.type === 'unlimited');
+        if (numeric && unit && this.defaults.units?.[unit.quantity]) {
+            return { rule: this.defaults.units[unit.quantity] };
+        }
+
+        // Yes/no fields, and fields where some vehicles lack the feature, compare on presence
+        const hasAbsence = typedValues.some(typed =>
+            typed.type === 'empty' || (typed.type === 'boolean' && typed.value === false)
+        );
+        const isYesNo = present.every(typed => typed.type === 'boolean');
+        if ((isYesNo || hasAbsence) && this.defaults.boolean) {
+            return { rule: this.defaults.boolean };
+        }
+
+        return null;
+    }
+
+    // Numeric score for a value under a rule; higher is better, null means "not comparable"
+    scoreValue(rule, typed) {
+        const isAbsent = typed.type === 'empty' || (typed.type === 'boolean' && typed.value === false);
+
+        switch (rule.rule) {
+            case 'higher-better':
+                if (typed.type === 'number' || typed.type === 'unlimited') return typed.value;
+                // A missing figure (e.g. no second motor) ranks below any real one
+                return isAbsent ? -Infinity : null;
+            case 'lower-better':
+                if (typed.type === 'number') return -typed.value;
+                return null;
+            case 'presence-better':
+                return isAbsent ? 0 : 1;
+            case 'ordinal': {
+                const order = (rule.order || []).map(entry => entry.toLowerCase());
+                const text = String(typed.raw ?? '').trim().toLowerCase();
+                const index = order.indexOf(text);
+                if (index !== -1) return index;
+                // Missing values rank below the first listed option
+                return isAbsent ? -1 : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Ids of the vehicles holding the best value for a field; empty when there is no clear winner
+    findWinners(category, spec, values) {
+        const ids = Object.keys(values);
+        const typed = {};
+        ids.forEach(id => {
+            typed[id] = this.normalizer.typeValue(values[id], spec);
+        });
+
+        const rule = this.resolveRule(category, spec, Object.values(typed));
+        if (!rule || rule.rule === 'none') return [];
+
+        const scores = {};
+        ids.forEach(id => {
+            const score = this.scoreValue(rule, typed[id]);
+            if (score !== null) scores[id] = score;
+        });
+
+        const distinctScores = new Set(Object.values(scores));
+        if (distinctScores.size < 2) return [];
+
+        const best = Math.max(...distinctScores);
+        return Object.keys(scores).filter(id => scores[id] === best);
+    }
+
+    // 1 when `b` is better than `a`, -1 when worse, 0 when equal or not comparable
+    compare(category, spec, a, b) {
+        const winners = this.findWinners(category, spec, { a, b });
+        if (winners.length !== 1) return 0;
+        return winners[0] === 'b' ? 1 : -1;
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpecRules;
+}
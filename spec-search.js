@@ -0,0 +1,113 @@
+/**
+ * Spec Search
+ * Fuzzy matching of a search query against spec keys, their dataLabelMapping.json labels
+ * and the values each vehicle holds. Every query word has to match somewhere in a field.
+ */
+
+class SpecSearch {
+    // Subsequence matches spread wider than this many times the word length are ignored
+    static MAX_SPREAD = 2.5;
+
+    // Shorter words only match as substrings
+    static MIN_FUZZY_LENGTH = 4;
+
+    // Fields scoring below this are treated as noise
+    static MIN_SCORE = 0.3;
+
+    // Weight of a match depending on where it was found
+    static SOURCE_WEIGHTS = { label: 1, key: 0.9, value: 0.8 };
+
+    // `fields`: [{ category, specification, label, values: [...] }]
+    search(query, fields) {
+        const words = this.tokenize(query);
+        if (words.length === 0) return [];
+
+        const results = [];
+        fields.forEach(field => {
+            const match = this.scoreField(words, field);
+            if (match && match.score >= SpecSearch.MIN_SCORE) {
+                results.push({ ...field, score: match.score, matchedOn: match.matchedOn });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    scoreField(words, field) {
+        const sources = {
+            label: [this.normalizeText(field.label)],
+            key: [this.normalizeText(`${field.category} ${field.specification}`)],
+            value: field.values
+                .filter(value => value !== null && value !== undefined && value !== '')
+                .map(value => this.normalizeText(String(value)))
+        };
+
+        let total = 0;
+        const matchedOn = new Set();
+
+        for (const word of words) {
+            let best = 0;
+            let bestSource = null;
+
+            Object.keys(sources).forEach(source => {
+                sources[source].forEach(text => {
+                    const score = this.scoreWord(word, text) * SpecSearch.SOURCE_WEIGHTS[source];
+                    if (score > best) {
+                        best = score;
+                        bestSource = source;
+                    }
+                });
+            });
+
+            // Every word must match somewhere
+            if (best === 0) return null;
+            total += best;
+            matchedOn.add(bestSource);
+        }
+
+        return { score: total / words.length, matchedOn: Array.from(matchedOn) };
+    }
+
+    scoreWord(word, text) {
+        const index = text.indexOf(word);
+        if (index !== -1) {
+            // Matches at the start of a word rank above matches inside one
+            const atWordStart = index === 0 || text.charAt(index - 1) === ' ';
+            return atWordStart ? 1 : 0.8;
+        }
+
+        // Fall back to an in-order subsequence match to tolerate typos like "wireles chargng";
+        // short words would match almost anything this way
+        if (word.length < SpecSearch.MIN_FUZZY_LENGTH) return 0;
+
+        let position = -1;
+        let start = -1;
+        for (const char of word) {
+            position = text.indexOf(char, position + 1);
+            if (position === -1) return 0;
+            if (start === -1) start = position;
+        }
+
+        const spread = position - start + 1;
+        if (spread > word.length * SpecSearch.MAX_SPREAD) return 0;
+        return 0.5 * (word.length / spread);
+    }
+
+    tokenize(query) {
+        return this.normalizeText(query || '').split(' ').filter(Boolean);
+    }
+
+    // Letters and digits of any script are kept, so labels such as "座椅加热" stay searchable
+    normalizeText(text) {
+        return String(text)
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}.]+/gu, ' ')
+            .trim();
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpecSearch;
+}
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ApiSearch = require('../api-search.js');
+
+// A search without a page: the form is reduced to the result limit and pages come from `pages`
+const searchWith = (pages, limit) => {
+    const search = Object.create(ApiSearch.prototype);
+    const requested = [];
+    const loaded = [];
+
+    search.form = { elements: { limit: { value: String(limit) } } };
+    search.getFilters = () => new URLSearchParams('make_code=TO');
+    search.setBusy = () => {};
+    search.showStatus = () => {};
+    search.onError = message => assert.fail(message);
+    search.onLoad = (payload, options) => loaded.push({ payload, options });
+    search.fetchPage = async (filters, pageQuery) => {
+        requested.push(pageQuery);
+        return pages[pageQuery];
+    };
+
+    return { search, requested, loaded };
+};
+
+const page = (ids, nextPage, total) => ({
+    meta: { item: { total }, query: { nextPage } },
+    data: ids.map(id => ({ id }))
+});
+
+test('follows nextPage until the API has no more pages', async () => {
+    const { search, requested, loaded } = searchWith({
+        'page=1&limit=20': page([1, 2], 'page=2&limit=20', 3),
+        'page=2&limit=20': page([3], null, 3)
+    }, 50);
+
+    await search.search();
+
+    assert.deepStrictEqual(requested, ['page=1&limit=20', 'page=2&limit=20']);
+    assert.deepStrictEqual(loaded[0].payload.data.map(item => item.id), [1, 2, 3]);
+    assert.strictEqual(loaded[0].options.query, 'make_code=TO');
+});
+
+test('stops following pages once the limit is reached and trims the last page', async () => {
+    const ids = (from, count) => Array.from({ length: count }, (_, index) => from + index);
+    const { search, requested, loaded } = searchWith({
+        'page=1&limit=20': page(ids(1, 20), 'page=2&limit=20', 60),
+        'page=2&limit=20': page(ids(21, 20), 'page=3&limit=20', 60)
+    }, 25);
+
+    await search.search();
+
+    assert.deepStrictEqual(requested, ['page=1&limit=20', 'page=2&limit=20']);
+    assert.deepStrictEqual(loaded[0].payload.data.map(item => item.id), ids(1, 25));
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const FeatureGroups = require('../feature-groups.js');
+const SpecRules = require('../spec-rules.js');
+
+// comparison.js starts itself on DOMContentLoaded; the diff needs no page
+global.document = { addEventListener() {} };
+const VehicleColumnarComparison = require('../comparison.js');
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+
+const comparison = Object.create(VehicleColumnarComparison.prototype);
+comparison.featureGroups = new FeatureGroups(readJson('featureGroups.json'));
+comparison.specRules = new SpecRules(readJson('specRules.json'));
+
+const vehicle = specifications => ({ specifications });
+
+// Every spec either vehicle has, as getFilteredSpecifications would list them
+const specsOf = (...vehicles) => {
+    const specs = {};
+    vehicles.forEach(({ specifications }) => {
+        Object.keys(specifications).forEach(category => {
+            specs[category] = specs[category] || {};
+            Object.keys(specifications[category]).forEach(spec => {
+                specs[category][spec] = true;
+            });
+        });
+    });
+    return specs;
+};
+
+const diff = (parent, child) => comparison.compareVehicles(parent, child, specsOf(parent, child));
+
+test('treats "no", "Not Available" and an empty value as the spec being absent', () => {
+    ['no', 'Not Available', ''].forEach(absent => {
+        const parent = vehicle({ seats: { frontSeatDriverHeated: absent } });
+        const child = vehicle({ seats: { frontSeatDriverHeated: 'yes' } });
+
+        assert.deepStrictEqual(diff(parent, child), {
+            added: { seats: { frontSeatDriverHeated: 'yes' } },
+            removed: {},
+            changed: {}
+        }, `parent value ${JSON.stringify(absent)}`);
+        assert.deepStrictEqual(diff(child, parent).removed, { seats: { frontSeatDriverHeated: 'yes' } });
+    });
+});
+
+test('two absent values are not a difference', () => {
+    const parent = vehicle({ seats: { frontSeatDriverHeated: 'no' } });
+    const child = vehicle({ seats: {} });
+
+    assert.deepStrictEqual(diff(parent, child), { added: {}, removed: {}, changed: {} });
+});
+
+test('lists values both have as changed, with the direction from the spec rules', () => {
+    const parent = vehicle({ engine: { powerMaximumPowerKw: '135' }, others: { colourName: 'Red' } });
+    const child = vehicle({ engine: { powerMaximumPowerKw: '160' }, others: { colourName: 'Blue' } });
+
+    assert.deepStrictEqual(diff(parent, child).changed, {
+        engine: { powerMaximumPowerKw: { from: '135', to: '160', direction: 'upgrade' } },
+        others: { colourName: { from: 'Red', to: 'Blue', direction: null } }
+    });
+    assert.strictEqual(diff(child, parent).changed.engine.powerMaximumPowerKw.direction, 'downgrade');
+});
+
+test('ignores case and surrounding spaces when comparing values', () => {
+    const parent = vehicle({ lights: { headlightsBulbTypeLowBeam: 'LED' } });
+    const child = vehicle({ lights: { headlightsBulbTypeLowBeam: ' led ' } });
+
+    assert.deepStrictEqual(diff(parent, child), { added: {}, removed: {}, changed: {} });
+});
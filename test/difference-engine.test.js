@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DifferenceEngine = require('../difference-engine.js');
+
+const engine = new DifferenceEngine();
+
+test('treats differences within the unit tolerance as identical', () => {
+    assert.strictEqual(engine.compareValues('325', '325.5', 'performance.performanceMaximumSpeedKmH').isDifferent, false);
+    assert.strictEqual(engine.compareValues('4520', '4523', 'dimensions.exteriorLengthMm').isDifferent, false);
+});
+
+test('does not apply the speed tolerance to sprint times', () => {
+    const result = engine.compareValues('3.2', '2.3', 'performance.performanceAcceleration0To100KmH');
+
+    assert.strictEqual(result.isDifferent, true);
+    assert.strictEqual(Math.round(result.delta * 10) / 10, -0.9);
+    assert.strictEqual(result.unit.symbol, 's');
+});
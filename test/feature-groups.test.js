@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const FeatureGroups = require('../feature-groups.js');
+
+const groups = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'featureGroups.json'), 'utf8'));
+const featureGroups = new FeatureGroups(groups);
+
+const heatedSeats = groups.seats.heatedFrontSeats;
+const frontTyre = groups.wheels.frontTyreSize;
+
+test('describes a feature fitted everywhere as "yes"', () => {
+    assert.strictEqual(featureGroups.describe(heatedSeats, { frontSeatDriverHeated: 'yes', frontSeatPassengerHeated: 'yes' }), 'yes');
+});
+
+test('names the parts a feature is fitted to when some are missing', () => {
+    assert.strictEqual(featureGroups.describe(heatedSeats, { frontSeatDriverHeated: 'yes', frontSeatPassengerHeated: 'no' }), 'driver only');
+});
+
+test('describes a feature with none of its keys fitted as "no"', () => {
+    assert.strictEqual(featureGroups.describe(heatedSeats, { frontSeatDriverHeated: 'Not Available', frontSeatPassengerHeated: '' }), 'no');
+    assert.strictEqual(featureGroups.describe(heatedSeats, {}), 'no');
+});
+
+test('fills the format and drops bracketed text whose key is missing', () => {
+    const full = { wheelsTireFrontWidth: '245', wheelsTireFrontProfile: '30', wheelsTireFrontDiameter: '20' };
+    assert.strictEqual(featureGroups.describe(frontTyre, full), '245/30 R20');
+    assert.strictEqual(featureGroups.describe(frontTyre, { wheelsTireFrontWidth: '245', wheelsTireFrontProfile: '30' }), '245/30');
+    assert.strictEqual(featureGroups.describe(frontTyre, { wheelsTireFrontWidth: '245' }), '245/?');
+});
+
+test('replaces grouped keys with their feature in place of the first key', () => {
+    const vehicle = {
+        specifications: {
+            seats: { seatsNumber: '5', frontSeatDriverHeated: 'yes', frontSeatPassengerHeated: 'no', frontSeatDriverVentilated: 'no' }
+        }
+    };
+    featureGroups.apply([vehicle]);
+
+    assert.deepStrictEqual(Object.keys(vehicle.specifications.seats), ['seatsNumber', 'heatedFrontSeats', 'ventilatedFrontSeats']);
+    assert.strictEqual(vehicle.specifications.seats.heatedFrontSeats, 'driver only');
+    assert.strictEqual(vehicle.specifications.seats.ventilatedFrontSeats, 'no');
+    assert.deepStrictEqual(vehicle.featureSources['seats.heatedFrontSeats'], [
+        { spec: 'frontSeatDriverHeated', value: 'yes' },
+        { spec: 'frontSeatPassengerHeated', value: 'no' }
+    ]);
+
+    // Applying again starts from the ungrouped specifications
+    featureGroups.apply([vehicle]);
+    assert.strictEqual(vehicle.specifications.seats.heatedFrontSeats, 'driver only');
+});
+
+test('counts the present keys behind a feature', () => {
+    const vehicle = {
+        specifications: { seats: { frontSeatDriverHeated: 'yes', frontSeatPassengerHeated: 'yes' } }
+    };
+    featureGroups.apply([vehicle]);
+
+    assert.strictEqual(featureGroups.countPresent(vehicle, 'seats', 'heatedFrontSeats'), 2);
+    assert.strictEqual(featureGroups.countPresent(vehicle, 'seats', 'ventilatedFrontSeats'), 0);
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const FileUpload = require('../file-upload.js');
+
+// merge() needs no DOM, so skip the constructor
+const upload = Object.assign(Object.create(FileUpload.prototype), { normalizer: FileUpload.createNormalizer() });
+
+const item = id => ({ vehicle: { uniqueId: id, make: 'Mazda', model: 'Mazda2', modelYear: 2024 } });
+
+test('merges files in any envelope into one data list', () => {
+    const merged = upload.merge([
+        { meta: {}, data: [item('a'), item('b')] },
+        { vehicles: [item('b'), item('c')] },
+        [item('d')],
+        [item('e').vehicle]
+    ]);
+
+    assert.strictEqual(merged.meta, null);
+    assert.deepStrictEqual(merged.data.map(entry => (entry.vehicle || entry).uniqueId), ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('names the file that holds no vehicles', () => {
+    assert.throws(() => upload.merge([{ data: [item('a')] }, { meta: {} }], ['a.json', 'b.json']), /b\.json has no list of vehicles/);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Locale = require('../locale.js');
+
+const entry = { en: 'Overall Length (Mm)', zh: '车长（毫米）' };
+const englishOnly = { en: 'Rain Sensing Wipers' };
+
+const localeFor = language => {
+    const locale = new Locale(language);
+    // Labels are reported once per render; the report is not under test
+    locale.reportMissingLabels = () => {};
+    return locale;
+};
+
+test('picks the label for the language from the entry', () => {
+    assert.strictEqual(localeFor('zh').getLabel(entry, 'dimensions', 'exteriorLengthMm'), '车长（毫米）');
+    assert.strictEqual(localeFor('en-AU').getLabel(entry, 'dimensions', 'exteriorLengthMm'), 'Overall Length (Mm)');
+});
+
+test('falls back to English and records the label as missing', () => {
+    const locale = localeFor('zh');
+
+    assert.strictEqual(locale.getLabel(englishOnly, 'visibility', 'windshieldWipersRainSensor'), 'Rain Sensing Wipers');
+    assert.deepStrictEqual(locale.getMissingLabels(), ['visibility.windshieldWipersRainSensor']);
+});
+
+test('uses labels loaded from a label file before falling back', () => {
+    const locale = localeFor('en-NZ');
+    locale.labels['en-NZ'] = { visibility: { windshieldWipersRainSensor: 'Rain-Sensing Windscreen Wipers' } };
+
+    assert.strictEqual(locale.getLabel(englishOnly, 'visibility', 'windshieldWipersRainSensor'), 'Rain-Sensing Windscreen Wipers');
+});
+
+test('regional variants do not count English labels as missing', () => {
+    const locale = localeFor('en-NZ');
+
+    assert.strictEqual(locale.getLabel(entry, 'dimensions', 'exteriorLengthMm'), 'Overall Length (Mm)');
+    assert.deepStrictEqual(locale.getMissingLabels(), []);
+});
+
+test('returns null when no slot has a label, so the caller can generate one', () => {
+    const locale = localeFor('zh');
+
+    assert.strictEqual(locale.getLabel(undefined, 'others', 'plugIn'), null);
+    assert.deepStrictEqual(locale.getMissingLabels(), ['others.plugIn']);
+    assert.strictEqual(locale.getCategoryName('others', 'Others'), 'Others');
+});
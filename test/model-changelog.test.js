@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ModelChangelog = require('../model-changelog.js');
+const TrimLadder = require('../trim-ladder.js');
+const VehicleNormalizer = require('../vehicle-normalizer.js');
+
+const trimLadder = new TrimLadder();
+const changelog = new ModelChangelog({ getPowertrainLabel: vehicle => trimLadder.getPowertrainLabel(vehicle) });
+const compare = () => ({ added: {}, removed: {}, changed: {} });
+
+const { vehicles } = new VehicleNormalizer().normalizeDataset(
+    JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'vehicleData', 'LamborghiniHuracan.json'), 'utf8'))
+);
+
+test('lists a dropped trim and powertrain once, however many variants it had', () => {
+    const years = changelog.build(vehicles, { compare });
+
+    years.forEach(year => {
+        const dropped = year.entries
+            .filter(entry => entry.status === 'dropped')
+            .map(entry => `${entry.trim}|${entry.powertrain}`);
+        assert.strictEqual(new Set(dropped).size, dropped.length, `${year.label}: ${dropped.join(', ')}`);
+    });
+
+    const my21 = years.find(year => year.label === 'MY21');
+    assert.ok(my21.entries.some(entry => entry.status === 'dropped' && entry.trim === 'Evo'));
+});
+
+test('compares a variant that skipped a year with the last year it was offered', () => {
+    const my24 = changelog.build(vehicles, { compare }).find(year => year.label === 'MY24');
+    const sto = my24.entries.find(entry => entry.trim === 'STO');
+
+    assert.strictEqual(sto.status, 'returning');
+    assert.strictEqual(ModelChangelog.yearLabel(sto.previous.year), 'MY21');
+});
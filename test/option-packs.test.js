@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const OptionPacks = require('../option-packs.js');
+const FeatureGroups = require('../feature-groups.js');
+const VehicleNormalizer = require('../vehicle-normalizer.js');
+
+const normalizer = new VehicleNormalizer();
+const featureGroups = new FeatureGroups(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'featureGroups.json'), 'utf8')));
+const optionPacks = new OptionPacks({ isAbsentValue: value => featureGroups.isAbsentValue(value) });
+
+const loadVehicles = file => featureGroups.apply(normalizer.normalizeDataset(
+    JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'vehicleData', file), 'utf8'))
+).vehicles);
+
+test('gives every pack in a dataset its own name', () => {
+    fs.readdirSync(path.join(__dirname, '..', 'vehicleData'))
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const names = optionPacks.find(loadVehicles(file)).map(pack => pack.name);
+            assert.strictEqual(new Set(names).size, names.length, `${file}: ${names.join(', ')}`);
+        });
+});
+
+test('numbers packs the cheapest trim cannot tell apart', () => {
+    const names = optionPacks.find(loadVehicles('LamborghiniHuracan.json')).map(pack => pack.name);
+
+    assert.ok(names.includes('Premium pack'));
+    assert.ok(names.includes('Premium pack 2'));
+    assert.ok(!names.some(name => name.startsWith('Premium pack (')));
+});
+
+test('adds the cheapest trim when that is enough to tell packs apart', () => {
+    const names = optionPacks.find(loadVehicles('allJuke.json')).map(pack => pack.name);
+
+    assert.ok(names.includes('Technology pack (ST)'));
+    assert.ok(names.includes('Technology pack (ST+)'));
+});
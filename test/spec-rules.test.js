@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SpecRules = require('../spec-rules.js');
+
+const rules = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'specRules.json'), 'utf8'));
+const specRules = new SpecRules(rules);
+
+test('compare is positive when the second value is better', () => {
+    assert.strictEqual(specRules.compare('engine', 'powerMaximumPowerKw', '100', '150'), 1);
+    assert.strictEqual(specRules.compare('engine', 'powerMaximumPowerKw', '150', '100'), -1);
+    assert.strictEqual(specRules.compare('engine', 'powerMaximumPowerKw', '150', '150'), 0);
+});
+
+test('a quicker sprint time is better', () => {
+    assert.strictEqual(specRules.compare('performance', 'performanceAcceleration0To100KmH', '7.5', '6.9'), 1);
+    assert.strictEqual(specRules.compare('performance', 'performanceAcceleration0To100KmH', '6.9', '7.5'), -1);
+});
+
+test('orders values by an ordinal list', () => {
+    assert.strictEqual(specRules.compare('lights', 'headlightsBulbTypeLowBeam', 'Halogen', 'LED'), 1);
+    assert.strictEqual(specRules.compare('lights', 'headlightsBulbTypeLowBeam', 'Matrix LED', 'Xenon'), -1);
+    assert.strictEqual(specRules.compare('lights', 'headlightsBulbTypeLowBeam', 'Halogen', 'Laser'), 0);
+});
+
+test('yes/no fields compare on presence', () => {
+    assert.strictEqual(specRules.compare('seats', 'frontSeatDriverHeated', 'no', 'yes'), 1);
+    assert.strictEqual(specRules.compare('seats', 'frontSeatDriverHeated', 'yes', ''), -1);
+});
+
+test('fields ruled out with "none" never have a better value', () => {
+    assert.strictEqual(specRules.compare('weights', 'kerbWeightKg', '1500', '1700'), 0);
+    assert.deepStrictEqual(specRules.findWinners('weights', 'kerbWeightKg', { a: '1500', b: '1700' }), []);
+});
+
+test('finds every vehicle sharing the best value', () => {
+    const winners = specRules.findWinners('engine', 'powerMaximumPowerKw', { a: '120', b: '160', c: '160' });
+    assert.deepStrictEqual(winners, ['b', 'c']);
+});
+
+test('finds no winner when all values are equal or none can be compared', () => {
+    assert.deepStrictEqual(specRules.findWinners('engine', 'powerMaximumPowerKw', { a: '120', b: '120' }), []);
+    assert.deepStrictEqual(specRules.findWinners('others', 'colourName', { a: 'Red', b: 'Blue' }), []);
+});
+
+test('ignores rules of an unknown type', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const custom = new SpecRules({ categories: { engine: { powerMaximumPowerKw: { rule: 'bigger' } } } });
+        assert.strictEqual(custom.getRule('engine', 'powerMaximumPowerKw'), null);
+    } finally {
+        console.warn = warn;
+    }
+});
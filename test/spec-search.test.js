@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SpecSearch = require('../spec-search.js');
+
+const search = new SpecSearch();
+
+const field = (category, specification, label, values = []) => ({ category, specification, label, values });
+
+const fields = [
+    field('convenience', 'wirelessPhoneCharging', 'Wireless Phone Charging', ['yes']),
+    field('audio', 'audioBrand', 'Audio Brand', ['JBL', 'Bose']),
+    field('seats', 'frontSeatDriverHeated', '驾驶座加热', ['yes']),
+    field('dimensions', 'exteriorLengthMm', '车长（毫米）', ['4600'])
+];
+
+const specsFound = query => search.search(query, fields).map(result => result.specification);
+
+test('finds a field by label, key or value', () => {
+    assert.deepStrictEqual(specsFound('wireless charging'), ['wirelessPhoneCharging']);
+    assert.deepStrictEqual(specsFound('audio brand'), ['audioBrand']);
+    assert.deepStrictEqual(specsFound('jbl'), ['audioBrand']);
+});
+
+test('every query word has to match', () => {
+    assert.deepStrictEqual(specsFound('wireless jbl'), []);
+});
+
+test('tolerates typos through subsequence matches', () => {
+    assert.deepStrictEqual(specsFound('wireles chargng'), ['wirelessPhoneCharging']);
+});
+
+test('ranks a label match above a value match and a word start above a mid-word match', () => {
+    const [labelMatch] = search.search('audio', fields);
+    assert.deepStrictEqual(labelMatch.matchedOn, ['label']);
+    assert.ok(search.scoreWord('phone', 'wireless phone') > search.scoreWord('hone', 'wireless phone'));
+});
+
+test('matches labels in Chinese', () => {
+    assert.deepStrictEqual(specsFound('加热'), ['frontSeatDriverHeated']);
+    assert.deepStrictEqual(specsFound('车长'), ['exteriorLengthMm']);
+    assert.strictEqual(search.normalizeText('车长（毫米）'), '车长 毫米');
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TrimLadder = require('../trim-ladder.js');
+
+const variant = (id, trim, price, powertrainType = 'Hybrid Electric Vehicle', extra = {}) => ({
+    id, trim, price, powertrainType, versionName: '', drivenWheels: 'Front', ...extra
+});
+
+const rungIds = ladder => ladder.rungs.map(rung => rung.vehicle.id);
+const parentOf = (ladders, id) => {
+    const rung = ladders.flatMap(ladder => ladder.rungs).find(r => r.vehicle.id === id);
+    return rung.parent ? rung.parent.id : null;
+};
+
+test('grouping by powertrain puts same-price trims on separate ladders', () => {
+    const ladders = new TrimLadder().build([
+        variant('hev-gx', 'GX', 40000),
+        variant('ice-gx', 'GX', 40000, 'Combustion', { fuelType: 'Unleaded' }),
+        variant('hev-gxl', 'GXL', 45000),
+        variant('ice-gxl', 'GXL', 45000, 'Combustion', { fuelType: 'Unleaded' })
+    ]);
+
+    assert.deepStrictEqual(ladders.map(ladder => ladder.label).sort(), ['Hybrid Electric Vehicle, Front', 'Unleaded, Front']);
+    ladders.forEach(ladder => {
+        assert.strictEqual(ladder.rungs.length, 2);
+        assert.strictEqual(ladder.rungs[0].parent, null);
+    });
+    assert.strictEqual(parentOf(ladders, 'hev-gxl'), 'hev-gx');
+    assert.strictEqual(parentOf(ladders, 'ice-gxl'), 'ice-gx');
+});
+
+test('breaks a price tie on feature count', () => {
+    const features = { a: 12, b: 5, c: 8 };
+    const ladder = new TrimLadder({ countFeatures: vehicle => features[vehicle.id] });
+    const [single] = ladder.build([
+        variant('a', 'Apex', 50000),
+        variant('b', 'Base', 50000),
+        variant('c', 'Core', 50000)
+    ]);
+
+    assert.deepStrictEqual(rungIds(single), ['b', 'c', 'a']);
+});
+
+test('trim level ranks trims by their cheapest variant and not by name', () => {
+    const [single] = new TrimLadder().build([
+        variant('cruiser', 'Cruiser', 51000),
+        variant('edge', 'Edge', 58000),
+        variant('gx-2', 'GX', 45000),
+        variant('gx', 'GX', 42000),
+        variant('gxl', 'GXL', 45800)
+    ], { ordering: 'trim' });
+
+    assert.deepStrictEqual(rungIds(single), ['gx', 'gx-2', 'gxl', 'cruiser', 'edge']);
+});
+
+test('a NO_PARENT override starts a ladder at that variant', () => {
+    const ladders = new TrimLadder().build([
+        variant('gx', 'GX', 40000),
+        variant('gxl', 'GXL', 45000),
+        variant('xse', 'XSE', 48000)
+    ], { parents: { gxl: TrimLadder.NO_PARENT } });
+
+    const gxl = ladders[0].rungs.find(rung => rung.vehicle.id === 'gxl');
+    assert.strictEqual(gxl.parent, null);
+    assert.strictEqual(gxl.isOverridden, true);
+    assert.strictEqual(parentOf(ladders, 'xse'), 'gxl');
+});
+
+test('ignores an override that would make a loop', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const ladders = new TrimLadder().build([
+            variant('gx', 'GX', 40000),
+            variant('gxl', 'GXL', 45000),
+            variant('xse', 'XSE', 48000)
+        ], { parents: { gx: 'xse' } });
+
+        const gx = ladders[0].rungs.find(rung => rung.vehicle.id === 'gx');
+        assert.strictEqual(gx.parent, null);
+        assert.strictEqual(gx.isOverridden, false);
+        assert.strictEqual(parentOf(ladders, 'xse'), 'gxl');
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const UnitSystem = require('../unit-system.js');
+
+const units = new UnitSystem();
+
+test('leaves sprint times and speed thresholds unconverted', () => {
+    units.setSystem('imperialUs');
+
+    assert.strictEqual(units.convert('performance', 'performanceAcceleration0To100KmH', '6.9'), null);
+    assert.strictEqual(units.formatLabel('Performance Acceleration 0 To 100 Km H', 'performance', 'performanceAcceleration0To100KmH'),
+        'Performance Acceleration 0 To 100 Km H');
+    assert.strictEqual(units.formatLabel('Anti Colli Sys Operates Above 50 Kph 30 Mph', 'safety', 'antiColliSysOperatesAbove50Kph30Mph'),
+        'Anti Colli Sys Operates Above 50 Kph 30 Mph');
+});
+
+test('strips only the unit the value is stored in from labels', () => {
+    assert.strictEqual(units.formatLabel('Overall Length (Mm)', 'dimensions', 'externalDimensionsOverallLengthMm'), 'Overall Length');
+    assert.strictEqual(units.formatLabel('车长（毫米）', 'dimensions', 'externalDimensionsOverallLengthMm'), '车长');
+    assert.strictEqual(units.formatLabel('Fuel Consumption Combined (L/100km)', 'fuel', 'fuelConsumptionAdr8102CombinedL100km'),
+        'Fuel Consumption Combined');
+    assert.strictEqual(units.formatLabel('Fuel Consumption Eu 83 Combined L 100km', 'fuel', 'fuelConsumptionEu83CombinedL100km'),
+        'Fuel Consumption Eu 83 Combined');
+    assert.strictEqual(units.formatLabel('Performance Maximum Speed Km H', 'performance', 'performanceMaximumSpeedKmH'),
+        'Performance Maximum Speed');
+    assert.strictEqual(units.formatLabel('Rear Headroom (with sunroof)', 'dimensions', 'interiorDimensionsHeadroomRearMm'),
+        'Rear Headroom (with sunroof)');
+});
+
+test('converts stored units into the chosen system', () => {
+    units.setSystem('imperialUs');
+    assert.deepStrictEqual(units.convert('performance', 'performanceMaximumSpeedKmH', '325'), { value: 202, symbol: 'mph', decimals: 0 });
+
+    units.setSystem('metric');
+    assert.deepStrictEqual(units.convert('dimensions', 'cargoAreaLengthIn', '10'), { value: 254, symbol: 'mm', decimals: 0 });
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const UrlState = require('../url-state.js');
+
+const urlState = new UrlState({
+    defaults: { dataset: 'rav4.json', filter: 'all', sort: 'price-low' },
+    arrayKeys: ['parents']
+});
+
+// read() takes the query string from the page's location
+const readQuery = query => {
+    global.window = { location: { search: query } };
+    try {
+        return urlState.read();
+    } finally {
+        delete global.window;
+    }
+};
+
+test('round-trips a state through the query string', () => {
+    const state = { dataset: 'allJuke.json', filter: 'seats', sort: 'trim', parents: ['12~none', '14~11'] };
+    const query = urlState.toQueryString(state);
+
+    assert.deepStrictEqual(readQuery(query), state);
+});
+
+test('leaves defaults, empty values and empty lists out of the query string', () => {
+    const query = urlState.toQueryString({ dataset: 'rav4.json', filter: 'seats', sort: '', parents: [] });
+
+    assert.strictEqual(query, '?filter=seats');
+    assert.strictEqual(urlState.toQueryString({ dataset: 'rav4.json', parents: [] }), '');
+});
+
+test('fills in defaults and empty lists for keys the URL lacks', () => {
+    assert.deepStrictEqual(readQuery(''), { dataset: 'rav4.json', filter: 'all', sort: 'price-low', parents: [] });
+});
+
+test('keeps text that needs escaping', () => {
+    const state = { dataset: 'My upload & more.json', filter: 'all', sort: 'price-low', parents: ['a b~c&d'] };
+
+    assert.deepStrictEqual(readQuery(urlState.toQueryString(state)), state);
+});
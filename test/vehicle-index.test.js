@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { VehicleIndex, VehicleQueryError } = require('../vehicle-index.js');
+
+const index = new VehicleIndex(path.join(__dirname, '..', 'vehicleData'));
+const originalLog = console.log;
+console.log = () => {};
+index.refresh();
+console.log = originalLog;
+
+const uniqueId = String(index.entries[0].item.vehicle.uniqueId);
+
+test('projects dotted fields into the NAVI shape', () => {
+    const { data } = index.get(uniqueId, 'performance.performanceAcceleration0To100KmH');
+
+    assert.deepStrictEqual(Object.keys(data.vehicle.performance), ['performanceAcceleration0To100KmH']);
+    assert.strictEqual(data.vehicle.uniqueId, index.entries[0].item.vehicle.uniqueId);
+});
+
+test('does not walk into Object.prototype', () => {
+    const { data } = index.get(uniqueId, 'performance.toString,performance.constructor.name');
+
+    assert.strictEqual(data.vehicle.performance, undefined);
+});
+
+test('rejects unknown fields and bad paging', () => {
+    assert.throws(() => index.search({ fields: 'nonsense' }), VehicleQueryError);
+    assert.throws(() => index.search({ page: '0' }), VehicleQueryError);
+});
@@ -0,0 +1,76 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const VehicleLibrary = require('../vehicle-library.js');
+
+const originalFetch = global.fetch;
+afterEach(() => {
+    global.fetch = originalFetch;
+});
+
+// A library whose saved summary is `summary` and which records what it saves
+const createLibrary = summary => {
+    const library = new VehicleLibrary(null);
+    library.saved = [];
+    library.get = async () => summary;
+    library.save = async (id, payload, options) => library.saved.push({ id, payload, options });
+    return library;
+};
+
+const serve = (payload, headers = {}) => {
+    global.fetch = async () => new Response(JSON.stringify(payload), { headers });
+};
+
+const cached = { meta: { page: { total: 1 } }, data: [{ vehicle: { uniqueId: 'a' } }] };
+const updated = { meta: { page: { total: 2 } }, data: [{ vehicle: { uniqueId: 'a' } }, { vehicle: { uniqueId: 'b' } }] };
+
+test('re-saves a preloaded file whose version changed', async () => {
+    const library = createLibrary({ version: '"1"' });
+    serve(updated, { ETag: '"2"' });
+
+    await library.revalidate('preloaded:mazda2.json', 'mazda2.json', cached);
+
+    assert.strictEqual(library.saved.length, 1);
+    assert.deepStrictEqual(library.saved[0].payload, updated);
+    assert.strictEqual(library.saved[0].options.version, '"2"');
+});
+
+test('keeps the saved copy when the version is unchanged', async () => {
+    const library = createLibrary({ version: '"1"' });
+    serve(updated, { ETag: '"1"' });
+
+    await library.revalidate('preloaded:mazda2.json', 'mazda2.json', cached);
+
+    assert.strictEqual(library.saved.length, 0);
+});
+
+test('compares contents when the server sends no version', async () => {
+    const library = createLibrary({ version: null });
+
+    serve(cached);
+    await library.revalidate('preloaded:mazda2.json', 'mazda2.json', cached);
+    assert.strictEqual(library.saved.length, 0);
+
+    serve(updated);
+    await library.revalidate('preloaded:mazda2.json', 'mazda2.json', cached);
+    assert.strictEqual(library.saved.length, 1);
+});
+
+test('keeps the saved copy when offline', async () => {
+    const library = createLibrary({ version: '"1"' });
+    global.fetch = async () => {
+        throw new TypeError('Failed to fetch');
+    };
+
+    await library.revalidate('preloaded:mazda2.json', 'mazda2.json', cached);
+
+    assert.strictEqual(library.saved.length, 0);
+});
+
+test('stores the vehicles of any envelope', () => {
+    const library = new VehicleLibrary(null);
+    const items = cached.data;
+
+    assert.deepStrictEqual(library.toRecord('file:a', items), { id: 'file:a', meta: null, data: items });
+    assert.deepStrictEqual(library.toRecord('file:a', { vehicles: items }), { id: 'file:a', meta: null, data: items });
+    assert.deepStrictEqual(library.toRecord('file:a', cached), { id: 'file:a', ...cached });
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const VehicleNormalizer = require('../vehicle-normalizer.js');
+
+const normalizer = new VehicleNormalizer();
+
+const loadDataset = file => normalizer.normalizeDataset(
+    JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'vehicleData', file), 'utf8'))
+);
+
+const symbolOf = spec => normalizer.getUnit(spec)?.symbol ?? null;
+
+test('types single-unit suffixes', () => {
+    assert.strictEqual(symbolOf('dimensions.exteriorLengthMm'), 'mm');
+    assert.strictEqual(symbolOf('dimensions.cargoAreaLengthIn'), 'in');
+    assert.strictEqual(symbolOf('performance.performanceMaximumSpeedKmH'), 'km/h');
+    assert.strictEqual(symbolOf('performance.fuelEconomyAdr8102L100km'), 'L/100km');
+    assert.strictEqual(symbolOf('safety.antiColliSysMinimumSpeedToActivateKph'), 'km/h');
+});
+
+test('matches rate and compound suffixes before the units they end in', () => {
+    assert.strictEqual(symbolOf('performance.powerConsumptionCombinedKmKwh'), 'km/kWh');
+    assert.strictEqual(symbolOf('performance.powerConsumptionCombinedKwhKm'), 'kWh/km');
+    assert.strictEqual(symbolOf('performance.powerConsumptionCombinedKwh100km'), 'kWh/100km');
+    assert.strictEqual(symbolOf('performance.powerConsumptionCombinedKwh100Miles'), 'kWh/100mi');
+    assert.strictEqual(symbolOf('performance.powerConsumptionCombinedMilesKwh'), 'mi/kWh');
+});
+
+test('types sprint times as seconds, keeping the sprint out of the base key', () => {
+    const unit = normalizer.getUnit('performance.performanceAcceleration0To100KmH');
+    assert.deepStrictEqual(unit, { symbol: 's', quantity: 'time', system: 'neutral', suffix: '0To100KmH' });
+    assert.strictEqual(normalizer.getUnitBaseKey('performanceAcceleration0To100KmH'), 'performanceAcceleration');
+    assert.strictEqual(symbolOf('performance.performanceAcceleration0To60Mph'), 's');
+});
+
+test('does not type words or speed thresholds in the name as units', () => {
+    assert.strictEqual(normalizer.getUnit('others.plugIn'), null);
+    assert.strictEqual(normalizer.getUnit('safety.antiColliSysOperatesAbove50Kph30Mph'), null);
+    assert.strictEqual(normalizer.getUnit('performance.fuelEconomyEu83At90KmH56Mph'), null);
+});
+
+test('types the acceleration figures in vehicleData as numbers of seconds', () => {
+    const { vehicles } = loadDataset('LamborghiniHuracan.json');
+    const raw = vehicles[0].specifications.performance.performanceAcceleration0To100KmH;
+    const typed = normalizer.typeValue(raw, 'performance.performanceAcceleration0To100KmH');
+
+    assert.strictEqual(typed.type, 'number');
+    assert.strictEqual(typed.unit.symbol, 's');
+});
+
+test('collapses energy consumption pairs onto the metric consumption figure', () => {
+    const { vehicles } = loadDataset('bydSealion6.json');
+    const performance = vehicles[0].specifications.performance;
+
+    assert.ok(!('powerConsumptionCombinedKwh100Miles' in performance));
+    assert.ok(!('powerConsumptionCombinedKmKwh' in performance));
+    const primary = Object.keys(performance).find(spec => spec.startsWith('powerConsumptionCombined'));
+    assert.strictEqual(normalizer.getUnit(primary).quantity, 'energyConsumption');
+    assert.strictEqual(normalizer.getUnit(primary).system, 'metric');
+});
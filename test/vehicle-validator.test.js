@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const VehicleValidator = require('../vehicle-validator.js');
+
+const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'vehicleSchema.json'), 'utf8'));
+const validator = new VehicleValidator(schema);
+
+const vehicle = { make: 'Mazda', model: 'Mazda2', modelYear: 2024, trim: 'G15 Pure' };
+const item = { make: { code: 'MAZ', label: 'Mazda' }, model: { code: 'M2', label: 'Mazda2' }, vehicle };
+
+test('accepts every envelope the normalizer reads', () => {
+    const payloads = [
+        { meta: null, data: [item] },
+        { data: item },
+        { vehicles: [item] },
+        [item],
+        [vehicle],
+        item
+    ];
+
+    payloads.forEach(payload => {
+        const report = validator.validatePayload(payload);
+        assert.deepStrictEqual(report.errors, [], JSON.stringify(payload));
+        assert.strictEqual(report.validCount, 1, JSON.stringify(payload));
+    });
+});
+
+test('rejects files without a list of vehicles', () => {
+    assert.strictEqual(validator.validatePayload({ meta: {} }).errors.length, 1);
+    assert.strictEqual(validator.validatePayload('vehicles').errors.length, 1);
+    assert.ok(validator.validatePayload({ data: 'none' }).errors.length > 0);
+});
+
+test('keeps the valid variants of a bare list', () => {
+    const payload = [item, { vehicle: { make: 'Mazda' } }];
+    const report = validator.validatePayload(payload);
+
+    assert.strictEqual(report.invalidCount, 1);
+    assert.deepStrictEqual(validator.getValidPayload(payload, report), [item]);
+});
@@ -0,0 +1,180 @@
+/**
+ * Trim Ladder
+ * Arranges variants into walk-up ladders for the columnar comparison. Variants are grouped
+ * (by powertrain, body type, both or not at all) so trims at the same price with different
+ * powertrains land on separate ladders, ordered within each ladder, and given a parent: the
+ * rung below them, or another variant the reader picked instead. Each rung is then shown as
+ * what it adds to and removes from its parent.
+ */
+
+class TrimLadder {
+    static GROUPINGS = {
+        powertrain: 'By Powertrain',
+        body: 'By Body Type',
+        'powertrain-body': 'By Powertrain and Body',
+        none: 'Single Ladder'
+    };
+
+    static ORDERINGS = {
+        'price-low': 'Price (Low to High)',
+        'price-high': 'Price (High to Low)',
+        equipment: 'Equipment (Least to Most)',
+        trim: 'Trim Level (Entry to Top)'
+    };
+
+    static DEFAULT_GROUPING = 'powertrain';
+
+    static DEFAULT_ORDERING = 'price-low';
+
+    // Override value that starts a ladder at a variant, showing its full specification
+    static NO_PARENT = 'none';
+
+    // `countFeatures(vehicle)` breaks price ties and drives the equipment ordering
+    constructor({ countFeatures = () => 0 } = {}) {
+        this.countFeatures = countFeatures;
+    }
+
+    /**
+     * Ladders for `vehicles`: [{ key, label, rungs: [{ vehicle, parent, isOverridden }] }].
+     * `parents` maps a vehicle id to the id of the variant it should be compared with, or to
+     * NO_PARENT; overrides naming an unknown variant, or that would make a loop, are ignored
+     */
+    build(vehicles, { grouping = TrimLadder.DEFAULT_GROUPING, ordering = TrimLadder.DEFAULT_ORDERING, parents = {} } = {}) {
+        const featureCounts = new Map(vehicles.map(vehicle => [String(vehicle.id), this.countFeatures(vehicle)]));
+        featureCounts.trimRanks = this.rankTrims(vehicles, featureCounts);
+        const groups = new Map();
+
+        vehicles.forEach(vehicle => {
+            const { key, label } = this.getGroup(vehicle, grouping);
+            if (!groups.has(key)) {
+                groups.set(key, { key, label, vehicles: [] });
+            }
+            groups.get(key).vehicles.push(vehicle);
+        });
+
+        const ladders = Array.from(groups.values()).map(group => ({
+            key: group.key,
+            label: group.label,
+            vehicles: this.order(group.vehicles, ordering, featureCounts)
+        }));
+
+        // Ladders are listed by their first rung, so the entry-level ladder comes first
+        ladders.sort((a, b) => this.compare(a.vehicles[0], b.vehicles[0], ordering, featureCounts));
+
+        const parentIds = this.resolveParents(ladders, parents);
+        const byId = new Map(vehicles.map(vehicle => [String(vehicle.id), vehicle]));
+
+        return ladders.map(ladder => ({
+            key: ladder.key,
+            label: ladder.label,
+            rungs: ladder.vehicles.map(vehicle => {
+                const id = String(vehicle.id);
+                return {
+                    vehicle,
+                    parent: parentIds.get(id) ? byId.get(parentIds.get(id)) : null,
+                    isOverridden: parentIds.overridden.has(id)
+                };
+            })
+        }));
+    }
+
+    getGroup(vehicle, grouping) {
+        const powertrain = this.getPowertrainLabel(vehicle);
+        const body = vehicle.bodyType || 'Other';
+
+        switch (grouping) {
+            case 'body':
+                return { key: `body:${body}`, label: body };
+            case 'powertrain-body':
+                return { key: `powertrain:${powertrain}|body:${body}`, label: `${body} (${powertrain})` };
+            case 'none':
+                return { key: 'all', label: 'All Variants' };
+            default:
+                return { key: `powertrain:${powertrain}`, label: powertrain };
+        }
+    }
+
+    // e.g. "Hybrid Electric Vehicle, 4x4" or, for combustion engines, the fuel: "Diesel, Rear"
+    getPowertrainLabel(vehicle) {
+        const engine = vehicle.powertrainType === 'Combustion' || !vehicle.powertrainType
+            ? vehicle.fuelType || vehicle.powertrainType || 'Unknown'
+            : vehicle.powertrainType;
+        return [engine, vehicle.drivenWheels].filter(Boolean).join(', ');
+    }
+
+    order(vehicles, ordering, featureCounts) {
+        return [...vehicles].sort((a, b) => this.compare(a, b, ordering, featureCounts));
+    }
+
+    // Position of each trim name on the price/equipment ladder, taken from its cheapest variant
+    rankTrims(vehicles, featureCounts) {
+        const ranks = new Map();
+        this.order(vehicles, 'price-low', featureCounts).forEach(vehicle => {
+            if (!ranks.has(vehicle.trim)) {
+                ranks.set(vehicle.trim, ranks.size);
+            }
+        });
+        return ranks;
+    }
+
+    // Ties on price fall back to equipment, then to the trim name, so the ladder is stable.
+    // The trim ordering keeps each trim's variants together, placed by the trim's ladder rank
+    compare(a, b, ordering, featureCounts) {
+        const features = featureCounts.get(String(a.id)) - featureCounts.get(String(b.id));
+        const names = `${a.trim} ${a.versionName}`.localeCompare(`${b.trim} ${b.versionName}`);
+        const trimRanks = featureCounts.trimRanks;
+        const trims = trimRanks ? trimRanks.get(a.trim) - trimRanks.get(b.trim) : 0;
+
+        switch (ordering) {
+            case 'price-high':
+                return (b.price - a.price) || -features || names;
+            case 'equipment':
+                return features || (a.price - b.price) || names;
+            case 'trim':
+                return trims || (a.price - b.price) || features || names;
+            default:
+                return (a.price - b.price) || features || names;
+        }
+    }
+
+    // Map of vehicle id → parent id (null for the foot of a ladder), with the overridden ids in `.overridden`
+    resolveParents(ladders, overrides) {
+        const parentIds = new Map();
+        parentIds.overridden = new Set();
+
+        ladders.forEach(ladder => {
+            ladder.vehicles.forEach((vehicle, index) => {
+                parentIds.set(String(vehicle.id), index > 0 ? String(ladder.vehicles[index - 1].id) : null);
+            });
+        });
+
+        Object.entries(overrides).forEach(([childId, parentId]) => {
+            if (!parentIds.has(childId)) return;
+
+            if (parentId === TrimLadder.NO_PARENT) {
+                parentIds.set(childId, null);
+                parentIds.overridden.add(childId);
+                return;
+            }
+            if (!parentIds.has(parentId) || childId === parentId) return;
+
+            // Following the new parent's own parents must never lead back to this variant
+            for (let ancestor = parentId; ancestor; ancestor = parentIds.get(ancestor)) {
+                if (ancestor === childId) {
+                    console.warn(`Ignoring parent ${parentId} for ${childId}: it would make a loop`);
+                    return;
+                }
+            }
+
+            parentIds.set(childId, parentId);
+            parentIds.overridden.add(childId);
+        });
+
+        return parentIds;
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrimLadder;
+}
@@ -0,0 +1,232 @@
+/**
+ * Unit System
+ * Shows unit-bearing specs in the reader's chosen system (metric, imperial US or imperial UK).
+ * The choice is one preference in localStorage shared by every page. Paired NAVI fields are
+ * collapsed by VehicleNormalizer; the data's own figure for the other system is used when it
+ * exists and the value is converted otherwise.
+ */
+
+class UnitSystem {
+    static SYSTEMS = {
+        metric: 'Metric',
+        imperialUs: 'Imperial (US)',
+        imperialUk: 'Imperial (UK)'
+    };
+
+    static DEFAULT_SYSTEM = 'metric';
+
+    static STORAGE_KEY = 'vehicleDiffenterator.unitSystem';
+
+    static CHANGE_EVENT = 'unitsystemchange';
+
+    static PUBLISHED_DECIMALS = 2;
+
+    // Convertible units keyed by NAVI suffix. `factor` converts to the quantity's metric base
+    // unit; fuel units quoted as distance per volume use `inverse` (base = inverse / value).
+    // `aliases` are other names labels use for the unit, e.g. "车长（毫米）"
+    static UNITS = {
+        Mm: { symbol: 'mm', quantity: 'length', factor: 1, decimals: 0, aliases: ['毫米'] },
+        In: { symbol: 'in', quantity: 'length', factor: 25.4, decimals: 1, aliases: ['英寸'] },
+        Ft: { symbol: 'ft', quantity: 'length', factor: 304.8, decimals: 1 },
+        Kg: { symbol: 'kg', quantity: 'mass', factor: 1, decimals: 0, aliases: ['千克'] },
+        Lbs: { symbol: 'lb', quantity: 'mass', factor: 0.45359237, decimals: 0 },
+        Km: { symbol: 'km', quantity: 'distance', factor: 1, decimals: 0, aliases: ['公里'] },
+        Miles: { symbol: 'mi', quantity: 'distance', factor: 1.609344, decimals: 0 },
+        KmH: { symbol: 'km/h', quantity: 'speed', factor: 1, decimals: 0 },
+        Mph: { symbol: 'mph', quantity: 'speed', factor: 1.609344, decimals: 0 },
+        L: { symbol: 'L', quantity: 'volume', factor: 1, decimals: 0, aliases: ['升'] },
+        Cuft: { symbol: 'cu ft', quantity: 'volume', factor: 28.316846592, decimals: 1 },
+        CuFt: { symbol: 'cu ft', quantity: 'volume', factor: 28.316846592, decimals: 1 },
+        GalUs: { symbol: 'US gal', quantity: 'volume', factor: 3.785411784, decimals: 1 },
+        GalUk: { symbol: 'UK gal', quantity: 'volume', factor: 4.54609, decimals: 1 },
+        L100km: { symbol: 'L/100km', quantity: 'fuel', factor: 1, decimals: 1, aliases: ['升/百公里'] },
+        KmLl: { symbol: 'km/L', quantity: 'fuel', inverse: 100, decimals: 1 },
+        Mpg: { symbol: 'mpg (US)', quantity: 'fuel', inverse: 235.214583, decimals: 0 },
+        MilesPerUkGallon: { symbol: 'mpg (UK)', quantity: 'fuel', inverse: 282.480936, decimals: 0 }
+    };
+
+    // Display unit for each quantity in each system
+    static TARGETS = {
+        metric: { length: 'Mm', mass: 'Kg', distance: 'Km', speed: 'KmH', volume: 'L', fuel: 'L100km' },
+        imperialUs: { length: 'In', mass: 'Lbs', distance: 'Miles', speed: 'Mph', volume: 'Cuft', fuel: 'Mpg' },
+        imperialUk: { length: 'In', mass: 'Lbs', distance: 'Miles', speed: 'Mph', volume: 'Cuft', fuel: 'MilesPerUkGallon' }
+    };
+
+    // Imperial display units that depend on the spec rather than the quantity alone
+    static TARGET_OVERRIDES = [
+        { pattern: /TurningCircle/, quantity: 'length', imperialUs: 'Ft', imperialUk: 'Ft' },
+        { category: 'fuel', quantity: 'volume', imperialUs: 'GalUs', imperialUk: 'GalUk' }
+    ];
+
+    // Specs quoted in the same unit everywhere
+    static NATIVE_UNIT_SPECS = [/ScreenSize/];
+
+    // Longest unit name, in words, that labels generated from the key end in ("Miles Per Uk Gallon")
+    static MAX_UNIT_WORDS = 4;
+
+    // `locale` (a Locale) formats the numbers; without one they are formatted for en-AU
+    constructor(normalizer = null, locale = null) {
+        this.normalizer = normalizer || UnitSystem.createNormalizer();
+        this.locale = locale;
+        this.system = UnitSystem.getPreference();
+    }
+
+    static createNormalizer() {
+        // In the browser vehicle-normalizer.js is loaded as a global script
+        if (typeof VehicleNormalizer !== 'undefined') {
+            return new VehicleNormalizer();
+        }
+        const NodeVehicleNormalizer = require('./vehicle-normalizer.js');
+        return new NodeVehicleNormalizer();
+    }
+
+    static getPreference() {
+        try {
+            const stored = localStorage.getItem(UnitSystem.STORAGE_KEY);
+            return UnitSystem.SYSTEMS[stored] ? stored : UnitSystem.DEFAULT_SYSTEM;
+        } catch (error) {
+            return UnitSystem.DEFAULT_SYSTEM;
+        }
+    }
+
+    static setPreference(system) {
+        if (!UnitSystem.SYSTEMS[system]) return;
+
+        try {
+            localStorage.setItem(UnitSystem.STORAGE_KEY, system);
+        } catch (error) {
+            console.error('Error saving unit preference:', error);
+        }
+        window.dispatchEvent(new CustomEvent(UnitSystem.CHANGE_EVENT, { detail: { system } }));
+    }
+
+    // Fires for changes on this page and, through the storage event, on other open pages
+    static onChange(callback) {
+        window.addEventListener(UnitSystem.CHANGE_EVENT, (e) => callback(e.detail.system));
+        window.addEventListener('storage', (e) => {
+            if (e.key === UnitSystem.STORAGE_KEY) callback(UnitSystem.getPreference());
+        });
+    }
+
+    // Fill a <select> with the systems and keep it in step with the preference
+    static bindSelector(select) {
+        if (!select) return;
+
+        select.innerHTML = Object.entries(UnitSystem.SYSTEMS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        select.value = UnitSystem.getPreference();
+        select.addEventListener('change', (e) => UnitSystem.setPreference(e.target.value));
+        UnitSystem.onChange(system => {
+            select.value = system;
+        });
+    }
+
+    setSystem(system) {
+        this.system = UnitSystem.SYSTEMS[system] ? system : UnitSystem.DEFAULT_SYSTEM;
+    }
+
+    // NAVI suffix of a convertible spec, or null when the spec is shown as stored
+    getSuffix(spec) {
+        const key = spec.split('.').pop();
+        if (UnitSystem.NATIVE_UNIT_SPECS.some(pattern => pattern.test(key))) return null;
+
+        const unit = this.normalizer.getUnit(key);
+        return unit && UnitSystem.UNITS[unit.suffix] ? unit.suffix : null;
+    }
+
+    isConvertible(category, spec) {
+        return this.getSuffix(spec) !== null;
+    }
+
+    getTargetSuffix(category, spec, quantity) {
+        const override = UnitSystem.TARGET_OVERRIDES.find(rule =>
+            rule.quantity === quantity &&
+            (!rule.pattern || rule.pattern.test(spec)) &&
+            (!rule.category || rule.category === category)
+        );
+        return override?.[this.system] || UnitSystem.TARGETS[this.system][quantity];
+    }
+
+    // { value, symbol } in the chosen system, or null when the value is not a convertible number.
+    // `alternates` is the vehicle's unitAlternates entry for the field, e.g. { In: '175.6' }
+    convert(category, spec, rawValue, alternates = null) {
+        const suffix = this.getSuffix(spec);
+        if (!suffix) return null;
+
+        const typed = this.normalizer.typeValue(rawValue, spec);
+        if (typed.type !== 'number') return null;
+
+        const source = UnitSystem.UNITS[suffix];
+        const targetSuffix = this.getTargetSuffix(category, spec, source.quantity);
+        const target = UnitSystem.UNITS[targetSuffix];
+
+        // Figures from the data keep the precision they were published with
+        if (targetSuffix === suffix) {
+            return { value: typed.value, symbol: source.symbol, decimals: UnitSystem.PUBLISHED_DECIMALS };
+        }
+
+        // Prefer the manufacturer's own figure for the other system
+        const alternateSuffix = Object.keys(alternates || {}).find(key => UnitSystem.UNITS[key]?.symbol === target.symbol);
+        const alternate = this.normalizer.typeValue(alternateSuffix ? alternates[alternateSuffix] : null, spec);
+        if (alternate.type === 'number') {
+            return { value: alternate.value, symbol: target.symbol, decimals: UnitSystem.PUBLISHED_DECIMALS };
+        }
+
+        const base = source.inverse ? source.inverse / typed.value : typed.value * source.factor;
+        const value = target.inverse ? target.inverse / base : base / target.factor;
+        if (!isFinite(value)) return null;
+
+        const scale = Math.pow(10, target.decimals);
+        return { value: Math.round(value * scale) / scale, symbol: target.symbol, decimals: target.decimals };
+    }
+
+    // Display text such as "175.6 in", or null so callers fall back to their own formatting
+    format(category, spec, rawValue, alternates = null) {
+        const converted = this.convert(category, spec, rawValue, alternates);
+        if (!converted) return null;
+        return `${this.formatNumber(converted.value, converted.decimals)} ${converted.symbol}`;
+    }
+
+    formatNumber(value, decimals = 0) {
+        if (this.locale) {
+            return this.locale.formatNumber(value, { maximumFractionDigits: decimals });
+        }
+        return value.toLocaleString('en-AU', { maximumFractionDigits: decimals });
+    }
+
+    // Labels carry the stored unit, e.g. "Overall Length (Mm)" or "车长（毫米）"; converted values carry their own.
+    // Only the unit the value is stored in is removed, so "... Above 50 Kph 30 Mph" keeps its speeds
+    formatLabel(label, category, spec) {
+        const suffix = this.getSuffix(spec);
+        if (!suffix) return label;
+
+        const unit = UnitSystem.UNITS[suffix];
+        const names = [suffix, unit.symbol, ...(unit.aliases || [])].map(UnitSystem.compactUnit);
+        const isUnit = text => names.includes(UnitSystem.compactUnit(text));
+
+        const bracketed = label.match(/^(.*?)\s*[(（]([^)）]*)[)）]\s*$/);
+        if (bracketed) {
+            return isUnit(bracketed[2]) ? bracketed[1] : label;
+        }
+
+        // Labels generated from the key end in the suffix words instead, e.g. "Overall Length Mm" or "Combined L 100km"
+        const words = label.split(/\s+/);
+        for (let count = Math.min(UnitSystem.MAX_UNIT_WORDS, words.length - 1); count > 0; count--) {
+            if (isUnit(words.slice(-count).join(''))) {
+                return words.slice(0, -count).join(' ');
+            }
+        }
+        return label;
+    }
+
+    // "L / 100km", "L100km" and "l/100 km" all compact to "l100km"
+    static compactUnit(text) {
+        return String(text).toLowerCase().replace(/[\s/·]/g, '');
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UnitSystem;
+}
@@ -0,0 +1,73 @@
+/**
+ * URL State
+ * Serialises a page's selections into the query string so comparisons can be shared,
+ * and replays them on back/forward navigation.
+ */
+
+class UrlState {
+    constructor({ defaults = {}, arrayKeys = [] } = {}) {
+        this.defaults = defaults;
+        this.arrayKeys = arrayKeys;
+    }
+
+    read() {
+        const params = new URLSearchParams(window.location.search);
+        const state = { ...this.defaults };
+
+        this.arrayKeys.forEach(key => {
+            state[key] = [];
+        });
+
+        params.forEach((value, key) => {
+            if (this.arrayKeys.includes(key)) {
+                state[key] = value.split(',').filter(Boolean);
+            } else {
+                state[key] = value;
+            }
+        });
+
+        return state;
+    }
+
+    toQueryString(state) {
+        const params = new URLSearchParams();
+
+        Object.keys(state).forEach(key => {
+            const value = state[key];
+            if (value === null || value === undefined || value === '') return;
+
+            if (Array.isArray(value)) {
+                if (value.length > 0) params.set(key, value.join(','));
+                return;
+            }
+
+            // Leave defaults out to keep shared links short
+            if (String(value) === String(this.defaults[key])) return;
+            params.set(key, value);
+        });
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    write(state, { replace = false } = {}) {
+        const query = this.toQueryString(state);
+        if (query === window.location.search) return;
+
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        if (replace) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    }
+
+    onChange(callback) {
+        window.addEventListener('popstate', () => callback(this.read()));
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UrlState;
+}
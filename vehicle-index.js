@@ -0,0 +1,244 @@
+/**
+ * Vehicle Index
+ * Server-side index of every variant in vehicleData/, used by the /api/vehicles routes in
+ * server.js. Variants are looked up by make code, model code, trim and uniqueId, projected to
+ * the requested fields and paged into the same { meta, data } envelope as a NAVI file, so a
+ * page can ask for a few categories instead of downloading whole multi-megabyte files.
+ * The index is rebuilt when a file in the data directory is added, removed or changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class VehicleIndex {
+    static DEFAULT_LIMIT = 10;
+
+    static MAX_LIMIT = 100;
+
+    // Kept on every projected vehicle so results can still be told apart and labelled
+    static IDENTITY_FIELDS = ['vehicleId', 'publicId', 'uniqueId', 'make', 'model', 'trim', 'versionName', 'modelYear', 'price', 'isCurrent'];
+
+    // Blank trims are the base model (see vehicleData/README-vehicle-data.md)
+    static BASE_TRIM = 'base';
+
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.signature = null;
+        this.entries = [];
+        this.byUniqueId = new Map();
+        this.byModel = new Map();
+        this.fieldNames = new Set();
+    }
+
+    // Rebuild when the data files have changed since the last build
+    refresh() {
+        const files = fs.readdirSync(this.dataDir).filter(file => file.endsWith('.json')).sort();
+        const signature = files
+            .map(file => `${file}:${fs.statSync(path.join(this.dataDir, file)).mtimeMs}`)
+            .join('|');
+
+        if (signature !== this.signature) {
+            this.build(files);
+            this.signature = signature;
+        }
+        return this;
+    }
+
+    build(files) {
+        this.entries = [];
+        this.byUniqueId = new Map();
+        this.byModel = new Map();
+        this.fieldNames = new Set();
+
+        files.forEach(file => {
+            let payload;
+            try {
+                payload = JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf8'));
+            } catch (error) {
+                console.warn(`⚠️ Skipping ${file}: ${error.message}`);
+                return;
+            }
+
+            const items = Array.isArray(payload.data) ? payload.data : (payload.data ? [payload.data] : []);
+            items.forEach(item => {
+                const vehicle = item?.vehicle;
+                if (!vehicle) return;
+
+                // The same variant can appear in more than one file; the first copy wins
+                const uniqueId = vehicle.uniqueId !== undefined ? String(vehicle.uniqueId) : null;
+                if (uniqueId && this.byUniqueId.has(uniqueId)) return;
+
+                const entry = {
+                    file,
+                    item,
+                    makeCode: this.normalise(item.make?.code),
+                    modelCode: this.normalise(item.model?.code),
+                    trim: this.normalise(vehicle.trim) || VehicleIndex.BASE_TRIM
+                };
+
+                this.entries.push(entry);
+                if (uniqueId) {
+                    this.byUniqueId.set(uniqueId, entry);
+                }
+
+                const modelKey = `${entry.makeCode}/${entry.modelCode}`;
+                if (!this.byModel.has(modelKey)) {
+                    this.byModel.set(modelKey, []);
+                }
+                this.byModel.get(modelKey).push(entry);
+
+                Object.keys(vehicle).forEach(field => this.fieldNames.add(field));
+            });
+        });
+
+        console.log(`📚 Indexed ${this.entries.length} variants from ${files.length} files in ${this.dataDir}`);
+    }
+
+    normalise(value) {
+        return String(value ?? '').trim().toLowerCase();
+    }
+
+    // Comma-separated query values, e.g. "TO,HY" → ['to', 'hy']
+    parseList(value) {
+        if (value === undefined || value === null || value === '') return [];
+        return String(value).split(',').map(part => this.normalise(part)).filter(Boolean);
+    }
+
+    parsePositiveInteger(value, name, fallback) {
+        if (value === undefined || value === '') return fallback;
+        if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+            throw new VehicleQueryError(`${name} must be a whole number of 1 or more`);
+        }
+        return Number(value);
+    }
+
+    // { meta, data } for /api/vehicles. `query` is the request's query string object
+    search(query = {}) {
+        this.refresh();
+
+        const makes = this.parseList(query.make);
+        const models = this.parseList(query.model);
+        const trims = this.parseList(query.trim);
+        const uniqueIds = String(query.uniqueId ?? '').split(',').map(id => id.trim()).filter(Boolean);
+        const fields = this.parseFields(query.fields);
+        const page = this.parsePositiveInteger(query.page, 'page', 1);
+        const limit = Math.min(this.parsePositiveInteger(query.limit, 'limit', VehicleIndex.DEFAULT_LIMIT), VehicleIndex.MAX_LIMIT);
+
+        let entries = this.entries;
+        if (uniqueIds.length > 0) {
+            entries = uniqueIds.map(id => this.byUniqueId.get(id)).filter(Boolean);
+        } else if (makes.length > 0 && models.length > 0) {
+            entries = makes.flatMap(make => models.flatMap(model => this.byModel.get(`${make}/${model}`) || []));
+        }
+
+        const matches = entries.filter(entry =>
+            (makes.length === 0 || makes.includes(entry.makeCode)) &&
+            (models.length === 0 || models.includes(entry.modelCode)) &&
+            (trims.length === 0 || trims.includes(entry.trim))
+        );
+
+        const totalPages = Math.ceil(matches.length / limit);
+        const data = matches
+            .slice((page - 1) * limit, page * limit)
+            .map(entry => this.project(entry.item, fields));
+
+        return {
+            meta: {
+                page: { current: page, total: totalPages },
+                item: { limit, total: matches.length },
+                query: this.buildPageQueries(query, page, totalPages, limit)
+            },
+            data
+        };
+    }
+
+    // One variant in the single-item envelope used by showroom files, or null when unknown
+    get(uniqueId, fieldsParam) {
+        this.refresh();
+
+        const fields = this.parseFields(fieldsParam);
+        const entry = this.byUniqueId.get(String(uniqueId));
+        return entry ? { meta: null, data: this.project(entry.item, fields) } : null;
+    }
+
+    // Requested vehicle fields, or null for all of them. Dotted paths pick one spec, e.g. "performance.powerMaximumPowerKw"
+    parseFields(value) {
+        if (value === undefined || value === '') return null;
+
+        const fields = String(value).split(',').map(field => field.trim()).filter(Boolean);
+        const unknown = fields.filter(field => !this.fieldNames.has(field.split('.')[0]));
+        if (unknown.length > 0) {
+            throw new VehicleQueryError(`Unknown field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+        }
+        return fields;
+    }
+
+    project(item, fields) {
+        if (!fields) return item;
+
+        const vehicle = {};
+        VehicleIndex.IDENTITY_FIELDS.forEach(field => {
+            if (item.vehicle[field] !== undefined) {
+                vehicle[field] = item.vehicle[field];
+            }
+        });
+
+        fields.forEach(field => {
+            const [category, ...rest] = field.split('.');
+            const value = item.vehicle[category];
+            if (value === undefined) return;
+
+            if (rest.length === 0) {
+                vehicle[category] = value;
+                return;
+            }
+
+            // Own keys only, so "performance.toString" finds nothing rather than Object.prototype
+            const specValue = rest.reduce((node, key) => (node && typeof node === 'object' && Object.hasOwn(node, key) ? node[key] : undefined), value);
+            if (specValue === undefined) return;
+
+            // Rebuild the nested path so projected vehicles keep the NAVI shape
+            let target = vehicle[category] = vehicle[category] && typeof vehicle[category] === 'object' ? vehicle[category] : {};
+            rest.slice(0, -1).forEach(key => {
+                target = target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+            });
+            target[rest[rest.length - 1]] = specValue;
+        });
+
+        return { make: item.make, model: item.model, vehicle };
+    }
+
+    // NAVI-style page links that keep the request's filters, e.g. "make=TO&model=RP&page=2&limit=10"
+    buildPageQueries(query, page, totalPages, limit) {
+        const toQuery = (pageNumber) => {
+            const params = new URLSearchParams();
+            Object.entries(query).forEach(([key, value]) => {
+                if (key !== 'page' && key !== 'limit' && value !== undefined && value !== '') {
+                    params.set(key, Array.isArray(value) ? value.join(',') : value);
+                }
+            });
+            params.set('page', pageNumber);
+            params.set('limit', limit);
+            // Commas in lists read better unescaped and are valid in a query string
+            return params.toString().replace(/%2C/gi, ',');
+        };
+
+        return {
+            currentPage: toQuery(page),
+            nextPage: page < totalPages ? toQuery(page + 1) : null,
+            previousPage: page > 1 ? toQuery(Math.min(page - 1, Math.max(totalPages, 1))) : null,
+            firstPage: toQuery(1),
+            lastPage: totalPages > 0 ? toQuery(totalPages) : null
+        };
+    }
+}
+
+// A bad query parameter; the route answers 400 with its message
+class VehicleQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VehicleQueryError';
+    }
+}
+
+module.exports = { VehicleIndex, VehicleQueryError };
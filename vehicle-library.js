@@ -0,0 +1,284 @@
+/**
+ * Vehicle Library
+ * Client-side store of vehicle datasets in IndexedDB. Preloaded files are fetched from
+ * vehicleData/ once and read from the library afterwards, checked against the server in the
+ * background each time, and uploads are kept so they survive a refresh, which lets every page
+ * work without a connection after the first visit. Each
+ * dataset keeps its NAVI `meta` and the time it was saved; "My datasets" (dataset-manager.js)
+ * renames, deletes and re-opens them.
+ */
+
+class VehicleLibrary {
+    static DB_NAME = 'vehicleDiffenterator';
+
+    static DB_VERSION = 1;
+
+    // Summaries are listed often; payloads (up to 1.5 MB each) are only read when a dataset opens
+    static SUMMARY_STORE = 'datasets';
+    static PAYLOAD_STORE = 'payloads';
+
+    static CHANGE_EVENT = 'vehiclelibrarychange';
+
+    static DATA_PATH = 'vehicleData/';
+
+    // Model names listed in a generated dataset name before the rest are counted
+    static NAMED_MODELS = 2;
+
+    static onChange(callback) {
+        window.addEventListener(VehicleLibrary.CHANGE_EVENT, (e) => callback(e.detail));
+    }
+
+    constructor(factory = typeof indexedDB !== 'undefined' ? indexedDB : null, normalizer = null) {
+        this.factory = factory;
+        this.dbPromise = null;
+        this.normalizer = normalizer || VehicleLibrary.createNormalizer();
+    }
+
+    static createNormalizer() {
+        // In the browser vehicle-normalizer.js is loaded as a global script
+        if (typeof VehicleNormalizer !== 'undefined') {
+            return new VehicleNormalizer();
+        }
+        const NodeVehicleNormalizer = require('./vehicle-normalizer.js');
+        return new NodeVehicleNormalizer();
+    }
+
+    open() {
+        if (!this.factory) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(VehicleLibrary.DB_NAME, VehicleLibrary.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(VehicleLibrary.SUMMARY_STORE)) {
+                        db.createObjectStore(VehicleLibrary.SUMMARY_STORE, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(VehicleLibrary.PAYLOAD_STORE)) {
+                        db.createObjectStore(VehicleLibrary.PAYLOAD_STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The dataset library is open in an older version of this page in another tab'));
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs `work(summaries, payloads)` in one transaction and resolves with its result once committed
+    async transaction(mode, work) {
+        const db = await this.open();
+        const tx = db.transaction([VehicleLibrary.SUMMARY_STORE, VehicleLibrary.PAYLOAD_STORE], mode);
+        const result = work(tx.objectStore(VehicleLibrary.SUMMARY_STORE), tx.objectStore(VehicleLibrary.PAYLOAD_STORE));
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Dataset library transaction was aborted'));
+        });
+        return result;
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    preloadedId(filename) {
+        return `preloaded:${filename}`;
+    }
+
+    // Matches the key pages already use for an upload's saved layout
+    uploadId(file) {
+        return `file:${file}`;
+    }
+
+    searchId(query) {
+        return `api:${query}`;
+    }
+
+    // A vehicleData/ file, from the library when it has been loaded before and from the network
+    // (then saved) otherwise. Throws the same HTTP errors as a plain fetch
+    async loadPreloaded(filename) {
+        const id = this.preloadedId(filename);
+        const cached = await this.getPayload(id).catch(error => {
+            console.warn('Dataset library unavailable, loading from the network:', error);
+            return null;
+        });
+        if (cached) {
+            // The saved copy opens straight away; a changed file is saved for the next load
+            this.revalidate(id, filename, cached);
+            return cached;
+        }
+
+        const response = await fetch(`${VehicleLibrary.DATA_PATH}${filename}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const payload = await response.json();
+
+        // Saved in the background so the first load is not slowed down by the write
+        this.save(id, payload, { source: 'preloaded', file: filename, version: this.getVersion(response) });
+        return payload;
+    }
+
+    // Re-saves a preloaded file when the server's copy differs from the saved one. Unchanged
+    // ETag or Last-Modified headers skip the download; without them the contents are compared.
+    // Offline or failing checks keep the saved copy
+    async revalidate(id, filename, cached) {
+        try {
+            const summary = await this.get(id);
+            const response = await fetch(`${VehicleLibrary.DATA_PATH}${filename}`, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const version = this.getVersion(response);
+            if (version && version === summary?.version) return;
+
+            // Unchanged contents are only saved again to remember a new version header
+            const payload = await response.json();
+            const changed = JSON.stringify(this.toRecord(id, payload)) !== JSON.stringify(this.toRecord(id, cached));
+            if (changed || version) {
+                await this.save(id, payload, { source: 'preloaded', file: filename, version });
+            }
+        } catch (error) {
+            console.warn(`Could not check ${filename} for updates:`, error);
+        }
+    }
+
+    getVersion(response) {
+        return response.headers.get('ETag') || response.headers.get('Last-Modified') || null;
+    }
+
+    // Stored as { meta, data } whatever the envelope, so bare lists and { vehicles } files keep their vehicles
+    toRecord(id, payload) {
+        return { id, meta: payload?.meta ?? null, data: this.getItems(payload) };
+    }
+
+    // Keep an uploaded payload; `files` are the uploaded file names
+    saveUpload(payload, files) {
+        const file = [...files].sort().join('+');
+        return this.save(this.uploadId(file), payload, { source: 'upload', file });
+    }
+
+    // Keep the results of an API search; `query` is the search's query string
+    saveSearch(payload, query) {
+        return this.save(this.searchId(query), payload, { source: 'api', file: query });
+    }
+
+    // Saving is best effort: a full or unavailable store never stops a dataset from loading.
+    // Resolves with the summary, or null when it could not be saved
+    // `version` is the ETag or Last-Modified header a preloaded file was fetched with
+    async save(id, payload, { source, file, version = null }) {
+        const items = this.getItems(payload);
+        const payloadRecord = this.toRecord(id, payload);
+
+        try {
+            const existing = await this.get(id);
+            const summary = {
+                id,
+                // A dataset the reader renamed keeps its name when it is saved again
+                name: existing?.name || this.describe(items, file),
+                source,
+                file,
+                variantCount: items.length,
+                size: JSON.stringify(payloadRecord).length,
+                version,
+                savedAt: new Date().toISOString()
+            };
+
+            await this.transaction('readwrite', (summaries, payloads) => {
+                summaries.put(summary);
+                payloads.put(payloadRecord);
+            });
+            this.notify({ type: 'save', id });
+            return summary;
+        } catch (error) {
+            console.warn(`Could not save ${file} to the dataset library:`, error);
+            return null;
+        }
+    }
+
+    // Summaries of every saved dataset, newest first
+    async list() {
+        const summaries = await this.transaction('readonly', store => this.request(store.getAll()));
+        return summaries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    async get(id) {
+        const summary = await this.transaction('readonly', store => this.request(store.get(id)));
+        return summary || null;
+    }
+
+    // The stored { meta, data } payload, shaped like the file it came from
+    async getPayload(id) {
+        const record = await this.transaction('readonly', (summaries, payloads) => this.request(payloads.get(id)));
+        return record ? { meta: record.meta, data: record.data } : null;
+    }
+
+    async rename(id, name) {
+        const trimmed = String(name).trim();
+        if (!trimmed) {
+            throw new Error('Dataset names cannot be empty');
+        }
+
+        await this.transaction('readwrite', async store => {
+            const summary = await this.request(store.get(id));
+            if (summary) {
+                store.put({ ...summary, name: trimmed });
+            }
+        });
+        this.notify({ type: 'rename', id });
+    }
+
+    async delete(id) {
+        await this.transaction('readwrite', (summaries, payloads) => {
+            summaries.delete(id);
+            payloads.delete(id);
+        });
+        this.notify({ type: 'delete', id });
+    }
+
+    getItems(payload) {
+        return this.normalizer.getItems(payload) || [];
+    }
+
+    // Default name from the makes and models inside, e.g. "Hyundai Kona" or "BYD Sealion 6, Toyota RAV4 +1 more"
+    describe(items, fallback) {
+        const models = [];
+        items.forEach(item => {
+            const vehicle = item?.vehicle || {};
+            const make = item?.make?.label || vehicle.make;
+            const model = item?.model?.label || vehicle.model;
+            const name = [make, model].filter(Boolean).join(' ');
+            if (name && !models.includes(name)) {
+                models.push(name);
+            }
+        });
+
+        if (models.length === 0) return fallback;
+
+        const named = models.slice(0, VehicleLibrary.NAMED_MODELS).join(', ');
+        const more = models.length - VehicleLibrary.NAMED_MODELS;
+        return more > 0 ? `${named} +${more} more` : named;
+    }
+
+    notify(detail) {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent(VehicleLibrary.CHANGE_EVENT, { detail }));
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VehicleLibrary;
+}
@@ -0,0 +1,338 @@
+/**
+ * Vehicle Normalizer
+ * Turns a NAVI `{meta, data: [{make, model, vehicle}]}` payload into the canonical
+ * vehicle model shared by every page. Runs in the browser and under Node.
+ */
+
+class VehicleNormalizer {
+    // Top-level vehicle fields that are not specification categories
+    static EXCLUDED_CATEGORIES = [
+        'vehicleId', 'make', 'model', 'trim', 'versionName', 'modelYear',
+        'price', 'isCurrent', 'vehicleGeneralInfo', 'standardText',
+        'makeDetails', 'modelDetails', 'calculated'
+    ];
+
+    // Unit suffixes found at the end of NAVI spec keys. Rates and other compound units come
+    // before the single units they end in, so that e.g. "KmH" wins over "Km", "KwhKm" over "Km"
+    // and "Kwh100Miles" over "Miles"
+    static UNIT_SUFFIXES = [
+        { suffix: 'MilesPerUkGallon', symbol: 'mpg (UK)', quantity: 'fuelEconomy', system: 'imperialUk' },
+        { suffix: 'KilowattHour', symbol: 'kWh', quantity: 'energy', system: 'metric' },
+        { suffix: 'Kwh100Miles', symbol: 'kWh/100mi', quantity: 'energyConsumption', system: 'imperial' },
+        { suffix: 'Kwh100km', symbol: 'kWh/100km', quantity: 'energyConsumption', system: 'metric' },
+        { suffix: 'L100km', symbol: 'L/100km', quantity: 'fuelConsumption', system: 'metric' },
+        { suffix: 'MilesKwh', symbol: 'mi/kWh', quantity: 'energyEconomy', system: 'imperial' },
+        { suffix: 'KmKwh', symbol: 'km/kWh', quantity: 'energyEconomy', system: 'metric' },
+        { suffix: 'KwhKm', symbol: 'kWh/km', quantity: 'energyConsumption', system: 'metric' },
+        { suffix: 'Months', symbol: 'months', quantity: 'duration', system: 'neutral' },
+        { suffix: 'Miles', symbol: 'mi', quantity: 'distance', system: 'imperial' },
+        { suffix: 'WhKm', symbol: 'Wh/km', quantity: 'energyConsumption', system: 'metric' },
+        { suffix: 'KmLl', symbol: 'km/L', quantity: 'fuelEconomy', system: 'metric' },
+        { suffix: 'HpPs', symbol: 'PS', quantity: 'power', system: 'neutral' },
+        { suffix: 'Cuft', symbol: 'cu ft', quantity: 'volume', system: 'imperial' },
+        { suffix: 'CuFt', symbol: 'cu ft', quantity: 'volume', system: 'imperial' },
+        { suffix: 'KmH', symbol: 'km/h', quantity: 'speed', system: 'metric' },
+        { suffix: 'Kph', symbol: 'km/h', quantity: 'speed', system: 'metric' },
+        { suffix: 'Kwh', symbol: 'kWh', quantity: 'energy', system: 'metric' },
+        { suffix: 'KwT', symbol: 'kW/t', quantity: 'powerToWeight', system: 'metric' },
+        { suffix: 'Mph', symbol: 'mph', quantity: 'speed', system: 'imperial' },
+        { suffix: 'Mpg', symbol: 'mpg', quantity: 'fuelEconomy', system: 'imperial' },
+        { suffix: 'Lbs', symbol: 'lb', quantity: 'mass', system: 'imperial' },
+        { suffix: 'Mm', symbol: 'mm', quantity: 'length', system: 'metric' },
+        { suffix: 'Kg', symbol: 'kg', quantity: 'mass', system: 'metric' },
+        { suffix: 'Kw', symbol: 'kW', quantity: 'power', system: 'metric' },
+        { suffix: 'Nm', symbol: 'Nm', quantity: 'torque', system: 'metric' },
+        { suffix: 'LbFt', symbol: 'lb-ft', quantity: 'torque', system: 'imperial' },
+        { suffix: 'Km', symbol: 'km', quantity: 'distance', system: 'metric' },
+        { suffix: 'In', symbol: 'in', quantity: 'length', system: 'imperial' },
+        { suffix: 'Ft', symbol: 'ft', quantity: 'length', system: 'imperial' },
+        { suffix: 'L', symbol: 'L', quantity: 'volume', system: 'metric' }
+    ];
+
+    // Qualifiers that can follow the unit suffix, e.g. powerMaximumPowerKwElectricMotor
+    static UNIT_QUALIFIERS = ['ElectricMotor'];
+
+    // Sprint times such as performanceAcceleration0To100KmH: the speeds name the sprint and
+    // the value is in seconds
+    static SPRINT_PATTERN = /\d+To\d+(KmH|Kph|Mph|m)$/;
+
+    // A speed straight after a number names a threshold, e.g. antiColliSysOperatesAbove50Kph30Mph
+    // or fuelEconomyEu83At90KmH56Mph, rather than the unit of the value
+    static SPEED_SUFFIXES = ['KmH', 'Kph', 'Mph'];
+
+    // Unit systems that make a spec one half of a metric/imperial pair
+    static IMPERIAL_SYSTEMS = ['imperial', 'imperialUk'];
+
+    normalizeDataset(data) {
+        const items = this.getItems(data);
+        if (!items) {
+            throw new Error('Invalid data structure. Expected an array of vehicles.');
+        }
+
+        const vehicles = items.map(item => this.normalizeVehicle(item));
+
+        return {
+            meta: data?.meta || null,
+            displayName: vehicles.length > 0 ? vehicles[0].displayName : '',
+            vehicles
+        };
+    }
+
+    // The vehicle list of a payload, or null when it has none. Payloads are { data: [...] } from
+    // the API, { vehicles: [...] }, a bare list, or a single item
+    getItems(data) {
+        let items = data?.data || data?.vehicles || data;
+
+        // Single-vehicle files (e.g. showroom exports) carry one object instead of an array
+        if (items && !Array.isArray(items) && typeof items === 'object' && items.vehicle) {
+            items = [items];
+        }
+
+        return Array.isArray(items) ? items : null;
+    }
+
+    normalizeVehicle(item) {
+        // Handle different data structures from the sample and API
+        const vehicleData = item.vehicle || item;
+        const generalInfo = vehicleData.vehicleGeneralInfo || {};
+        const makeDetails = vehicleData.makeDetails || {};
+        const modelDetails = vehicleData.modelDetails || {};
+
+        const make = generalInfo.localMake || vehicleData.make || item.make?.label || 'Unknown';
+        const model = generalInfo.localModel || vehicleData.model || item.model?.label || 'Unknown';
+        const trimValue = (generalInfo.localTrimLevel || vehicleData.trim || '').trim();
+        const { specifications, unitAlternates } = this.collapseUnitPairs(this.extractSpecifications(vehicleData));
+
+        return {
+            id: vehicleData.vehicleId || vehicleData.id || Math.random().toString(36),
+            uniqueId: vehicleData.uniqueId || null,
+            publicId: vehicleData.publicId || null,
+            make,
+            model,
+            makeCode: makeDetails.code || item.make?.code || null,
+            modelCode: modelDetails.code || item.model?.code || null,
+            displayName: this.getDisplayName(vehicleData, make, model),
+            displayNameShort: modelDetails.displayNameShort || model,
+            trim: trimValue || 'Base',
+            isBaseTrim: !trimValue,
+            versionName: generalInfo.localVersionName || vehicleData.versionName || '',
+            year: vehicleData.modelYear || vehicleData.year || new Date().getFullYear(),
+            price: vehicleData.price || 0,
+            vehicleType: vehicleData.vehicleType || null,
+            transmissionType: vehicleData.transmissionType || null,
+            transmissionSpeeds: vehicleData.transmissionNumberOfSpeeds || null,
+            transmissionDescription: vehicleData.transmissionDescription || null,
+            drivenWheels: vehicleData.drivenWheels || null,
+            fuelType: vehicleData.fuelType || null,
+            bodyType: vehicleData.bodyType || null,
+            powertrainType: vehicleData.powertrainType || null,
+            hasHighLowGearData: vehicleData.hasHighLowGearData || false,
+            hasEvData: vehicleData.hasEvData || false,
+            modelIntroducedDate: vehicleData.modelIntroducedDate || null,
+            versionIntroducedDate: vehicleData.versionIntroducedDate || null,
+            bodyExterior: vehicleData.bodyExterior || {},
+            specifications,
+            unitAlternates,
+            specTree: this.buildSpecTree(specifications),
+            isCurrent: vehicleData.isCurrent !== false,
+            raw: vehicleData
+        };
+    }
+
+    getDisplayName(vehicleData, make, model) {
+        // README-vehicle-data.md: always prefer displayNameFull over make + model
+        const displayNameFull = vehicleData.modelDetails?.displayNameFull;
+        if (displayNameFull) {
+            return displayNameFull;
+        }
+
+        // Avoid "Mazda Mazda2" style duplication when the model already carries the make
+        if (model.toLowerCase().startsWith(make.toLowerCase())) {
+            return model;
+        }
+        return `${make} ${model}`.trim();
+    }
+
+    extractSpecifications(vehicleData) {
+        const specs = {};
+
+        // Only include categories that are objects and not in the exclude list
+        Object.keys(vehicleData).forEach(category => {
+            if (typeof vehicleData[category] === 'object' &&
+                vehicleData[category] !== null &&
+                !Array.isArray(vehicleData[category]) &&
+                !VehicleNormalizer.EXCLUDED_CATEGORIES.includes(category)) {
+                specs[category] = this.flattenObject(vehicleData[category]);
+            }
+        });
+
+        return specs;
+    }
+
+    flattenObject(obj, prefix = '') {
+        const flattened = {};
+
+        for (const key in obj) {
+            if (Object.prototype.hasOwnProperty.call(obj, key)) {
+                const newKey = prefix ? `${prefix}.${key}` : key;
+                const value = obj[key];
+
+                if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                    Object.assign(flattened, this.flattenObject(value, newKey));
+                } else {
+                    // Check if this is a local field and prefer it over non-local
+                    const isLocalField = key.startsWith('local');
+                    const nonLocalKey = key.replace(/^local/, '');
+                    const nonLocalNewKey = prefix ? `${prefix}.${nonLocalKey}` : nonLocalKey;
+
+                    if (isLocalField) {
+                        // Use the local field without the 'local' prefix
+                        flattened[nonLocalNewKey] = value;
+                    } else if (!obj[`local${key.charAt(0).toUpperCase() + key.slice(1)}`]) {
+                        // Only add non-local field if no local version exists
+                        flattened[newKey] = value;
+                    }
+                }
+            }
+        }
+
+        return flattened;
+    }
+
+    // Fold paired fields such as overallLengthMm/overallLengthIn into one logical spec kept
+    // under the metric key; the other halves are returned as unitAlternates["category.spec"][suffix]
+    collapseUnitPairs(specifications) {
+        const collapsed = {};
+        const unitAlternates = {};
+
+        Object.keys(specifications).forEach(category => {
+            const groups = new Map();
+            Object.keys(specifications[category]).forEach(spec => {
+                const unit = this.getUnit(spec);
+                const baseKey = unit ? this.getUnitBaseKey(spec, unit) : spec;
+                if (!groups.has(baseKey)) groups.set(baseKey, []);
+                groups.get(baseKey).push({ spec, unit });
+            });
+
+            collapsed[category] = {};
+            groups.forEach(members => {
+                const isPair = members.length > 1 &&
+                    members.some(member => VehicleNormalizer.IMPERIAL_SYSTEMS.includes(member.unit?.system)) &&
+                    members.some(member => member.unit?.system === 'metric');
+
+                if (!isPair) {
+                    members.forEach(({ spec }) => {
+                        collapsed[category][spec] = specifications[category][spec];
+                    });
+                    return;
+                }
+
+                // Metric wins, and L/100km wins over km/L (kWh/100km over km/kWh)
+                const isEconomy = member => ['fuelEconomy', 'energyEconomy'].includes(member.unit.quantity);
+                const rank = member => (member.unit.system === 'metric' ? 0 : 2) + (isEconomy(member) ? 1 : 0);
+                const [primary, ...others] = [...members].sort((a, b) => rank(a) - rank(b));
+
+                collapsed[category][primary.spec] = specifications[category][primary.spec];
+                unitAlternates[`${category}.${primary.spec}`] = Object.fromEntries(
+                    others.map(member => [member.unit.suffix, specifications[category][member.spec]])
+                );
+            });
+        });
+
+        return { specifications: collapsed, unitAlternates };
+    }
+
+    // Spec key without its unit suffix, keeping any qualifier, e.g. powerMaximumPowerElectricMotor
+    getUnitBaseKey(spec, unit = this.getUnit(spec)) {
+        if (!unit) return spec;
+
+        const qualifier = VehicleNormalizer.UNIT_QUALIFIERS.find(q => spec.endsWith(q) && spec.length > q.length) || '';
+        const key = qualifier ? spec.slice(0, -qualifier.length) : spec;
+        return key.slice(0, -unit.suffix.length) + qualifier;
+    }
+
+    buildSpecTree(specifications) {
+        const tree = {};
+
+        Object.keys(specifications).forEach(category => {
+            tree[category] = {};
+            Object.keys(specifications[category]).forEach(spec => {
+                tree[category][spec] = this.typeValue(specifications[category][spec], spec);
+            });
+        });
+
+        return tree;
+    }
+
+    typeValue(rawValue, spec = '') {
+        const unit = this.getUnit(spec);
+
+        if (rawValue === null || rawValue === undefined) {
+            return { type: 'empty', value: null, raw: rawValue, unit };
+        }
+
+        if (typeof rawValue === 'boolean') {
+            return { type: 'boolean', value: rawValue, raw: rawValue, unit };
+        }
+
+        if (typeof rawValue === 'number') {
+            return { type: 'number', value: rawValue, raw: rawValue, unit };
+        }
+
+        const text = String(rawValue).trim();
+        const lower = text.toLowerCase();
+
+        if (text === '' || lower === 'not available' || lower === 'none') {
+            return { type: 'empty', value: null, raw: rawValue, unit };
+        }
+        if (lower === 'yes' || lower === 'true') {
+            return { type: 'boolean', value: true, raw: rawValue, unit };
+        }
+        if (lower === 'no' || lower === 'false') {
+            return { type: 'boolean', value: false, raw: rawValue, unit };
+        }
+        if (lower === 'unlimited') {
+            return { type: 'unlimited', value: Infinity, raw: rawValue, unit };
+        }
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            return { type: 'number', value: parseFloat(text), raw: rawValue, unit };
+        }
+
+        return { type: 'text', value: text, raw: rawValue, unit };
+    }
+
+    getUnit(spec) {
+        // Accept "category.spec" keys as well as bare spec names
+        let key = spec.split('.').pop();
+
+        VehicleNormalizer.UNIT_QUALIFIERS.forEach(qualifier => {
+            if (key.endsWith(qualifier) && key.length > qualifier.length) {
+                key = key.slice(0, -qualifier.length);
+            }
+        });
+
+        const sprint = key.match(VehicleNormalizer.SPRINT_PATTERN);
+        if (sprint) {
+            const suffix = key.slice(sprint.index);
+            return { symbol: 's', quantity: 'time', system: 'neutral', suffix };
+        }
+
+        const match = VehicleNormalizer.UNIT_SUFFIXES.find(unit => {
+            if (!key.endsWith(unit.suffix)) return false;
+            const name = key.slice(0, -unit.suffix.length);
+
+            // The suffix must start a new camelCase word, e.g. "...LengthMm" not "...Trim", and
+            // follow at least two words: in "plugIn" the "In" is part of the name, not inches
+            if (!/[a-z0-9]$/.test(name) || !/[A-Z]/.test(name)) return false;
+
+            return !(VehicleNormalizer.SPEED_SUFFIXES.includes(unit.suffix) && /\d$/.test(name));
+        });
+
+        return match ? { symbol: match.symbol, quantity: match.quantity, system: match.system, suffix: match.suffix } : null;
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VehicleNormalizer;
+}
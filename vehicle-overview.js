@@ -3,12 +3,22 @@
 class VehicleOverview {
     constructor() {
         this.vehicleData = null;
+        this.vehicles = [];
+        this.normalizer = new VehicleNormalizer();
+        this.locale = new Locale();
+        this.unitSystem = new UnitSystem(this.normalizer, this.locale);
+        this.validator = new VehicleValidator();
+        this.library = new VehicleLibrary();
         this.currentLevel = 'model';
         this.selectedVehicle = null;
         this.selectedTrim = null;
         this.selectedVariant = null;
+        this.vehicles = [];
         this.availableTrims = [];
         this.availableVariants = [];
+        this.currentDataset = null;
+        this.isRestoringUrlState = false;
+        this.urlState = new UrlState({ defaults: { level: 'model' } });
         
         this.categoryMappings = {
             'Powertrain & Performance': {
@@ -50,6 +60,50 @@ class VehicleOverview {
 
     async init() {
         this.setupEventListeners();
+        await this.restoreUrlState(this.urlState.read());
+        this.urlState.onChange(state => this.restoreUrlState(state));
+    }
+
+    getUrlState() {
+        return {
+            dataset: this.currentDataset,
+            level: this.currentLevel,
+            trim: this.currentLevel === 'model' ? null : this.selectedTrim,
+            variant: this.currentLevel === 'variant' ? this.selectedVariant : null
+        };
+    }
+
+    updateUrlState() {
+        if (this.isRestoringUrlState) return;
+        this.urlState.write(this.getUrlState());
+    }
+
+    async restoreUrlState(state) {
+        this.isRestoringUrlState = true;
+
+        try {
+            if (state.dataset && state.dataset !== this.currentDataset) {
+                document.getElementById('preloaded-data-select').value = state.dataset;
+                await this.loadVehicleData(state.dataset);
+                this.displayVehicleSelection();
+            } else if (!state.dataset && this.currentDataset) {
+                document.getElementById('preloaded-data-select').value = '';
+                this.currentDataset = null;
+                this.resetAllSelections();
+            }
+
+            this.onLevelChange(state.level);
+
+            document.getElementById('trim-select').value = state.trim || '';
+            this.onTrimChange(state.trim || null);
+
+            document.getElementById('variant-select').value = state.variant || '';
+            this.onVariantChange(state.variant || null);
+        } catch (error) {
+            this.showError('Failed to restore the linked selection: ' + error.message);
+        } finally {
+            this.isRestoringUrlState = false;
+        }
     }
 
     setupEventListeners() {
@@ -65,9 +119,18 @@ class VehicleOverview {
             this.onPreloadedDataChange(e.target.value);
         });
 
-        // File upload
-        document.getElementById('vehicle-data-file').addEventListener('change', (e) => {
-            this.onFileUpload(e.target.files[0]);
+        // File upload: pick or drop one or more .json/.json.gz files
+        new FileUpload(document.getElementById('vehicle-data-file'), {
+            onLoad: (data, upload) => this.onFileUpload(data, upload),
+            onError: (message) => this.showError('Failed to load file: ' + message)
+        });
+
+        // Saved datasets ("My datasets")
+        new DatasetManager(document.getElementById('dataset-library'), {
+            library: this.library,
+            locale: this.locale,
+            onOpen: (summary, payload) => this.openLibraryDataset(summary, payload),
+            onError: (message) => this.showError(message)
         });
 
         // Level selection
@@ -86,6 +149,20 @@ class VehicleOverview {
         document.getElementById('variant-select').addEventListener('change', (e) => {
             this.onVariantChange(e.target.value);
         });
+
+        // Units follow the preference shared by every page
+        UnitSystem.bindSelector(document.getElementById('unit-system'));
+        UnitSystem.onChange(system => {
+            this.unitSystem.setSystem(system);
+            this.displayCategoryOverview();
+        });
+
+        // Number and price formats follow the language preference shared by every page
+        Locale.bindSelector(document.getElementById('language'));
+        Locale.onChange(async language => {
+            await this.locale.setLanguage(language);
+            this.displayCategoryOverview();
+        });
     }
 
     switchDataSource(source) {
@@ -119,40 +196,69 @@ class VehicleOverview {
 
         try {
             await this.loadVehicleData(filename);
+            this.selectedTrim = null;
+            this.selectedVariant = null;
             this.displayVehicleSelection();
+            this.updateUrlState();
         } catch (error) {
             this.showError('Failed to load vehicle data: ' + error.message);
         }
     }
 
-    async onFileUpload(file) {
-        if (!file) {
-            this.hideCategoryOverview();
-            return;
-        }
-
+    async onFileUpload(data, { fileName, files }) {
         try {
-            this.showLoading();
-            const text = await file.text();
-            this.vehicleData = JSON.parse(text);
-            this.displayVehicleSelection();
+            // Malformed variants are reported and left out instead of failing during rendering
+            const payload = await this.validator.review(data, {
+                anchor: document.getElementById('vehicle-data-file'),
+                fileName
+            });
+            if (!payload) return;
+
+            this.library.saveUpload(payload, files);
+            this.showUploadedData(payload);
         } catch (error) {
             this.showError('Failed to load file: ' + error.message);
         }
     }
 
+    showUploadedData(payload) {
+        this.showLoading();
+        this.vehicleData = payload;
+        this.currentDataset = null;
+        this.selectedTrim = null;
+        this.selectedVariant = null;
+        this.displayVehicleSelection();
+        this.updateUrlState();
+    }
+
+    // Preloaded datasets reopen through their file so the URL can still be shared
+    async openLibraryDataset(summary, payload) {
+        if (summary.source === 'preloaded') {
+            document.getElementById('preloaded-data-select').value = summary.file;
+            await this.onPreloadedDataChange(summary.file);
+            return;
+        }
+        this.showUploadedData(payload);
+    }
+
     async loadVehicleData(filename) {
         try {
             this.showLoading();
-            const response = await fetch(`vehicleData/${filename}`);
-            this.vehicleData = await response.json();
+            this.vehicleData = await this.library.loadPreloaded(filename);
+            this.currentDataset = filename;
         } catch (error) {
             throw new Error('Failed to load vehicle data: ' + error.message);
         }
     }
 
     displayVehicleSelection() {
-        if (!this.vehicleData?.data || this.vehicleData.data.length === 0) {
+        try {
+            this.vehicles = this.normalizer.normalizeDataset(this.vehicleData).vehicles;
+        } catch (error) {
+            this.vehicles = [];
+        }
+
+        if (this.vehicles.length === 0) {
             this.showError('No vehicle data available');
             return;
         }
@@ -163,14 +269,14 @@ class VehicleOverview {
     }
 
     populateTrimAndVariantOptions() {
-        if (!this.vehicleData?.data) return;
+        if (this.vehicles.length === 0) return;
 
-        // Get unique trims
-        const trims = [...new Set(this.vehicleData.data.map(v => v.vehicle?.trim).filter(Boolean))];
+        // Get unique trims ("Base" when the trim is blank)
+        const trims = [...new Set(this.vehicles.map(v => v.trim))];
         this.availableTrims = trims;
 
         // Get unique variants (versionName)
-        const variants = [...new Set(this.vehicleData.data.map(v => v.vehicle?.versionName).filter(Boolean))];
+        const variants = [...new Set(this.vehicles.map(v => v.versionName).filter(Boolean))];
         this.availableVariants = variants;
 
         // Populate trim dropdown
@@ -218,6 +324,7 @@ class VehicleOverview {
         this.selectedVehicle = null;
         this.selectedTrim = null;
         this.selectedVariant = null;
+        this.vehicles = [];
         this.availableTrims = [];
         this.availableVariants = [];
         
@@ -239,19 +346,20 @@ class VehicleOverview {
         this.currentLevel = level;
         this.updateSelectionVisibility();
         
-        if (this.vehicleData) {
+        if (this.vehicles.length > 0) {
             this.displayCategoryOverview();
         }
+        this.updateUrlState();
     }
 
     onTrimChange(trim) {
         this.selectedTrim = trim;
         
         // Update variant dropdown based on selected trim
-        if (trim && this.vehicleData) {
-            const filteredVariants = this.vehicleData.data
-                .filter(v => v.vehicle?.trim === trim)
-                .map(v => v.vehicle?.versionName)
+        if (trim && this.vehicles.length > 0) {
+            const filteredVariants = this.vehicles
+                .filter(v => v.trim === trim)
+                .map(v => v.versionName)
                 .filter(Boolean);
             
             const variantSelect = document.getElementById('variant-select');
@@ -265,15 +373,17 @@ class VehicleOverview {
         }
         
         this.displayCategoryOverview();
+        this.updateUrlState();
     }
 
     onVariantChange(variant) {
         this.selectedVariant = variant;
         this.displayCategoryOverview();
+        this.updateUrlState();
     }
 
     displayCategoryOverview() {
-        if (!this.vehicleData?.data) return;
+        if (this.vehicles.length === 0) return;
 
         const container = document.getElementById('category-overview');
         container.innerHTML = '';
@@ -295,18 +405,16 @@ class VehicleOverview {
     }
 
     getVehiclesToAnalyze() {
-        if (!this.vehicleData?.data) return [];
-
-        let vehicles = this.vehicleData.data;
+        let vehicles = this.vehicles;
 
         // Filter by trim if selected
         if (this.selectedTrim) {
-            vehicles = vehicles.filter(v => v.vehicle?.trim === this.selectedTrim);
+            vehicles = vehicles.filter(v => v.trim === this.selectedTrim);
         }
 
         // Filter by variant if selected
         if (this.selectedVariant) {
-            vehicles = vehicles.filter(v => v.vehicle?.versionName === this.selectedVariant);
+            vehicles = vehicles.filter(v => v.versionName === this.selectedVariant);
         }
 
         return vehicles;
@@ -546,7 +654,7 @@ class VehicleOverview {
 
     getUniqueValues(vehicles, property) {
         const values = vehicles
-            .map(v => v.vehicle?.[property] || v.vehicleGeneralInfo?.[property] || v.vehicle?.performance?.[property])
+            .map(v => v.raw?.[property] || v.raw?.vehicleGeneralInfo?.[property] || v.specifications.performance?.[property])
             .filter(value => value !== null && value !== undefined && value !== '');
         
         const uniqueValues = [...new Set(values)];
@@ -555,7 +663,7 @@ class VehicleOverview {
 
     getPriceRange(vehicles) {
         const prices = vehicles
-            .map(v => v.vehicle?.price)
+            .map(v => v.raw?.price)
             .filter(price => price !== null && price !== undefined && !isNaN(price));
         
         if (prices.length === 0) return null;
@@ -564,13 +672,13 @@ class VehicleOverview {
         const maxPrice = Math.max(...prices);
         
         if (minPrice === maxPrice) {
-            return minPrice;
+            return this.locale.formatCurrency(minPrice);
         }
         
         return {
             min: minPrice,
             max: maxPrice,
-            range: `${minPrice.toLocaleString()} - ${maxPrice.toLocaleString()}`
+            range: `${this.locale.formatCurrency(minPrice)} - ${this.locale.formatCurrency(maxPrice)}`
         };
     }
 
@@ -879,7 +987,7 @@ class VehicleOverview {
             return value ? 'Yes' : 'No';
         }
         if (typeof value === 'number') {
-            return value.toLocaleString();
+            return this.locale.formatNumber(value);
         }
         if (typeof value === 'string') {
             return value.replace(/\s+/g, ' ').trim();
@@ -897,8 +1005,7 @@ class VehicleOverview {
 
         // Extract transmission options from all vehicles
         const transmissionOptions = vehicles.map(vehicle => {
-            const v = vehicle.vehicle;
-            return this.createTransmissionOption(v);
+            return this.createTransmissionOption(vehicle.raw);
         }).filter(option => option !== null);
 
         // Deduplicate and sort options
@@ -1114,7 +1221,7 @@ class VehicleOverview {
 
     getFuelConsumptionData(vehicles) {
         const fuelConsumptionValues = vehicles
-            .map(v => v.vehicle?.performance?.fuelConsumptionAdr8102CombinedL100km)
+            .map(v => v.specifications.performance?.fuelConsumptionAdr8102CombinedL100km)
             .filter(value => value !== null && value !== undefined && !isNaN(value));
         
         if (fuelConsumptionValues.length === 0) return null;
@@ -1125,7 +1232,7 @@ class VehicleOverview {
 
     getElectricRangeData(vehicles) {
         const electricRangeValues = vehicles
-            .map(v => v.vehicle?.performance?.bevPureElectricRangeCombinedKm)
+            .map(v => v.specifications.performance?.bevPureElectricRangeCombinedKm)
             .filter(value => value !== null && value !== undefined && !isNaN(value));
         
         if (electricRangeValues.length === 0) return null;
@@ -1147,23 +1254,21 @@ class VehicleOverview {
         
         // Handle fuel consumption (ICE/Hybrid)
         if (fuelConsumption) {
-            if (Array.isArray(fuelConsumption)) {
-                const min = Math.min(...fuelConsumption);
-                const max = Math.max(...fuelConsumption);
-                sentences.push(`Combined fuel consumption ranges from ${min} to ${max} L/100 km (ADR 81/02).`);
+            const { min, max, symbol } = this.convertMeasure('performance', 'fuelConsumptionAdr8102CombinedL100km', fuelConsumption);
+            if (min !== max) {
+                sentences.push(`Combined fuel consumption ranges from ${min} to ${max} ${symbol} (ADR 81/02).`);
             } else {
-                sentences.push(`Combined fuel consumption is ${fuelConsumption} L/100 km (ADR 81/02).`);
+                sentences.push(`Combined fuel consumption is ${min} ${symbol} (ADR 81/02).`);
             }
         }
         
         // Handle electric range (EV)
         if (electricRange) {
-            if (Array.isArray(electricRange)) {
-                const min = Math.min(...electricRange);
-                const max = Math.max(...electricRange);
-                sentences.push(`Provides a combined electric range of ${min}–${max} km.`);
+            const { min, max, symbol } = this.convertMeasure('performance', 'bevPureElectricRangeCombinedKm', electricRange);
+            if (min !== max) {
+                sentences.push(`Provides a combined electric range of ${min}–${max} ${symbol}.`);
             } else {
-                sentences.push(`Provides a combined electric range of ${electricRange} km.`);
+                sentences.push(`Provides a combined electric range of ${min} ${symbol}.`);
             }
         }
         
@@ -1189,34 +1294,14 @@ class VehicleOverview {
         
         // Handle fuel consumption (ICE/Hybrid)
         if (fuelConsumption) {
-            if (Array.isArray(fuelConsumption)) {
-                const uniqueValues = [...new Set(fuelConsumption)].sort((a, b) => a - b);
-                if (uniqueValues.length === 1) {
-                    html += `<div><strong>Fuel Consumption:</strong> ${uniqueValues[0]} L/100 km (ADR 81/02)</div>`;
-                } else {
-                    const min = Math.min(...uniqueValues);
-                    const max = Math.max(...uniqueValues);
-                    html += `<div><strong>Fuel Consumption:</strong> ${min}–${max} L/100 km (ADR 81/02)</div>`;
-                }
-            } else {
-                html += `<div><strong>Fuel Consumption:</strong> ${fuelConsumption} L/100 km (ADR 81/02)</div>`;
-            }
+            const { min, max, symbol } = this.convertMeasure('performance', 'fuelConsumptionAdr8102CombinedL100km', fuelConsumption);
+            html += `<div><strong>Fuel Consumption:</strong> ${min === max ? min : `${min}–${max}`} ${symbol} (ADR 81/02)</div>`;
         }
         
         // Handle electric range (EV)
         if (electricRange) {
-            if (Array.isArray(electricRange)) {
-                const uniqueValues = [...new Set(electricRange)].sort((a, b) => a - b);
-                if (uniqueValues.length === 1) {
-                    html += `<div><strong>Electric Range:</strong> ${uniqueValues[0]} km</div>`;
-                } else {
-                    const min = Math.min(...uniqueValues);
-                    const max = Math.max(...uniqueValues);
-                    html += `<div><strong>Electric Range:</strong> ${min}–${max} km</div>`;
-                }
-            } else {
-                html += `<div><strong>Electric Range:</strong> ${electricRange} km</div>`;
-            }
+            const { min, max, symbol } = this.convertMeasure('performance', 'bevPureElectricRangeCombinedKm', electricRange);
+            html += `<div><strong>Electric Range:</strong> ${min === max ? min : `${min}–${max}`} ${symbol}</div>`;
         }
         
         // Add vehicle count note if multiple vehicles
@@ -1298,14 +1383,14 @@ class VehicleOverview {
     }
 
     extractVehicleInfo(vehiclesToAnalyze) {
-        const firstVehicle = vehiclesToAnalyze[0]?.vehicle;
+        const firstVehicle = vehiclesToAnalyze[0];
         if (!firstVehicle) return {};
 
         return {
-            modelYear: firstVehicle.modelYear || firstVehicle.vehicleGeneralInfo?.modelYear,
-            displayName: firstVehicle.displayName || firstVehicle.vehicleGeneralInfo?.displayName,
-            make: firstVehicle.make || firstVehicle.vehicleGeneralInfo?.make,
-            model: firstVehicle.model || firstVehicle.vehicleGeneralInfo?.model,
+            modelYear: firstVehicle.year,
+            displayName: firstVehicle.displayName,
+            make: firstVehicle.make,
+            model: firstVehicle.model,
             trim: firstVehicle.trim,
             versionName: firstVehicle.versionName
         };
@@ -1314,7 +1399,7 @@ class VehicleOverview {
     createFlowingPowertrainIntro(vehicleInfo, engineData, transmissionData, fuelData, vehicleCount) {
         // Start with year and display name
         const year = vehicleInfo.modelYear || 'the';
-        const displayName = vehicleInfo.displayName || this.constructDisplayName(vehicleInfo);
+        const displayName = this.constructDisplayName(vehicleInfo);
         
         let intro = `The ${year} ${displayName}`;
 
@@ -1343,7 +1428,7 @@ class VehicleOverview {
     constructDisplayName(vehicleInfo) {
         const make = vehicleInfo.make || '';
         const model = vehicleInfo.model || '';
-        let baseName = `${make} ${model}`.trim();
+        let baseName = vehicleInfo.displayName || `${make} ${model}`.trim();
         
         // Add trim or variant based on current level
         if (this.currentLevel === 'variant' && vehicleInfo.versionName) {
@@ -1395,11 +1480,27 @@ class VehicleOverview {
             .replace(/Combined fuel consumption is /, 'Fuel consumption is rated at ')
             .replace(/Combined fuel consumption ranges from /, 'Fuel consumption ranges from ')
             .replace(/Provides a combined electric range of /, 'It offers an electric range of ')
-            .replace(/L\/100 km \(ADR 81\/02\)/, 'L/100 km')
-            .replace(/km\.$/, 'km')
+            .replace(/ \(ADR 81\/02\)/, '')
             .replace(/\.$/, '');
     }
 
+    // Lowest and highest of one or more stored values, in the chosen unit system
+    convertMeasure(category, spec, values) {
+        const converted = (Array.isArray(values) ? values : [values])
+            .map(value => this.unitSystem.convert(category, spec, value))
+            .filter(Boolean);
+
+        // Fall back to the stored figures if the unit layer cannot read them
+        if (converted.length === 0) {
+            const list = Array.isArray(values) ? values : [values];
+            return { min: Math.min(...list), max: Math.max(...list), symbol: this.normalizer.getUnit(spec)?.symbol || '' };
+        }
+
+        const numbers = converted.map(result => result.value);
+        const format = value => this.unitSystem.formatNumber(value, converted[0].decimals);
+        return { min: format(Math.min(...numbers)), max: format(Math.max(...numbers)), symbol: converted[0].symbol };
+    }
+
     generateEngineSummarySentence(data, vehicleCount) {
         // Use the existing engine overview logic but return just the sentence
         return this.formatEngineOverviewSentence(data, vehicleCount).replace(/<[^>]*>/g, '').replace(/Based on \d+ vehicles/, '').trim();
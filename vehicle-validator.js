@@ -0,0 +1,390 @@
+/**
+ * Vehicle Validator
+ * Checks uploaded vehicle files against vehicleSchema.json before they reach the normalizer.
+ * Every upload path uses it, so a malformed file ends in a readable report of each variant's
+ * problems, not in an error from deep inside rendering. The valid variants can still be loaded.
+ * Supports the JSON Schema keywords the schema uses: type, required, properties,
+ * additionalProperties, items, anyOf, $ref, minLength and pattern.
+ */
+
+class VehicleValidator {
+    static SCHEMA_URL = 'vehicleSchema.json';
+
+    // Issues listed per variant before the rest are summarised as "…and N more"
+    static MAX_ISSUES_SHOWN = 8;
+
+    static TYPE_NAMES = {
+        string: 'text',
+        number: 'a number',
+        integer: 'a whole number',
+        boolean: 'true or false',
+        null: 'empty (null)',
+        object: 'a group of fields',
+        array: 'a list'
+    };
+
+    constructor(schema = null, normalizer = null) {
+        this.schema = schema;
+        this.schemaPromise = null;
+        this.normalizer = normalizer || VehicleValidator.createNormalizer();
+    }
+
+    static createNormalizer() {
+        // In the browser vehicle-normalizer.js is loaded as a global script
+        if (typeof VehicleNormalizer !== 'undefined') {
+            return new VehicleNormalizer();
+        }
+        const NodeVehicleNormalizer = require('./vehicle-normalizer.js');
+        return new NodeVehicleNormalizer();
+    }
+
+    async loadSchema() {
+        if (this.schema) return this.schema;
+
+        if (!this.schemaPromise) {
+            this.schemaPromise = fetch(VehicleValidator.SCHEMA_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(schema => {
+                    this.schema = schema;
+                    return schema;
+                })
+                .catch(error => {
+                    this.schemaPromise = null;
+                    throw error;
+                });
+        }
+        return this.schemaPromise;
+    }
+
+    // { errors, variants: [{ index, name, errors, warnings }], validItems, validCount, invalidCount }.
+    // `errors` are file-level problems that stop anything being loaded
+    validatePayload(payload) {
+        const report = { errors: [], variants: [], validItems: [], validCount: 0, invalidCount: 0 };
+
+        // Any envelope the normalizer reads: { data }, { vehicles }, a bare list or a single item
+        const items = this.normalizer.getItems(payload);
+
+        // Check the envelope without its items; each item is reported as its own variant
+        if (this.isObject(payload) && !payload.vehicle) {
+            const envelope = { ...payload };
+            if (items) {
+                delete envelope.vehicles;
+                envelope.data = [];
+            }
+            this.validate(envelope, this.schema, '', report.errors, []);
+        }
+        if (!items && report.errors.length === 0) {
+            report.errors.push({ path: '', message: `The file should contain a "data" list of vehicles but contains ${this.describeValue(payload)}` });
+        }
+        if (!items || report.errors.length > 0) {
+            return report;
+        }
+
+        const itemSchema = this.schema.definitions.item;
+        items.forEach((item, index) => {
+            const errors = [];
+            const warnings = [];
+
+            // Lists of bare vehicles are read as if each were wrapped in { vehicle }
+            const wrapped = this.isObject(item) && !('vehicle' in item) ? { vehicle: item } : item;
+            this.validate(wrapped, itemSchema, '', errors, warnings);
+            errors.filter(error => !error.path).forEach(error => {
+                error.path = `data[${index}]`;
+            });
+
+            report.variants.push({ index, name: this.getVariantName(wrapped, index), errors, warnings });
+            if (errors.length === 0) {
+                report.validItems.push(item);
+                report.validCount++;
+            } else {
+                report.invalidCount++;
+            }
+        });
+
+        return report;
+    }
+
+    // Same envelope as the upload, keeping only the variants that passed
+    getValidPayload(payload, report) {
+        if (Array.isArray(payload)) return report.validItems;
+        return { ...payload, data: report.validItems };
+    }
+
+    getVariantName(item, index) {
+        const vehicle = this.isObject(item?.vehicle) ? item.vehicle : {};
+        const name = [vehicle.make, vehicle.model, vehicle.trim, vehicle.versionName]
+            .filter(part => typeof part === 'string' && part.trim())
+            .join(' ');
+        return name ? `${index + 1}. ${name}` : `Variant ${index + 1}`;
+    }
+
+    validate(value, schema, path, errors, warnings) {
+        if (schema.$ref) {
+            return this.validate(value, this.resolveRef(schema.$ref), path, errors, warnings);
+        }
+
+        if (schema.anyOf) {
+            const matches = schema.anyOf.some(option => {
+                const optionErrors = [];
+                this.validate(value, option, path, optionErrors, []);
+                return optionErrors.length === 0;
+            });
+            if (!matches) {
+                // Report against the branch of the right type when there is one, otherwise list the types
+                const branch = schema.anyOf.find(option => this.matchesType(value, this.getTypes(option)));
+                if (branch) {
+                    return this.validate(value, branch, path, errors, warnings);
+                }
+                const expected = schema.anyOf.flatMap(option => this.getTypes(option));
+                errors.push({ path, message: `should be ${this.describeTypes(expected)} but is ${this.describeValue(value)}` });
+                return;
+            }
+            if (!schema.type) return;
+        }
+
+        const types = this.getTypes(schema);
+        if (types.length > 0 && !this.matchesType(value, types)) {
+            errors.push({ path, message: `should be ${this.describeTypes(types)} but is ${this.describeValue(value)}` });
+            return;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength && value.trim().length < schema.minLength) {
+                errors.push({ path, message: 'should not be empty' });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: `has an unexpected format: ${this.describeValue(value)}` });
+            }
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => this.validate(item, schema.items, `${path}[${index}]`, errors, warnings));
+        }
+
+        if (this.isObject(value)) {
+            this.validateObject(value, schema, path, errors, warnings);
+        }
+    }
+
+    validateObject(value, schema, path, errors, warnings) {
+        const join = key => (path ? `${path}.${key}` : key);
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: join(key), message: 'is missing' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                this.validate(value[key], propertySchema, join(key), errors, warnings);
+                return;
+            }
+
+            // Unlisted object fields are probably a category this app does not know yet
+            if (schema['x-reportUnknown'] && this.isObject(value[key])) {
+                warnings.push({ path: join(key), message: `is an unknown ${schema['x-reportUnknown']}; its fields will be shown as they are` });
+                return;
+            }
+
+            if (schema.additionalProperties === false) {
+                errors.push({ path: join(key), message: 'is not an expected field' });
+            } else if (this.isObject(schema.additionalProperties)) {
+                this.validate(value[key], schema.additionalProperties, join(key), errors, warnings);
+            }
+        });
+    }
+
+    resolveRef(ref) {
+        const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], this.schema);
+        if (!target) {
+            throw new Error(`Unknown schema reference: ${ref}`);
+        }
+        return target;
+    }
+
+    getTypes(schema) {
+        if (schema.$ref) return this.getTypes(this.resolveRef(schema.$ref));
+        if (!schema.type) return [];
+        return Array.isArray(schema.type) ? schema.type : [schema.type];
+    }
+
+    matchesType(value, types) {
+        return types.some(type => {
+            switch (type) {
+                case 'null': return value === null;
+                case 'array': return Array.isArray(value);
+                case 'object': return this.isObject(value);
+                case 'integer': return Number.isInteger(value);
+                case 'number': return typeof value === 'number' && isFinite(value);
+                default: return typeof value === type;
+            }
+        });
+    }
+
+    isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    describeTypes(types) {
+        const names = [...new Set(types)].map(type => VehicleValidator.TYPE_NAMES[type] || type);
+        return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+    }
+
+    describeValue(value) {
+        if (value === undefined) return 'missing';
+        if (value === null) return 'empty (null)';
+        if (Array.isArray(value)) return 'a list';
+        if (typeof value === 'object') return 'a group of fields';
+        if (typeof value === 'string') {
+            return `text ("${value.length > 30 ? `${value.slice(0, 30)}…` : value}")`;
+        }
+        return `${typeof value === 'number' ? 'the number' : ''} ${value}`.trim();
+    }
+
+    // Validate an upload and, when it has problems, show the report after `anchor`.
+    // Resolves with the payload to load (all of it or the valid variants) or null when nothing should load
+    async review(payload, { anchor, fileName = 'The file' } = {}) {
+        this.clearReport(anchor);
+
+        try {
+            await this.loadSchema();
+        } catch (error) {
+            console.error('Error loading vehicle schema:', error);
+            console.warn('Continuing without validating the upload');
+            return payload;
+        }
+
+        const report = this.validatePayload(payload);
+        const hasWarnings = report.variants.some(variant => variant.warnings.length > 0);
+
+        if (report.errors.length === 0 && report.invalidCount === 0) {
+            if (hasWarnings) {
+                this.showReport(report, anchor, fileName);
+            }
+            return payload;
+        }
+
+        const choice = await this.showReport(report, anchor, fileName);
+        if (choice === 'load') {
+            return this.getValidPayload(payload, report);
+        }
+
+        // Let the same file be picked again once it has been fixed
+        if (anchor?.type === 'file') {
+            anchor.value = '';
+        }
+        return null;
+    }
+
+    clearReport(anchor) {
+        anchor?.closest('.file-input-container')?.parentElement
+            ?.querySelectorAll('.validation-report')
+            .forEach(panel => panel.remove());
+    }
+
+    // Resolves with the button the user picked: 'load', 'cancel' or 'dismiss'
+    showReport(report, anchor, fileName) {
+        const panel = document.createElement('div');
+        panel.className = 'validation-report';
+        panel.setAttribute('role', 'alert');
+        panel.innerHTML = this.renderReport(report, fileName);
+
+        const container = anchor?.closest('.file-input-container') || anchor;
+        if (container?.parentElement) {
+            container.insertAdjacentElement('afterend', panel);
+        } else {
+            document.body.prepend(panel);
+        }
+
+        return new Promise(resolve => {
+            panel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-validation-action]');
+                if (!button) return;
+
+                panel.remove();
+                resolve(button.dataset.validationAction);
+            });
+        });
+    }
+
+    renderReport(report, fileName) {
+        const total = report.variants.length;
+        let title;
+        let actions;
+
+        if (report.errors.length > 0) {
+            title = `${fileName} is not a vehicle data file this app can read`;
+            actions = '<button type="button" class="validation-button" data-validation-action="cancel">Dismiss</button>';
+        } else if (report.invalidCount > 0) {
+            title = `${fileName}: ${report.invalidCount} of ${total} variants have problems`;
+            actions = `
+                ${report.validCount > 0 ? `<button type="button" class="validation-button primary" data-validation-action="load">Load the ${report.validCount} valid variant${report.validCount === 1 ? '' : 's'}</button>` : ''}
+                <button type="button" class="validation-button" data-validation-action="cancel">${report.validCount > 0 ? 'Cancel' : 'Dismiss'}</button>
+            `;
+        } else {
+            title = `${fileName} loaded with notes`;
+            actions = '<button type="button" class="validation-button" data-validation-action="dismiss">Dismiss</button>';
+        }
+
+        const variants = report.variants.filter(variant => variant.errors.length > 0 || variant.warnings.length > 0);
+
+        return `
+            <h3 class="validation-report-title">${this.escape(title)}</h3>
+            ${report.errors.length > 0 ? this.renderIssues(report.errors, []) : ''}
+            ${variants.length > 0 ? `
+                <ul class="validation-variants">
+                    ${variants.map(variant => `
+                        <li class="validation-variant ${variant.errors.length > 0 ? 'invalid' : 'valid'}">
+                            <div class="validation-variant-name">
+                                ${this.escape(variant.name)}
+                                <span class="validation-variant-status">${variant.errors.length > 0 ? 'Will not be loaded' : 'Will be loaded'}</span>
+                            </div>
+                            ${this.renderIssues(variant.errors, variant.warnings)}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <div class="validation-actions">${actions}</div>
+        `;
+    }
+
+    renderIssues(errors, warnings) {
+        const issues = [
+            ...errors.map(issue => ({ ...issue, level: 'error' })),
+            ...warnings.map(issue => ({ ...issue, level: 'warning' }))
+        ];
+        const shown = issues.slice(0, VehicleValidator.MAX_ISSUES_SHOWN);
+        const hidden = issues.length - shown.length;
+
+        return `
+            <ul class="validation-issues">
+                ${shown.map(issue => `
+                    <li class="validation-${issue.level}">
+                        ${issue.path ? `<code>${this.escape(issue.path)}</code> ` : ''}${this.escape(issue.message)}
+                    </li>
+                `).join('')}
+                ${hidden > 0 ? `<li class="validation-more">…and ${hidden} more</li>` : ''}
+            </ul>
+        `;
+    }
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VehicleValidator;
+}